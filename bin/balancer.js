@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// `balancer <command> ...` runs scripts/balancer.js through `truffle exec`
+// in the current truffle project, with the truffle installed there or,
+// failing that, the one installed with this package.
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function resolveTruffle() {
+    try {
+        return require.resolve('truffle/build/cli.bundled.js', { paths: [process.cwd(), __dirname] });
+    } catch (err) {
+        console.error('balancer: truffle is not installed, add it with `yarn add --dev truffle`');
+        return process.exit(1);
+    }
+}
+
+const script = path.join(__dirname, '..', 'scripts', 'balancer.js');
+const result = spawnSync(process.execPath, [resolveTruffle(), 'exec', script, ...process.argv.slice(2)], {
+    stdio: 'inherit',
+});
+if (result.error) {
+    console.error(`balancer: ${result.error.message}`);
+}
+process.exit(result.status === null ? 1 : result.status);
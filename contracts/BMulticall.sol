@@ -0,0 +1,36 @@
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+pragma solidity 0.5.12;
+pragma experimental ABIEncoderV2;
+
+// Runs many view calls in one eth_call, so clients read at a single block
+// in a single round trip. Not used by BFactory or BPool.
+
+contract BMulticall {
+
+    function aggregate(address[] calldata targets, bytes[] calldata data)
+        external view
+        returns (uint blockNumber, bytes[] memory results)
+    {
+        require(targets.length == data.length, "ERR_ARRAY_LENGTH");
+        blockNumber = block.number;
+        results = new bytes[](targets.length);
+        for (uint i = 0; i < targets.length; i++) {
+            (bool success, bytes memory result) = targets[i].staticcall(data[i]);
+            require(success, "ERR_MULTICALL_FAILED");
+            results[i] = result;
+        }
+    }
+
+}
@@ -0,0 +1,110 @@
+// Measures the gasUsed of every BPool entry point for each number of bound
+// tokens, prints it next to gas/baseline.json and fails when one grows by
+// more than GAS_THRESHOLD percent (default 1). GAS_UPDATE=true writes the
+// measurements as the new baseline instead:
+//
+//   yarn gas
+//   GAS_UPDATE=true yarn gas
+//
+// BPool's bind, rebind and unbind cost the same whatever the pool holds;
+// unbind only stands out with two tokens, where the middle one is the last.
+
+const path = require('path');
+const {
+    loadBaseline, saveBaseline, compareGas, formatGasReport,
+} = require('../lib/gas');
+const { MIN_BOUND_TOKENS, MAX_BOUND_TOKENS } = require('../lib/bconst');
+
+const BPool = artifacts.require('BPool');
+const BFactory = artifacts.require('BFactory');
+const TToken = artifacts.require('TToken');
+
+const BASELINE = path.join(__dirname, 'baseline.json');
+const THRESHOLD = Number(process.env.GAS_THRESHOLD || 1);
+const UPDATE = process.env.GAS_UPDATE === 'true';
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    let factory; // BFactory
+    const tokens = []; // TTokens
+    const measured = {};
+
+    // Sends every entry point once on a fresh pool of `n` tokens, in an order
+    // that gives each the same storage to start from on every run
+    async function profile(n) {
+        const bound = tokens.slice(0, n).map((t) => t.address);
+        const record = (entry, tx) => {
+            measured[entry] = measured[entry] || {};
+            measured[entry][n] = tx.receipt.gasUsed;
+        };
+
+        const POOL = await factory.newBPool.call();
+        record('newBPool', await factory.newBPool());
+        const pool = await BPool.at(POOL);
+        await Promise.all(tokens.slice(0, n).map((t) => t.approve(POOL, MAX)));
+        await Promise.all(tokens.slice(0, n).map((t) => t.approve(POOL, MAX, { from: user1 })));
+
+        // Bound one at a time, so the pool lists its tokens in `bound` order
+        for (let i = 0; i < n - 1; i += 1) {
+            await pool.bind(bound[i], toWei('100'), toWei('5')); // eslint-disable-line no-await-in-loop
+        }
+        // The n-th token into a pool of n - 1, then on a middle one, which
+        // unbind has to move the last token into the place of
+        const middle = bound[Math.floor(n / 2)];
+        record('bind', await pool.bind(bound[n - 1], toWei('100'), toWei('5')));
+        record('rebind', await pool.rebind(middle, toWei('150'), toWei('5')));
+        record('unbind', await pool.unbind(middle));
+        await pool.bind(middle, toWei('100'), toWei('5'));
+        await pool.setSwapFee(toWei('0.003'));
+        record('finalize', await pool.finalize());
+
+        const from = { from: user1 };
+        record('joinPool', await pool.joinPool(toWei('10'), bound.map(() => MAX), from));
+        record('exitPool', await pool.exitPool(toWei('5'), bound.map(() => '0'), from));
+        record('swapExactAmountIn', await pool.swapExactAmountIn(bound[0], toWei('1'), bound[1], '0', MAX, from));
+        record('swapExactAmountOut', await pool.swapExactAmountOut(bound[0], MAX, bound[1], toWei('1'), MAX, from));
+        record('joinswapExternAmountIn', await pool.joinswapExternAmountIn(bound[0], toWei('1'), '0', from));
+        record('joinswapPoolAmountOut', await pool.joinswapPoolAmountOut(bound[0], toWei('1'), MAX, from));
+        record('exitswapPoolAmountIn', await pool.exitswapPoolAmountIn(bound[1], toWei('1'), '0', from));
+        record('exitswapExternAmountOut', await pool.exitswapExternAmountOut(bound[1], toWei('1'), MAX, from));
+
+        await tokens[0].transfer(POOL, toWei('1'), from);
+        record('gulp', await pool.gulp(bound[0], from));
+        // Only the factory drains, through collectTokenReserves
+        record('drainTotalReserves', await factory.collectTokenReserves(POOL));
+    }
+
+    before(async () => {
+        factory = await BFactory.deployed();
+        const symbols = Array.from({ length: Number(MAX_BOUND_TOKENS) }, (_, i) => 'ABCDEFGH'[i].repeat(3));
+        tokens.push(...await Promise.all(symbols.map((symbol) => TToken.new(symbol, symbol, 18))));
+        await Promise.all(tokens.map((t) => t.mint(admin, toWei('10000'))));
+        await Promise.all(tokens.map((t) => t.mint(user1, toWei('10000'))));
+    });
+
+    describe('Gas', () => {
+        for (let n = Number(MIN_BOUND_TOKENS); n <= Number(MAX_BOUND_TOKENS); n += 1) {
+            it(`profiles a pool of ${n} tokens`, async () => {
+                await profile(n);
+            });
+        }
+
+        it(UPDATE ? 'writes the baseline' : `stays within ${THRESHOLD}% of the baseline`, async () => {
+            const baseline = loadBaseline(BASELINE);
+            const rows = compareGas(UPDATE ? null : baseline, measured, THRESHOLD);
+            console.log(formatGasReport(rows));
+            if (UPDATE) {
+                saveBaseline(BASELINE, measured);
+                return;
+            }
+            assert.isNotNull(baseline, `no ${BASELINE}, run with GAS_UPDATE=true to write one`);
+            const regressions = rows.filter((r) => r.regressed)
+                .map((r) => `${r.entry} with ${r.tokens} tokens: ${r.baseline} -> ${r.gasUsed}`);
+            assert.deepEqual(regressions, [], 'gas regressions');
+        });
+    });
+});
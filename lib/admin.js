@@ -0,0 +1,298 @@
+// Pool administration commands behind scripts/balancer.js.
+// Arguments are human readable like in lib/client and are checked against
+// BConst before anything is sent; with `dryRun` every call goes through
+// eth_call instead of a transaction.
+
+const {
+    BONE, MIN_BOUND_TOKENS, MAX_BOUND_TOKENS, MIN_FEE, MAX_FEE, DEFAULT_RESERVES_RATIO,
+    MIN_WEIGHT, MAX_WEIGHT, MAX_TOTAL_WEIGHT, MIN_BALANCE,
+} = require('./bconst');
+const { Factory, Pool } = require('./client');
+const { fromBone, toBone, fromUnits } = require('./client/units');
+
+function check(cond, reason, detail) {
+    if (!cond) {
+        throw new Error(`${reason}: ${detail}`);
+    }
+}
+
+function checkSwapFee(swapFee) {
+    check(swapFee >= MIN_FEE, 'ERR_MIN_FEE', `swap fee ${fromBone(swapFee)} is below ${fromBone(MIN_FEE)}`);
+    check(swapFee <= MAX_FEE, 'ERR_MAX_FEE', `swap fee ${fromBone(swapFee)} is above ${fromBone(MAX_FEE)}`);
+}
+
+function checkReservesRatio(ratio) {
+    check(
+        ratio >= DEFAULT_RESERVES_RATIO && ratio <= BONE,
+        'ERR_INVALID_RESERVE',
+        `reserves ratio ${fromBone(ratio)} is outside ${fromBone(DEFAULT_RESERVES_RATIO)}..1`,
+    );
+}
+
+function checkWeight(denorm) {
+    check(denorm >= MIN_WEIGHT, 'ERR_MIN_WEIGHT', `weight ${fromBone(denorm)} is below ${fromBone(MIN_WEIGHT)}`);
+    check(denorm <= MAX_WEIGHT, 'ERR_MAX_WEIGHT', `weight ${fromBone(denorm)} is above ${fromBone(MAX_WEIGHT)}`);
+}
+
+function checkTotalWeight(totalWeight) {
+    check(
+        totalWeight <= MAX_TOTAL_WEIGHT,
+        'ERR_MAX_TOTAL_WEIGHT',
+        `total weight ${fromBone(totalWeight)} would exceed ${fromBone(MAX_TOTAL_WEIGHT)}`,
+    );
+}
+
+function checkBalance(balance) {
+    check(balance >= MIN_BALANCE, 'ERR_MIN_BALANCE', `balance of ${balance} wei is below ${MIN_BALANCE} wei`);
+}
+
+function checkAddress(web3, address, what) {
+    check(web3.utils.isAddress(address), 'ERR_ADDRESS', `${what} ${address} is not an address`);
+}
+
+function checkArgs(args, names) {
+    check(args.length === names.length, 'ERR_USAGE', `expected ${names.map((n) => `<${n}>`).join(' ')}`);
+}
+
+// Sends `method` or, on a dry run, eth_calls it and returns what it would return
+async function execute(ctx, contract, method, args) {
+    const options = { from: ctx.from };
+    const call = `${method}(${args.join(', ')})`;
+    if (ctx.dryRun) {
+        const result = await contract[method].call(...args, options);
+        ctx.log(`dry run: ${call} from ${ctx.from} succeeds`);
+        return { dryRun: true, result };
+    }
+    const tx = await contract[method](...args, options);
+    ctx.log(`${call}: ${tx.tx} (gas used ${tx.receipt.gasUsed})`);
+    return tx;
+}
+
+async function poolAt(ctx, address) {
+    checkAddress(ctx.web3, address, 'pool');
+    return Pool.at(ctx.artifacts, address);
+}
+
+// bind and rebind pull `balance - current` from the sender. Lacking allowance
+// is approved before sending; a dry run cannot approve, and without it the
+// call would revert, so it fails instead.
+async function pullable(ctx, pool, token, units) {
+    const erc20 = await pool.token(token);
+    const [held, allowance] = await Promise.all([
+        erc20.balanceOf(ctx.from),
+        erc20.allowance(ctx.from, pool.address),
+    ]);
+    check(
+        BigInt(held.toString()) >= units,
+        'ERR_INSUFFICIENT_BAL',
+        `${ctx.from} holds ${await pool.fromUnits(token, held)} of ${token}`,
+    );
+    if (BigInt(allowance.toString()) >= units) {
+        return;
+    }
+    check(
+        !ctx.dryRun,
+        'ERR_ALLOWANCE',
+        `dry run: ${token}.approve(${pool.address}, ${units}) from ${ctx.from} is needed first`,
+    );
+    await execute(ctx, erc20, 'approve', [pool.address, units.toString()]);
+}
+
+async function setRecord(ctx, method, [address, token, balance, weight]) {
+    const pool = await poolAt(ctx, address);
+    checkAddress(ctx.web3, token, 'token');
+    const units = BigInt(await pool.toUnits(token, balance));
+    const denorm = BigInt(toBone(weight));
+    checkBalance(units);
+    checkWeight(denorm);
+
+    const [numTokens, totalWeight, isBound] = await Promise.all([
+        pool.contract.getNumTokens(),
+        pool.contract.getTotalDenormalizedWeight(),
+        pool.contract.isBound(token),
+    ]);
+    let oldBalance = BigInt(0);
+    let oldWeight = BigInt(0);
+    if (method === 'bind') {
+        check(!isBound, 'ERR_IS_BOUND', `${token} is already bound`);
+        check(BigInt(numTokens.toString()) < MAX_BOUND_TOKENS, 'ERR_MAX_TOKENS', `pool has ${numTokens} tokens`);
+    } else {
+        check(isBound, 'ERR_NOT_BOUND', `${token} is not bound`);
+        oldBalance = BigInt((await pool.contract.getBalance(token)).toString());
+        oldWeight = BigInt((await pool.contract.getDenormalizedWeight(token)).toString());
+    }
+    checkTotalWeight(BigInt(totalWeight.toString()) - oldWeight + denorm);
+
+    if (units > oldBalance) {
+        await pullable(ctx, pool, token, units - oldBalance);
+    }
+    return execute(ctx, pool.contract, method, [token, units.toString(), denorm.toString()]);
+}
+
+const commands = {
+    'create-pool': {
+        usage: 'create-pool',
+        run: async (ctx, args) => {
+            checkArgs(args, []);
+            const factory = await Factory.deployed(ctx.artifacts);
+            const result = await execute(ctx, factory.contract, 'newBPool', []);
+            if (ctx.dryRun) {
+                return result;
+            }
+            const { pool } = result.logs.find(({ event }) => event === 'LOG_NEW_POOL').args;
+            ctx.log(`pool: ${pool}`);
+            return { ...result, pool };
+        },
+    },
+    bind: {
+        usage: 'bind <pool> <token> <balance> <weight>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'token', 'balance', 'weight']);
+            return setRecord(ctx, 'bind', args);
+        },
+    },
+    rebind: {
+        usage: 'rebind <pool> <token> <balance> <weight>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'token', 'balance', 'weight']);
+            return setRecord(ctx, 'rebind', args);
+        },
+    },
+    unbind: {
+        usage: 'unbind <pool> <token>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'token']);
+            const pool = await poolAt(ctx, args[0]);
+            checkAddress(ctx.web3, args[1], 'token');
+            return execute(ctx, pool.contract, 'unbind', [args[1]]);
+        },
+    },
+    'set-fee': {
+        usage: 'set-fee <pool> <fee>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'fee']);
+            const swapFee = BigInt(toBone(args[1]));
+            checkSwapFee(swapFee);
+            const pool = await poolAt(ctx, args[0]);
+            return execute(ctx, pool.contract, 'setSwapFee', [swapFee.toString()]);
+        },
+    },
+    'set-reserves-ratio': {
+        usage: 'set-reserves-ratio <pool> <ratio>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'ratio']);
+            const ratio = BigInt(toBone(args[1]));
+            checkReservesRatio(ratio);
+            const pool = await poolAt(ctx, args[0]);
+            return execute(ctx, pool.contract, 'setReservesRatio', [ratio.toString()]);
+        },
+    },
+    'set-controller': {
+        usage: 'set-controller <pool> <controller>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'controller']);
+            const pool = await poolAt(ctx, args[0]);
+            checkAddress(ctx.web3, args[1], 'controller');
+            return execute(ctx, pool.contract, 'setController', [args[1]]);
+        },
+    },
+    'set-public-swap': {
+        usage: 'set-public-swap <pool> <true|false>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'public']);
+            const pool = await poolAt(ctx, args[0]);
+            check(['true', 'false'].includes(args[1]), 'ERR_USAGE', `expected true or false, got ${args[1]}`);
+            return execute(ctx, pool.contract, 'setPublicSwap', [args[1] === 'true']);
+        },
+    },
+    finalize: {
+        usage: 'finalize <pool>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool']);
+            const pool = await poolAt(ctx, args[0]);
+            const numTokens = await pool.contract.getNumTokens();
+            check(
+                BigInt(numTokens.toString()) >= MIN_BOUND_TOKENS,
+                'ERR_MIN_TOKENS',
+                `pool has ${numTokens} tokens, needs ${MIN_BOUND_TOKENS}`,
+            );
+            return execute(ctx, pool.contract, 'finalize', []);
+        },
+    },
+    gulp: {
+        usage: 'gulp <pool> <token>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool', 'token']);
+            const pool = await poolAt(ctx, args[0]);
+            checkAddress(ctx.web3, args[1], 'token');
+            return execute(ctx, pool.contract, 'gulp', [args[1]]);
+        },
+    },
+    'drain-reserves': {
+        usage: 'drain-reserves <pool>',
+        run: async (ctx, args) => {
+            checkArgs(args, ['pool']);
+            const pool = await poolAt(ctx, args[0]);
+            const factory = await Factory.deployed(ctx.artifacts);
+            const tokens = await pool.getCurrentTokens();
+            const reserves = await Promise.all(tokens.map(async (t) => (
+                `${fromUnits(await pool.contract.totalReserves(t), await pool.decimals(t))} ${t}`
+            )));
+            ctx.log(`reserves: ${reserves.join(', ') || 'none'} to ${await factory.getReservesAddress()}`);
+            return execute(ctx, factory.contract, 'collectTokenReserves', [pool.address]);
+        },
+    },
+};
+
+function usage() {
+    const lines = Object.keys(commands).map((name) => `  ${commands[name].usage}`);
+    return ['usage: balancer <command> [args] [--network <name>] [--from <address>] [--dry-run]', ...lines]
+        .join('\n');
+}
+
+// `argv` is what follows the script name: the command, its arguments and flags.
+// --network is consumed by truffle and skipped here.
+function parseArgs(argv) {
+    const args = [];
+    const flags = { dryRun: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        if (argv[i] === '--dry-run') {
+            flags.dryRun = true;
+        } else if (argv[i] === '--from') {
+            flags.from = argv[i + 1];
+            i += 1;
+        } else if (argv[i] === '--network') {
+            i += 1;
+        } else {
+            args.push(argv[i]);
+        }
+    }
+    const [command, ...rest] = args;
+    return { command, args: rest, flags };
+}
+
+async function run(artifacts, argv, { log = console.log } = {}) {
+    const { command, args, flags } = parseArgs(argv);
+    if (commands[command] === undefined) {
+        throw new Error(command === undefined ? usage() : `unknown command ${command}\n${usage()}`);
+    }
+    const { web3 } = artifacts.require('BPool');
+    const from = flags.from === undefined ? (await web3.eth.getAccounts())[0] : flags.from;
+    checkAddress(web3, from, 'sender');
+    const ctx = {
+        artifacts, web3, from, dryRun: flags.dryRun, log,
+    };
+    return commands[command].run(ctx, args);
+}
+
+module.exports = {
+    checkSwapFee,
+    checkReservesRatio,
+    checkWeight,
+    checkTotalWeight,
+    checkBalance,
+    commands,
+    parseArgs,
+    usage,
+    run,
+};
@@ -0,0 +1,206 @@
+// Arbitrage against a pool that drifted from external prices.
+// `simulateArbitrage` replays a price series on lib/pool_simulator: at every
+// step the most profitable swapExactAmountIn is taken until none is left,
+// and volume, LP fees, protocol reserves and pool value are recorded.
+
+const Decimal = require('decimal.js').clone({ precision: 80 });
+const {
+    BONE, MAX_UINT, MAX_IN_RATIO, MAX_OUT_RATIO,
+} = require('./bconst');
+const { bnum, bmul } = require('./bnum');
+const { calcOutGivenIn, calcInGivenOut, calcReservesFromFee } = require('./bmath');
+const { calcInGivenPrice } = require('./calc_comparisons');
+const PoolSimulator = require('./pool_simulator');
+
+const ZERO = BigInt(0);
+
+function dec(value) {
+    return Decimal(value.toString());
+}
+
+// swapExactAmountIn that moves the pool's marginal price, fee included, to
+// `marketPrice` (wei in per wei out), which is where the trade's profit peaks.
+// Zero if the pool is not cheaper than the market; capped at MAX_IN_RATIO.
+function amountToMarket(bIn, wIn, bOut, wOut, swapFee, marketPrice) {
+    const amount = BigInt(calcInGivenPrice(
+        dec(bIn), dec(wIn), dec(bOut), dec(wOut), dec(swapFee).div(dec(BONE)), dec(marketPrice),
+    ).toFixed(0, Decimal.ROUND_DOWN));
+    const cap = (bnum(bIn) * MAX_IN_RATIO) / BONE;
+    return amount < cap ? amount : cap;
+}
+
+// A `Pool.getPoolState` snapshot, or `{ tokens, balances, denorms, swapFee,
+// reservesRatio, decimals }` with everything but decimals in wei
+function toSnapshot(definition) {
+    if (definition.records !== undefined) {
+        return { ...definition, publicSwap: true };
+    }
+    const { tokens, decimals = tokens.map(() => 18) } = definition;
+    const records = {};
+    tokens.forEach((t, i) => {
+        records[t] = {
+            balance: bnum(definition.balances[i]), denorm: bnum(definition.denorms[i]), decimals: decimals[i],
+        };
+    });
+    return {
+        tokens,
+        records,
+        totalWeight: definition.denorms.reduce((a, d) => a + bnum(d), ZERO),
+        swapFee: bnum(definition.swapFee),
+        reservesRatio: bnum(definition.reservesRatio),
+        totalReserves: {},
+        totalSupply: ZERO,
+        finalized: true,
+        publicSwap: true,
+    };
+}
+
+// What one wei of each token is worth, from prices per whole token
+function weiPrices(snapshot, prices) {
+    if (prices.length !== snapshot.tokens.length) {
+        throw new Error(`ERR_ARRAY_LENGTH: pool has ${snapshot.tokens.length} tokens, got ${prices.length} prices`);
+    }
+    return snapshot.tokens.map((t, i) => dec(prices[i]).div(Decimal(10).pow(snapshot.records[t].decimals)));
+}
+
+function valueOf(amount, weiPrice) {
+    return dec(amount).mul(weiPrice);
+}
+
+// The best trade from tokenIn to tokenOut, kept within MAX_OUT_RATIO
+function tradeFor(sim, tokenIn, tokenOut, prices) {
+    const [i, o] = [sim.tokens.indexOf(tokenIn), sim.tokens.indexOf(tokenOut)];
+    const { balance: bIn, denorm: wIn } = sim.records[tokenIn];
+    const { balance: bOut, denorm: wOut } = sim.records[tokenOut];
+    let tokenAmountIn = amountToMarket(bIn, wIn, bOut, wOut, sim.swapFee, prices[o].div(prices[i]));
+    if (tokenAmountIn === ZERO) {
+        return null;
+    }
+    let [tokenAmountOut, fee] = calcOutGivenIn(bIn, wIn, bOut, wOut, tokenAmountIn, sim.swapFee);
+    const outCap = bmul(bOut, MAX_OUT_RATIO);
+    if (tokenAmountOut > outCap) {
+        [tokenAmountIn] = calcInGivenOut(bIn, wIn, bOut, wOut, outCap, sim.swapFee);
+        [tokenAmountOut, fee] = calcOutGivenIn(bIn, wIn, bOut, wOut, tokenAmountIn, sim.swapFee);
+    }
+    const profit = valueOf(tokenAmountOut, prices[o]).sub(valueOf(tokenAmountIn, prices[i]));
+    return {
+        tokenIn, tokenOut, tokenAmountIn, tokenAmountOut, fee, profit,
+    };
+}
+
+function bestTrade(sim, prices) {
+    let best = null;
+    sim.tokens.forEach((tokenIn) => sim.tokens.forEach((tokenOut) => {
+        const trade = tokenIn === tokenOut ? null : tradeFor(sim, tokenIn, tokenOut, prices);
+        if (trade !== null && trade.profit.gt(0) && (best === null || trade.profit.gt(best.profit))) {
+            best = trade;
+        }
+    }));
+    return best;
+}
+
+// Takes the best trade on `sim` until none is profitable, or `maxTrades`
+function arbitrageStep(sim, prices, maxTrades) {
+    const trades = [];
+    for (let n = 0; n < maxTrades; n += 1) {
+        const trade = bestTrade(sim, prices);
+        if (trade === null) break;
+        const { tokenIn, tokenOut, tokenAmountIn } = trade;
+        try {
+            sim.swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut, trade.tokenAmountOut, MAX_UINT);
+        } catch (err) {
+            // BPool's own rounding checks can still reject a trade at the limits
+            if (!/^ERR_/.test(err.message)) throw err;
+            break;
+        }
+        trades.push({ ...trade, reserves: calcReservesFromFee(trade.fee, sim.reservesRatio) });
+    }
+    return trades;
+}
+
+// Runs `series`, a list of `{ at, prices }` (or bare price lists, `at` then
+// being the index), against the pool. Prices are per whole token in a common
+// unit, and every value in the result is in that unit:
+// - `volume`, what arbitrageurs paid in
+// - `lpFees`, the swap fees left in the pool, `protocolReserves` the
+//   calcReservesFromFee cut taken out of them
+// - `arbitrageProfit`, what the arbitrageurs made at the step's prices
+// - `poolValue` and `hodlValue`, the pool's balances and its starting
+//   balances at the step's prices
+// `label` is carried into the CSV to tell runs apart.
+function simulateArbitrage(definition, series, { maxTradesPerStep = 10, label = '' } = {}) {
+    const snapshot = toSnapshot(definition);
+    const sim = PoolSimulator.fromSnapshot(snapshot);
+    const start = sim.tokens.map((t) => sim.records[t].balance);
+    const steps = series.map((point, index) => {
+        const { at = index, prices: raw } = Array.isArray(point) ? { prices: point } : point;
+        const prices = weiPrices(snapshot, raw);
+        const trades = arbitrageStep(sim, prices, maxTradesPerStep);
+        const sum = (f) => trades.reduce((total, trade) => total.add(f(trade)), Decimal(0));
+        const priceIn = (trade) => prices[sim.tokens.indexOf(trade.tokenIn)];
+        const balances = sim.tokens.map((t) => sim.records[t].balance);
+        return {
+            step: index,
+            at,
+            trades,
+            volume: sum((trade) => valueOf(trade.tokenAmountIn, priceIn(trade))),
+            lpFees: sum((trade) => valueOf(trade.fee - trade.reserves, priceIn(trade))),
+            protocolReserves: sum((trade) => valueOf(trade.reserves, priceIn(trade))),
+            arbitrageProfit: sum((trade) => trade.profit),
+            balances,
+            poolValue: balances.reduce((total, b, i) => total.add(valueOf(b, prices[i])), Decimal(0)),
+            hodlValue: start.reduce((total, b, i) => total.add(valueOf(b, prices[i])), Decimal(0)),
+        };
+    });
+    const total = (key) => steps.reduce((sum, step) => sum.add(step[key]), Decimal(0));
+    return {
+        label,
+        tokens: sim.tokens,
+        swapFee: sim.swapFee,
+        reservesRatio: sim.reservesRatio,
+        steps,
+        totals: {
+            trades: steps.reduce((n, step) => n + step.trades.length, 0),
+            volume: total('volume'),
+            lpFees: total('lpFees'),
+            protocolReserves: total('protocolReserves'),
+            arbitrageProfit: total('arbitrageProfit'),
+        },
+    };
+}
+
+const COLUMNS = [
+    'label', 'swapFee', 'reservesRatio', 'step', 'at', 'trades',
+    'volume', 'lpFees', 'protocolReserves', 'arbitrageProfit', 'poolValue', 'hodlValue',
+];
+
+function cell(value) {
+    const text = Decimal.isDecimal(value) ? value.toSignificantDigits(18).toFixed() : value.toString();
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per step of every result, under a single header, so runs with
+// different parameters can be concatenated and compared
+function toCsv(results) {
+    const rows = [].concat(results).map((result) => result.steps.map((step) => [
+        result.label,
+        dec(result.swapFee).div(dec(BONE)),
+        dec(result.reservesRatio).div(dec(BONE)),
+        step.step,
+        step.at,
+        step.trades.length,
+        step.volume,
+        step.lpFees,
+        step.protocolReserves,
+        step.arbitrageProfit,
+        step.poolValue,
+        step.hodlValue,
+    ].map(cell).join(',')));
+    return [COLUMNS.join(','), ...[].concat(...rows)].join('\n');
+}
+
+module.exports = {
+    amountToMarket,
+    simulateArbitrage,
+    toCsv,
+};
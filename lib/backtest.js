@@ -0,0 +1,233 @@
+// Backtests of pool configurations against recorded prices and trade flow.
+// The history is replayed on the token-unit model of lib/calc_comparisons:
+// arbitrageurs first trade the pool to each row's prices, then the row's own
+// trade, if any, goes through calcOutGivenIn, calcPoolOutGivenSingleIn or
+// calcSingleOutGivenPoolIn.
+//
+// A history is a CSV with a `timestamp` column, one price column per token
+// (what one token is worth in a common unit) and optional flow columns:
+//
+//   timestamp,WETH,DAI,type,tokenIn,tokenOut,amount
+//   1600000000,400,1,,,,
+//   1600000060,402,1,swap,DAI,WETH,2500      # tokenAmountIn of tokenIn
+//   1600000120,398,1,join,WETH,,3             # joinswapExternAmountIn
+//   1600000180,399,1,exit,,DAI,0.5            # exitswapPoolAmountIn, in BPT
+
+const fs = require('fs');
+const Decimal = require('decimal.js');
+const {
+    EXIT_FEE, MAX_IN_RATIO, MAX_OUT_RATIO, INIT_POOL_SUPPLY,
+} = require('./bconst');
+const {
+    calcOutGivenIn, calcPoolOutGivenSingleIn, calcSingleOutGivenPoolIn, calcReserves, calcReservesFromFee,
+} = require('./calc_comparisons');
+const { fromBone } = require('./client/units');
+const { arbitrage, impermanentLoss } = require('./lp_analytics');
+
+const FLOW_COLUMNS = ['type', 'tokenIn', 'tokenOut', 'amount'];
+const MAX_IN = fromBone(MAX_IN_RATIO);
+const MAX_OUT = fromBone(MAX_OUT_RATIO);
+
+function parseHistory(text) {
+    const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    const columns = header.split(',').map((c) => c.trim());
+    if (columns[0] !== 'timestamp') {
+        throw new Error('history: the first column must be timestamp');
+    }
+    const tokens = columns.slice(1).filter((c) => !FLOW_COLUMNS.includes(c));
+    const rows = lines.map((line, n) => {
+        const cells = line.split(',').map((c) => c.trim());
+        const get = (column) => cells[columns.indexOf(column)] || '';
+        const prices = {};
+        tokens.forEach((t) => {
+            if (get(t) !== '') prices[t] = Decimal(get(t));
+        });
+        const type = get('type');
+        if (!['', 'swap', 'join', 'exit'].includes(type)) {
+            throw new Error(`history line ${n + 2}: unknown flow type ${type}`);
+        }
+        return {
+            timestamp: Number(get('timestamp')),
+            prices,
+            flow: type === '' ? null : {
+                type, tokenIn: get('tokenIn'), tokenOut: get('tokenOut'), amount: Decimal(get('amount')),
+            },
+        };
+    });
+    return { tokens, rows };
+}
+
+function loadHistory(file) {
+    return parseHistory(fs.readFileSync(file, 'utf8'));
+}
+
+// Prices of `tokens` in every row, carrying the last known price forward
+function pricePath(history, tokens) {
+    const last = {};
+    return history.rows.map((row, n) => tokens.map((t) => {
+        if (row.prices[t] !== undefined) last[t] = row.prices[t];
+        if (last[t] === undefined) {
+            throw new Error(`history: no price for ${t} by line ${n + 2}`);
+        }
+        return last[t];
+    }));
+}
+
+// Applies `flow` to the pool and returns its balances and totalSupply after,
+// with the fee the flow left behind and the reserves it accrued, both in the
+// flow's token, or a reason it was rejected
+function applyFlow(pool, flow) {
+    const {
+        type, tokenIn, tokenOut, amount,
+    } = flow;
+    const [i, o] = [pool.tokens.indexOf(tokenIn), pool.tokens.indexOf(tokenOut)];
+    const {
+        weights, swapFee, reservesRatio, exitFee, totalSupply,
+    } = pool;
+    const balances = [...pool.balances];
+    if ((type !== 'exit' && i === -1) || (type !== 'join' && o === -1)) {
+        return { rejected: 'not in the pool' };
+    }
+    if (type !== 'exit' && amount.gt(balances[i].mul(MAX_IN))) {
+        return { rejected: 'ERR_MAX_IN_RATIO' };
+    }
+    if (type === 'swap') {
+        const [tokenAmountOut, fee] = calcOutGivenIn(balances[i], weights[i], balances[o], weights[o], amount, swapFee);
+        if (tokenAmountOut.gt(balances[o].mul(MAX_OUT))) {
+            return { rejected: 'ERR_MAX_OUT_RATIO' };
+        }
+        const reserves = calcReservesFromFee(fee, reservesRatio);
+        balances[i] = balances[i].add(amount).sub(reserves);
+        balances[o] = balances[o].sub(tokenAmountOut);
+        return {
+            token: i, fee: fee.sub(reserves), reserves, balances, totalSupply,
+        };
+    }
+    if (type === 'join') {
+        const poolAmountOut = calcPoolOutGivenSingleIn(balances[i], weights[i], totalSupply, 1, amount, swapFee);
+        const afterFee = amount.mul(Decimal(1).sub(Decimal(1).sub(weights[i]).mul(swapFee)));
+        const reserves = calcReserves(amount, afterFee, reservesRatio);
+        balances[i] = balances[i].add(amount).sub(reserves);
+        return {
+            token: i,
+            fee: amount.sub(afterFee).sub(reserves),
+            reserves,
+            balances,
+            totalSupply: totalSupply.add(poolAmountOut),
+        };
+    }
+    // Exits come out of the shares other LPs hold
+    if (amount.gt(totalSupply.sub(pool.lpShares))) {
+        return { rejected: 'ERR_INSUFFICIENT_BAL' };
+    }
+    const args = [balances[o], weights[o], totalSupply, 1, amount];
+    const tokenAmountOut = calcSingleOutGivenPoolIn(...args, swapFee, exitFee);
+    const zeroFee = calcSingleOutGivenPoolIn(...args, 0, exitFee);
+    if (tokenAmountOut.gt(balances[o].mul(MAX_OUT))) {
+        return { rejected: 'ERR_MAX_OUT_RATIO' };
+    }
+    const reserves = calcReserves(zeroFee, tokenAmountOut, reservesRatio);
+    balances[o] = balances[o].sub(tokenAmountOut).sub(reserves);
+    const burnt = amount.mul(Decimal(1).sub(exitFee));
+    return {
+        token: o,
+        fee: zeroFee.sub(tokenAmountOut).sub(reserves),
+        reserves,
+        balances,
+        totalSupply: totalSupply.sub(burnt),
+    };
+}
+
+// Replays `history` for one configuration:
+// `{ name, tokens, weights, value, swapFee, reservesRatio, exitFee }`, where
+// `tokens` picks price columns, weights are normalized by their sum, fees are
+// fractions and `value` is what the pool starts with, split by weight at the
+// first row's prices. The LP measured is the one who seeded the pool with
+// INIT_POOL_SUPPLY; their `feeRevenue` is their part of the fees kept in the
+// pool and `reservesAccrued` what the protocol took, per token and in value.
+function backtest(history, config) {
+    const { tokens } = config;
+    const prices = pricePath(history, tokens);
+    const weights = config.weights.map((w) => Decimal(w.toString()));
+    const totalWeight = weights.reduce((a, b) => a.add(b), Decimal(0));
+    const exitFee = config.exitFee === undefined ? fromBone(EXIT_FEE) : Decimal(config.exitFee.toString());
+    const value = Decimal(config.value.toString());
+    const initial = weights.map((w, i) => value.mul(w).div(totalWeight).div(prices[0][i]));
+    const lpShares = fromBone(INIT_POOL_SUPPLY);
+    const pool = {
+        tokens,
+        balances: [...initial],
+        weights: weights.map((w) => w.div(totalWeight)),
+        swapFee: Decimal(config.swapFee.toString()),
+        reservesRatio: Decimal(config.reservesRatio.toString()),
+        exitFee,
+        totalSupply: lpShares,
+        lpShares,
+    };
+
+    let feeRevenue = Decimal(0);
+    const reserves = tokens.map(() => Decimal(0));
+    const counts = {
+        arbitrages: 0, swap: 0, join: 0, exit: 0, rejected: {},
+    };
+    history.rows.forEach((row, n) => {
+        const rowPrices = prices[n];
+        const arbitraged = arbitrage(pool, pool.balances, rowPrices);
+        pool.balances = arbitraged.balances;
+        counts.arbitrages += arbitraged.trades.length;
+        const outcomes = arbitraged.trades.map((trade) => ({
+            token: trade.tokenIn, fee: trade.fee.sub(trade.reserves), reserves: trade.reserves,
+        }));
+        if (row.flow !== null) {
+            const outcome = applyFlow(pool, row.flow);
+            if (outcome.rejected === undefined) {
+                pool.balances = outcome.balances;
+                pool.totalSupply = outcome.totalSupply;
+                outcomes.push(outcome);
+                counts[row.flow.type] += 1;
+            } else {
+                counts.rejected[outcome.rejected] = (counts.rejected[outcome.rejected] || 0) + 1;
+            }
+        }
+        const share = lpShares.div(pool.totalSupply);
+        outcomes.forEach((outcome) => {
+            feeRevenue = feeRevenue.add(outcome.fee.mul(rowPrices[outcome.token]).mul(share));
+            reserves[outcome.token] = reserves[outcome.token].add(outcome.reserves);
+        });
+    });
+
+    const final = prices[prices.length - 1];
+    const worth = (amounts) => amounts.reduce((sum, a, i) => sum.add(a.mul(final[i])), Decimal(0));
+    const share = lpShares.div(pool.totalSupply);
+    const finalValue = worth(pool.balances.map((b) => b.mul(share).mul(Decimal(1).sub(exitFee))));
+    const hodlValue = worth(initial);
+    return {
+        name: config.name,
+        finalValue,
+        hodlValue,
+        return: finalValue.div(hodlValue).sub(1),
+        impermanentLoss: impermanentLoss(pool.weights, prices[0], final),
+        feeRevenue,
+        reservesAccrued: tokens.reduce((byToken, t, i) => ({ ...byToken, [t]: reserves[i] }), {}),
+        reservesValue: worth(reserves),
+        balances: pool.balances,
+        totalSupply: pool.totalSupply,
+        counts,
+    };
+}
+
+// Backtests every configuration on the same history and ranks them by `by`,
+// highest first, e.g. 'finalValue', 'return' or 'feeRevenue'
+function compareConfigs(history, configs, { by = 'finalValue' } = {}) {
+    return configs
+        .map((config) => backtest(history, config))
+        .sort((a, b) => b[by].cmp(a[by]))
+        .map((result, i) => ({ rank: i + 1, ...result }));
+}
+
+module.exports = {
+    parseHistory,
+    loadHistory,
+    backtest,
+    compareConfigs,
+};
@@ -0,0 +1,49 @@
+// Reference: BConst.sol
+
+const BONE = BigInt(10) ** BigInt(18);
+
+const MIN_BOUND_TOKENS = BigInt(2);
+const MAX_BOUND_TOKENS = BigInt(8);
+
+const MIN_FEE = BONE / BigInt(40000);
+const MAX_FEE = BONE / BigInt(10);
+const EXIT_FEE = BigInt(0);
+const DEFAULT_RESERVES_RATIO = BONE / BigInt(5);
+
+const MIN_WEIGHT = BONE;
+const MAX_WEIGHT = BONE * BigInt(50);
+const MAX_TOTAL_WEIGHT = BONE * BigInt(50);
+const MIN_BALANCE = BONE / BigInt(10) ** BigInt(12);
+
+const INIT_POOL_SUPPLY = BONE * BigInt(100);
+
+const MIN_BPOW_BASE = BigInt(1);
+const MAX_BPOW_BASE = (BigInt(2) * BONE) - BigInt(1);
+const BPOW_PRECISION = BONE / BigInt(10) ** BigInt(10);
+
+const MAX_IN_RATIO = BONE / BigInt(2);
+const MAX_OUT_RATIO = (BONE / BigInt(3)) + BigInt(1);
+
+// Not part of BConst.sol, but every `uint` above is bounded by it on-chain
+const MAX_UINT = BigInt(2) ** BigInt(256) - BigInt(1);
+
+module.exports = {
+    BONE,
+    MIN_BOUND_TOKENS,
+    MAX_BOUND_TOKENS,
+    MIN_FEE,
+    MAX_FEE,
+    EXIT_FEE,
+    DEFAULT_RESERVES_RATIO,
+    MIN_WEIGHT,
+    MAX_WEIGHT,
+    MAX_TOTAL_WEIGHT,
+    MIN_BALANCE,
+    INIT_POOL_SUPPLY,
+    MIN_BPOW_BASE,
+    MAX_BPOW_BASE,
+    BPOW_PRECISION,
+    MAX_IN_RATIO,
+    MAX_OUT_RATIO,
+    MAX_UINT,
+};
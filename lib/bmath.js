@@ -0,0 +1,167 @@
+// Wei-exact port of BMath.sol on top of lib/bnum.
+// Arguments are anything `bnum` accepts, results are BigInts and functions
+// returning several values in Solidity return them as an array.
+
+const { BONE, EXIT_FEE } = require('./bconst');
+const {
+    bnum, bRequire, badd, bsub, bmul, bdiv, bpow,
+} = require('./bnum');
+
+// Reference: BMath.sol:calcSpotPrice
+function calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee) {
+    const numer = bdiv(tokenBalanceIn, tokenWeightIn);
+    const denom = bdiv(tokenBalanceOut, tokenWeightOut);
+    const ratio = bdiv(numer, denom);
+    const scale = bdiv(BONE, bsub(BONE, swapFee));
+    return bmul(ratio, scale);
+}
+
+// Reference: BMath.sol:calcOutGivenIn
+function calcOutGivenIn(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, swapFee) {
+    const weightRatio = bdiv(tokenWeightIn, tokenWeightOut);
+    let adjustedIn = bsub(BONE, swapFee);
+    adjustedIn = bmul(tokenAmountIn, adjustedIn);
+    const y = bdiv(tokenBalanceIn, badd(tokenBalanceIn, adjustedIn));
+    const foo = bpow(y, weightRatio);
+    const bar = bsub(BONE, foo);
+    const tokenAmountOut = bmul(tokenBalanceOut, bar);
+    const tokenInFee = bsub(tokenAmountIn, adjustedIn);
+    return [tokenAmountOut, tokenInFee];
+}
+
+// Reference: BMath.sol:calcInGivenOut
+function calcInGivenOut(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountOut, swapFee) {
+    const weightRatio = bdiv(tokenWeightOut, tokenWeightIn);
+    const diff = bsub(tokenBalanceOut, tokenAmountOut);
+    const y = bdiv(tokenBalanceOut, diff);
+    let foo = bpow(y, weightRatio);
+    foo = bsub(foo, BONE);
+    foo = bmul(tokenBalanceIn, foo);
+    let tokenAmountIn = bsub(BONE, swapFee);
+    tokenAmountIn = bdiv(foo, tokenAmountIn);
+    let tokenInFee = bdiv(foo, BONE);
+    tokenInFee = bsub(tokenAmountIn, tokenInFee);
+    return [tokenAmountIn, tokenInFee];
+}
+
+// Reference: BMath.sol:calcReserves
+function calcReserves(amountWithFee, amountWithoutFee, reservesRatio) {
+    bRequire(bnum(amountWithFee) >= bnum(amountWithoutFee), 'ERR_MATH_APPROX');
+    bRequire(bnum(reservesRatio) <= BONE, 'ERR_INVALID_RESERVE');
+    const swapFeeAndReserves = bsub(amountWithFee, amountWithoutFee);
+    const reserves = bmul(swapFeeAndReserves, reservesRatio);
+    bRequire(swapFeeAndReserves >= reserves, 'ERR_MATH_APPROX');
+    return reserves;
+}
+
+// Reference: BMath.sol:calcReservesFromFee
+function calcReservesFromFee(fee, reservesRatio) {
+    bRequire(bnum(reservesRatio) <= BONE, 'ERR_INVALID_RESERVE');
+    return bmul(fee, reservesRatio);
+}
+
+// Reference: BMath.sol:calcPoolOutGivenSingleIn
+function calcPoolOutGivenSingleIn(
+    tokenBalanceIn,
+    tokenWeightIn,
+    poolSupply,
+    totalWeight,
+    tokenAmountIn,
+    swapFee,
+    reservesRatio,
+) {
+    const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+    const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+    const tokenAmountInAfterFee = bmul(tokenAmountIn, bsub(BONE, zaz));
+
+    const reserves = calcReserves(tokenAmountIn, tokenAmountInAfterFee, reservesRatio);
+    const newTokenBalanceIn = badd(tokenBalanceIn, tokenAmountInAfterFee);
+    const tokenInRatio = bdiv(newTokenBalanceIn, tokenBalanceIn);
+
+    const poolRatio = bpow(tokenInRatio, normalizedWeight);
+    const newPoolSupply = bmul(poolRatio, poolSupply);
+    const poolAmountOut = bsub(newPoolSupply, poolSupply);
+    return [poolAmountOut, reserves];
+}
+
+// Reference: BMath.sol:calcSingleInGivenPoolOut
+function calcSingleInGivenPoolOut(
+    tokenBalanceIn,
+    tokenWeightIn,
+    poolSupply,
+    totalWeight,
+    poolAmountOut,
+    swapFee,
+) {
+    const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+    const newPoolSupply = badd(poolSupply, poolAmountOut);
+    const poolRatio = bdiv(newPoolSupply, poolSupply);
+
+    const boo = bdiv(BONE, normalizedWeight);
+    const tokenInRatio = bpow(poolRatio, boo);
+    const newTokenBalanceIn = bmul(tokenInRatio, tokenBalanceIn);
+    const tokenAmountInAfterFee = bsub(newTokenBalanceIn, tokenBalanceIn);
+    const zar = bmul(bsub(BONE, normalizedWeight), swapFee);
+    return bdiv(tokenAmountInAfterFee, bsub(BONE, zar));
+}
+
+// Reference: BMath.sol:calcSingleOutGivenPoolIn
+function calcSingleOutGivenPoolIn(
+    tokenBalanceOut,
+    tokenWeightOut,
+    poolSupply,
+    totalWeight,
+    poolAmountIn,
+    swapFee,
+) {
+    const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+    const poolAmountInAfterExitFee = bmul(poolAmountIn, bsub(BONE, EXIT_FEE));
+    const newPoolSupply = bsub(poolSupply, poolAmountInAfterExitFee);
+    const poolRatio = bdiv(newPoolSupply, poolSupply);
+
+    const tokenOutRatio = bpow(poolRatio, bdiv(BONE, normalizedWeight));
+    const newTokenBalanceOut = bmul(tokenOutRatio, tokenBalanceOut);
+
+    const tokenAmountOutBeforeSwapFee = bsub(tokenBalanceOut, newTokenBalanceOut);
+
+    const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+    return bmul(tokenAmountOutBeforeSwapFee, bsub(BONE, zaz));
+}
+
+// Reference: BMath.sol:calcPoolInGivenSingleOut
+function calcPoolInGivenSingleOut(
+    tokenBalanceOut,
+    tokenWeightOut,
+    poolSupply,
+    totalWeight,
+    tokenAmountOut,
+    swapFee,
+    reservesRatio,
+) {
+    const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+    const zar = bmul(bsub(BONE, normalizedWeight), swapFee);
+    const tokenAmountOutBeforeSwapFee = bdiv(tokenAmountOut, bsub(BONE, zar));
+    const reserves = calcReserves(tokenAmountOutBeforeSwapFee, tokenAmountOut, reservesRatio);
+
+    const newTokenBalanceOut = bsub(tokenBalanceOut, tokenAmountOutBeforeSwapFee);
+    const tokenOutRatio = bdiv(newTokenBalanceOut, tokenBalanceOut);
+
+    const poolRatio = bpow(tokenOutRatio, normalizedWeight);
+    const newPoolSupply = bmul(poolRatio, poolSupply);
+    const poolAmountInAfterExitFee = bsub(poolSupply, newPoolSupply);
+
+    const poolAmountIn = bdiv(poolAmountInAfterExitFee, bsub(BONE, EXIT_FEE));
+    return [poolAmountIn, reserves];
+}
+
+module.exports = {
+    calcSpotPrice,
+    calcOutGivenIn,
+    calcInGivenOut,
+    calcPoolOutGivenSingleIn,
+    calcSingleInGivenPoolOut,
+    calcSingleOutGivenPoolIn,
+    calcPoolInGivenSingleOut,
+    calcReserves,
+    calcReservesFromFee,
+};
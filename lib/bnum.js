@@ -0,0 +1,187 @@
+// Bit-exact port of BNum.sol on top of BigInt.
+// Every function rounds like its Solidity counterpart and throws an Error
+// carrying the revert reason wherever the contract would revert.
+
+const {
+    BONE,
+    MIN_BPOW_BASE,
+    MAX_BPOW_BASE,
+    BPOW_PRECISION,
+    MAX_UINT,
+} = require('./bconst');
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+// Accepts a BigInt, an integer number or string, or anything with a base 10
+// `toString()` such as the BN instances returned by truffle.
+function bnum(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    return BigInt(value.toString());
+}
+
+function bRequire(condition, reason) {
+    if (!condition) {
+        throw new Error(reason);
+    }
+}
+
+// `fn()`, or `{ error }` with the reason if it fails a bRequire the way BPool
+// would revert
+function attempt(fn) {
+    try {
+        return fn();
+    } catch (err) {
+        if (!/^ERR_/.test(err.message)) throw err;
+        return { error: err.message };
+    }
+}
+
+// Largest x in [lo, hi) that fits, given lo fits and hi does not
+function bisect(lo, hi, fits) {
+    let [low, high] = [bnum(lo), bnum(hi)];
+    while (high - low > BigInt(1)) {
+        const mid = (low + high) / BigInt(2);
+        if (fits(mid)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function btoi(a) {
+    return bnum(a) / BONE;
+}
+
+function bfloor(a) {
+    return btoi(a) * BONE;
+}
+
+function badd(a, b) {
+    const c = bnum(a) + bnum(b);
+    bRequire(c <= MAX_UINT, 'ERR_ADD_OVERFLOW');
+    return c;
+}
+
+function bsubSign(a, b) {
+    const x = bnum(a);
+    const y = bnum(b);
+    if (x >= y) {
+        return [x - y, false];
+    }
+    return [y - x, true];
+}
+
+function bsub(a, b) {
+    const [c, flag] = bsubSign(a, b);
+    bRequire(!flag, 'ERR_SUB_UNDERFLOW');
+    return c;
+}
+
+function bmul(a, b) {
+    const c0 = bnum(a) * bnum(b);
+    bRequire(c0 <= MAX_UINT, 'ERR_MUL_OVERFLOW');
+    const c1 = c0 + (BONE / TWO);
+    bRequire(c1 <= MAX_UINT, 'ERR_MUL_OVERFLOW');
+    return c1 / BONE;
+}
+
+function bdiv(a, b) {
+    const y = bnum(b);
+    bRequire(y !== ZERO, 'ERR_DIV_ZERO');
+    const c0 = bnum(a) * BONE;
+    bRequire(c0 <= MAX_UINT, 'ERR_DIV_INTERNAL'); // bmul overflow
+    const c1 = c0 + (y / TWO);
+    bRequire(c1 <= MAX_UINT, 'ERR_DIV_INTERNAL'); //  badd require
+    return c1 / y;
+}
+
+// DSMath.wpow
+function bpowi(a, n) {
+    let x = bnum(a);
+    let m = bnum(n);
+    let z = m % TWO !== ZERO ? x : BONE;
+
+    for (m /= TWO; m !== ZERO; m /= TWO) {
+        x = bmul(x, x);
+
+        if (m % TWO !== ZERO) {
+            z = bmul(z, x);
+        }
+    }
+    return z;
+}
+
+function bpowApprox(base, exp, precision) {
+    // term 0:
+    const a = bnum(exp);
+    const [x, xneg] = bsubSign(base, BONE);
+    const limit = bnum(precision);
+    let term = BONE;
+    let sum = term;
+    let negative = false;
+
+    // term(k) = numer / denom
+    //         = (product(a - i - 1, i=1-->k) * x^k) / (k!)
+    // each iteration, multiply previous term by (a-(k-1)) * x / k
+    // continue until term is less than precision
+    for (let i = ONE; term >= limit; i += ONE) {
+        const bigK = i * BONE;
+        const [c, cneg] = bsubSign(a, bsub(bigK, BONE));
+        term = bmul(term, bmul(c, x));
+        term = bdiv(term, bigK);
+        if (term === ZERO) break;
+
+        if (xneg) negative = !negative;
+        if (cneg) negative = !negative;
+        if (negative) {
+            sum = bsub(sum, term);
+        } else {
+            sum = badd(sum, term);
+        }
+    }
+
+    return sum;
+}
+
+// Compute b^(e.w) by splitting it into (b^e)*(b^0.w).
+// Use `bpowi` for `b^e` and `bpowApprox` for k iterations
+// of approximation of b^0.w
+function bpow(base, exp) {
+    bRequire(bnum(base) >= MIN_BPOW_BASE, 'ERR_BPOW_BASE_TOO_LOW');
+    bRequire(bnum(base) <= MAX_BPOW_BASE, 'ERR_BPOW_BASE_TOO_HIGH');
+
+    const whole = bfloor(exp);
+    const remain = bsub(exp, whole);
+
+    const wholePow = bpowi(base, btoi(whole));
+
+    if (remain === ZERO) {
+        return wholePow;
+    }
+
+    const partialResult = bpowApprox(base, remain, BPOW_PRECISION);
+    return bmul(wholePow, partialResult);
+}
+
+module.exports = {
+    bnum,
+    bRequire,
+    attempt,
+    bisect,
+    btoi,
+    bfloor,
+    badd,
+    bsub,
+    bsubSign,
+    bmul,
+    bdiv,
+    bpowi,
+    bpow,
+    bpowApprox,
+};
@@ -13,6 +13,22 @@ function calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeig
     return spotPrice;
 }
 
+// The tokenAmountIn at which the marginal price along the fee-adjusted curve
+// reaches `marginalPrice`, zero if it is already there. Along that curve the
+// balance in grows by tokenAmountIn * (1 - swapFee), so the marginal price is
+// calcSpotPrice * (1 + tokenAmountIn * (1 - swapFee) / tokenBalanceIn) ^ (1 + tokenWeightIn / tokenWeightOut).
+// It is not BPool's spotPriceAfter, whose balance in grows by tokenAmountIn less
+// only the reserves, so it must not be used to set maxPrice limits.
+function calcInGivenPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee, marginalPrice) {
+    const spotPrice = calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee);
+    if (Decimal(marginalPrice).lte(spotPrice)) {
+        return Decimal(0);
+    }
+    const weightRatio = Decimal(tokenWeightOut).div(Decimal(tokenWeightIn).plus(Decimal(tokenWeightOut)));
+    const growth = Decimal(marginalPrice).div(spotPrice).pow(weightRatio);
+    return Decimal(tokenBalanceIn).div(Decimal(1).minus(Decimal(swapFee))).times(growth.minus(1));
+}
+
 function calcOutGivenIn(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, swapFee) {
     const weightRatio = Decimal(tokenWeightIn).div(Decimal(tokenWeightOut));
     const adjustedIn = Decimal(tokenAmountIn).times((Decimal(1).minus(Decimal(swapFee))));
@@ -84,6 +100,31 @@ function calcSingleOutGivenPoolIn(
     return tokenAmountOutBeforeSwapFee.mul(Decimal(1).sub(zaz));
 }
 
+// Reference: BMath.sol:calcPoolInGivenSingleOut
+function calcPoolInGivenSingleOut(
+    tokenBalanceOut,
+    tokenWeightOut,
+    poolSupply,
+    totalWeight,
+    tokenAmountOut,
+    swapFee,
+    exitFee,
+) {
+    const normalizedWeight = Decimal(tokenWeightOut).div(Decimal(totalWeight));
+
+    const zar = (Decimal(1).sub(normalizedWeight)).mul(Decimal(swapFee));
+    const tokenAmountOutBeforeSwapFee = Decimal(tokenAmountOut).div(Decimal(1).sub(zar));
+
+    const newTokenBalanceOut = Decimal(tokenBalanceOut).sub(tokenAmountOutBeforeSwapFee);
+    const tokenOutRatio = newTokenBalanceOut.div(Decimal(tokenBalanceOut));
+
+    const poolRatio = tokenOutRatio.pow(normalizedWeight);
+    const newPoolSupply = poolRatio.mul(Decimal(poolSupply));
+    const poolAmountInAfterExitFee = Decimal(poolSupply).sub(newPoolSupply);
+
+    return poolAmountInAfterExitFee.div(Decimal(1).sub(Decimal(exitFee)));
+}
+
 function calcReserves(amountWithFee, amountWithoutFee, reservesRatio) {
     const amountWithFeeDecimal = Decimal(amountWithFee);
     const amountWithoutFeeDecimal = Decimal(amountWithoutFee);
@@ -99,9 +140,11 @@ module.exports = {
     calcSpotPrice,
     calcOutGivenIn,
     calcInGivenOut,
+    calcInGivenPrice,
     calcPoolOutGivenSingleIn,
     calcSingleInGivenPoolOut,
     calcRelativeDiff,
     calcSingleOutGivenPoolIn,
+    calcPoolInGivenSingleOut,
     calcReservesFromFee,
 };
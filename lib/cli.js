@@ -0,0 +1,12 @@
+// Command line helpers for the scripts run with `truffle exec`.
+
+// Every value given for a repeatable flag, e.g. options('--pool') for
+// `--pool 0xa --pool 0xb`
+function options(name, argv = process.argv) {
+    return argv.map((arg, i) => (arg === name ? argv[i + 1] : undefined))
+        .filter((value) => value !== undefined);
+}
+
+module.exports = {
+    options,
+};
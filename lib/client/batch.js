@@ -0,0 +1,100 @@
+// Batched view calls. A `BatchReader` sends many eth_calls as one JSON-RPC
+// batch request or, given a deployed BMulticall, as a single eth_call to its
+// `aggregate`. Either way every call is read at the same block.
+
+const DEFAULT_BATCH_SIZE = 200;
+
+function functionAbi(abi, method, args) {
+    const item = abi.find((e) => e.type === 'function' && e.name === method && e.inputs.length === args.length);
+    if (item === undefined) {
+        throw new Error(`batch: no ${method} taking ${args.length} arguments in the ABI`);
+    }
+    return item;
+}
+
+function chunks(items, size) {
+    const result = [];
+    for (let i = 0; i < items.length; i += size) {
+        result.push(items.slice(i, i + size));
+    }
+    return result;
+}
+
+class BatchReader {
+    // `web3` is the one the contracts were loaded with. `multicall` is a
+    // BMulticall truffle instance; without it calls go out as JSON-RPC
+    // batches. Either way at most `batchSize` calls are sent at once.
+    constructor(web3, { multicall, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+        this.web3 = web3;
+        this.multicall = multicall;
+        this.batchSize = batchSize;
+        this.nextId = 1;
+    }
+
+    // A reader over the BMulticall deployed by the migrations, or over JSON-RPC
+    // batches on networks it was not deployed to
+    static async deployed(artifacts, web3, options = {}) {
+        const BMulticall = artifacts.require('BMulticall');
+        await BMulticall.detectNetwork();
+        const multicall = BMulticall.isDeployed() ? await BMulticall.deployed() : undefined;
+        return new BatchReader(web3, { ...options, multicall });
+    }
+
+    // `calls` are `{ to, abi, method, args }`, with `abi` the contract's ABI.
+    // Resolves to the decoded results in order: the single value for one
+    // output, an object like web3's for several. Values are strings as web3
+    // decodes them. A call that reverts rejects the whole read.
+    async read(calls, blockNumber = 'latest') {
+        const encoded = calls.map(({
+            to, abi, method, args = [],
+        }) => {
+            const item = functionAbi(abi, method, args);
+            return { to, item, data: this.web3.eth.abi.encodeFunctionCall(item, args) };
+        });
+        const block = typeof blockNumber === 'number' ? this.web3.utils.numberToHex(blockNumber) : blockNumber;
+        const send = (batch) => (
+            this.multicall === undefined ? this.sendBatch(batch, block) : this.aggregate(batch, block)
+        );
+        const raw = [].concat(...await Promise.all(chunks(encoded, this.batchSize).map(send)));
+        return raw.map((hex, i) => {
+            const { outputs } = encoded[i].item;
+            const decoded = this.web3.eth.abi.decodeParameters(outputs, hex);
+            return outputs.length === 1 ? decoded[0] : decoded;
+        });
+    }
+
+    async aggregate(batch, block) {
+        const { results } = await this.multicall.contract.methods
+            .aggregate(batch.map((c) => c.to), batch.map((c) => c.data))
+            .call({}, block);
+        return results;
+    }
+
+    async sendBatch(batch, block) {
+        const payload = batch.map(({ to, data }) => {
+            const id = this.nextId;
+            this.nextId += 1;
+            return {
+                jsonrpc: '2.0', id, method: 'eth_call', params: [{ to, data }, block],
+            };
+        });
+        const provider = this.web3.currentProvider;
+        const responses = await new Promise((resolve, reject) => {
+            const send = (provider.sendAsync || provider.send).bind(provider);
+            send(payload, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        const byId = {};
+        [].concat(responses).forEach((response) => {
+            byId[response.id] = response;
+        });
+        return payload.map(({ id }) => {
+            const response = byId[id];
+            if (response === undefined || response.error) {
+                throw new Error(`batch: eth_call failed: ${response ? response.error.message : 'no response'}`);
+            }
+            return response.result;
+        });
+    }
+}
+
+module.exports = BatchReader;
@@ -0,0 +1,71 @@
+const Pool = require('./pool');
+const BatchReader = require('./batch');
+const { withOptions } = require('./units');
+
+class Factory {
+    constructor(artifacts, instance) {
+        this.artifacts = artifacts;
+        this.contract = instance;
+        this.address = instance.address;
+    }
+
+    static async deployed(artifacts) {
+        const BFactory = artifacts.require('BFactory');
+        return new Factory(artifacts, await BFactory.deployed());
+    }
+
+    static async at(artifacts, address) {
+        const BFactory = artifacts.require('BFactory');
+        return new Factory(artifacts, await BFactory.at(address));
+    }
+
+    async newPool(options) {
+        const tx = await this.contract.newBPool(...withOptions([], options));
+        const { pool } = tx.logs.find(({ event }) => event === 'LOG_NEW_POOL').args;
+        return Pool.at(this.artifacts, pool);
+    }
+
+    async isPool(address) {
+        return this.contract.isBPool(address);
+    }
+
+    // Addresses of every pool created by this factory, from its LOG_NEW_POOL events
+    async getPools(fromBlock = 0, { toBlock = 'latest', reader } = {}) {
+        const events = await this.contract.getPastEvents('LOG_NEW_POOL', { fromBlock, toBlock });
+        const addresses = events.map(({ args }) => args.pool);
+        const batch = reader || new BatchReader(this.contract.constructor.web3);
+        const isPool = await batch.read(addresses.map((address) => ({
+            to: this.address, abi: this.contract.abi, method: 'isBPool', args: [address],
+        })), toBlock);
+        return addresses.filter((_, i) => isPool[i]);
+    }
+
+    // `getPoolState` of every pool, all at `blockNumber` (default: the latest),
+    // in a few batched reads; see Pool.getPoolStates
+    async getPoolStates(blockNumber, { fromBlock = 0, reader } = {}) {
+        const BPool = this.artifacts.require('BPool');
+        const { web3 } = this.contract.constructor;
+        const block = blockNumber === undefined ? await web3.eth.getBlockNumber() : blockNumber;
+        const addresses = await this.getPools(fromBlock, { toBlock: block, reader });
+        const pools = addresses.map((address) => new Pool(this.artifacts, new BPool(address)));
+        return Pool.getPoolStates(pools, block, { reader });
+    }
+
+    async pool(address) {
+        return Pool.at(this.artifacts, address);
+    }
+
+    async getBLabs() {
+        return this.contract.getBLabs();
+    }
+
+    async getReservesAddress() {
+        return this.contract.getReservesAddress();
+    }
+
+    async collectTokenReserves(pool, options) {
+        return this.contract.collectTokenReserves(...withOptions([pool.address || pool], options));
+    }
+}
+
+module.exports = Factory;
@@ -0,0 +1,19 @@
+// Client SDK over the BFactory and BPool truffle artifacts.
+// Amounts go in as human readable decimals (numbers, strings or Decimals)
+// and are scaled by the token's `decimals()`; results come back as Decimals.
+// `Pool.getPoolState` returns a raw wei snapshot for the wei-exact lib/bmath,
+// read in batches through a `BatchReader`.
+
+const Factory = require('./factory');
+const Pool = require('./pool');
+const BatchReader = require('./batch');
+const { MAX, toUnits, fromUnits } = require('./units');
+
+module.exports = {
+    Factory,
+    Pool,
+    BatchReader,
+    MAX,
+    toUnits,
+    fromUnits,
+};
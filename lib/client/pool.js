@@ -0,0 +1,426 @@
+const Decimal = require('decimal.js');
+const { bnum } = require('../bnum');
+const {
+    MAX, POOL_DECIMALS, toUnits, fromUnits, fromBone, toBone, withOptions,
+} = require('./units');
+const BatchReader = require('./batch');
+
+// Read once per pool by getPoolStates, in this order
+const POOL_GETTERS = [
+    'getCurrentTokens', 'getTotalDenormalizedWeight', 'getSwapFee', 'getReservesRatio',
+    'totalSupply', 'isFinalized', 'isPublicSwap',
+];
+
+/**
+ * A pool's state at one block, as `getPoolState` reads it. Amounts are
+ * BigInts in wei, as the contract stores them.
+ * @typedef {Object} PoolState
+ * @property {string} address
+ * @property {number} blockNumber
+ * @property {string[]} tokens - the bound tokens, in the pool's order
+ * @property {Object<string, TokenRecord>} records - by token address
+ * @property {bigint} totalWeight
+ * @property {bigint} swapFee
+ * @property {bigint} reservesRatio
+ * @property {Object<string, bigint>} totalReserves - by token address
+ * @property {bigint} totalSupply
+ * @property {boolean} finalized
+ * @property {boolean} publicSwap
+ */
+
+/**
+ * @typedef {Object} TokenRecord
+ * @property {bigint} balance
+ * @property {bigint} denorm
+ * @property {number} decimals - the token's `decimals()`
+ */
+
+/**
+ * What a single-token trade resolves to, read from the events of its
+ * receipt. Amounts are Decimals in token units, BPT with 18 decimals.
+ * The receipt has no `spotPriceAfter`; read `getSpotPrice` after the trade.
+ * @typedef {Object} TradeResult
+ * @property {Decimal} [tokenAmountIn] - swaps and joins
+ * @property {Decimal} [tokenAmountOut] - swaps and exits
+ * @property {Decimal} [poolAmountOut] - joins
+ * @property {Decimal} [poolAmountIn] - exits
+ * @property {Object} tx - the truffle tx result
+ */
+
+// Throws unless every limit of `method` is given: a missing limit would
+// otherwise be sent as 0 or MAX, which leaves the trade unprotected
+function checkLimits(method, limits) {
+    const missing = Object.keys(limits).filter((name) => limits[name] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`${method}: ${missing.join(' and ')} must be given`);
+    }
+}
+
+class Pool {
+    // `artifacts` is the truffle global, `instance` a deployed BPool
+    constructor(artifacts, instance) {
+        this.artifacts = artifacts;
+        this.contract = instance;
+        this.address = instance.address;
+        this.web3 = instance.constructor.web3;
+        this.tokenDecimals = {};
+    }
+
+    static async at(artifacts, address) {
+        const BPool = artifacts.require('BPool');
+        return new Pool(artifacts, await BPool.at(address));
+    }
+
+    async token(address) {
+        const BToken = this.artifacts.require('BToken');
+        return BToken.at(address);
+    }
+
+    async decimals(token) {
+        if (this.tokenDecimals[token] === undefined) {
+            const erc20 = await this.token(token);
+            this.cacheDecimals(token, await erc20.decimals());
+        }
+        return this.tokenDecimals[token];
+    }
+
+    // Tokens never change their decimals, so they are read once per pool
+    cacheDecimals(token, decimals) {
+        this.tokenDecimals[token] = Number(decimals);
+    }
+
+    async toUnits(token, amount) {
+        return toUnits(amount, await this.decimals(token));
+    }
+
+    async fromUnits(token, amount) {
+        return fromUnits(amount, await this.decimals(token));
+    }
+
+    // Approves the pool to pull `amount` (default unlimited) of `token`
+    async approve(token, amount, options) {
+        const erc20 = await this.token(token);
+        const units = amount === undefined ? MAX : await this.toUnits(token, amount);
+        return erc20.approve(...withOptions([this.address, units], options));
+    }
+
+    /* Views */
+
+    async isPublicSwap() {
+        return this.contract.isPublicSwap();
+    }
+
+    async isFinalized() {
+        return this.contract.isFinalized();
+    }
+
+    async isBound(token) {
+        return this.contract.isBound(token);
+    }
+
+    async getNumTokens() {
+        return Number(await this.contract.getNumTokens());
+    }
+
+    async getCurrentTokens() {
+        return this.contract.getCurrentTokens();
+    }
+
+    async getFinalTokens() {
+        return this.contract.getFinalTokens();
+    }
+
+    async getController() {
+        return this.contract.getController();
+    }
+
+    async getBalance(token) {
+        return this.fromUnits(token, await this.contract.getBalance(token));
+    }
+
+    async getDenormalizedWeight(token) {
+        return fromBone(await this.contract.getDenormalizedWeight(token));
+    }
+
+    async getTotalDenormalizedWeight() {
+        return fromBone(await this.contract.getTotalDenormalizedWeight());
+    }
+
+    async getNormalizedWeight(token) {
+        return fromBone(await this.contract.getNormalizedWeight(token));
+    }
+
+    async getSwapFee() {
+        return fromBone(await this.contract.getSwapFee());
+    }
+
+    async getReservesRatio() {
+        return fromBone(await this.contract.getReservesRatio());
+    }
+
+    async totalReserves(token) {
+        return this.fromUnits(token, await this.contract.totalReserves(token));
+    }
+
+    async totalSupply() {
+        return fromUnits(await this.contract.totalSupply(), POOL_DECIMALS);
+    }
+
+    async balanceOf(whom) {
+        return fromUnits(await this.contract.balanceOf(whom), POOL_DECIMALS);
+    }
+
+    // Price of one `tokenOut` in `tokenIn`, corrected for the tokens' decimals
+    async getSpotPrice(tokenIn, tokenOut) {
+        return this.fromPrice(tokenIn, tokenOut, await this.contract.getSpotPrice(tokenIn, tokenOut));
+    }
+
+    async getSpotPriceSansFee(tokenIn, tokenOut) {
+        return this.fromPrice(tokenIn, tokenOut, await this.contract.getSpotPriceSansFee(tokenIn, tokenOut));
+    }
+
+    async fromPrice(tokenIn, tokenOut, price) {
+        const shift = (await this.decimals(tokenOut)) - (await this.decimals(tokenIn));
+        return fromBone(price).mul(Decimal(10).pow(shift));
+    }
+
+    async toPrice(tokenIn, tokenOut, price) {
+        const shift = (await this.decimals(tokenIn)) - (await this.decimals(tokenOut));
+        return toBone(Decimal(price.toString()).mul(Decimal(10).pow(shift)));
+    }
+
+    /**
+     * Reads the whole pool state at a single block (default: the latest).
+     * Reads go through `reader` (default: JSON-RPC batches, see ./batch).
+     * @returns {Promise<PoolState>}
+     */
+    async getPoolState(blockNumber, { reader } = {}) {
+        const [state] = await Pool.getPoolStates([this], blockNumber, { reader });
+        return state;
+    }
+
+    // `getPoolState` of every pool in `pools` at the same block, in two
+    // rounds of batched reads however many pools and tokens there are
+    static async getPoolStates(pools, blockNumber, { reader } = {}) {
+        if (pools.length === 0) {
+            return [];
+        }
+        const { web3 } = pools[0];
+        const batch = reader || new BatchReader(web3);
+        const block = blockNumber === undefined ? await web3.eth.getBlockNumber() : blockNumber;
+
+        const getters = (pool) => POOL_GETTERS.map((method) => ({ to: pool.address, abi: pool.contract.abi, method }));
+        const globals = await batch.read([].concat(...pools.map(getters)), block);
+        const perPool = pools.map((pool, n) => globals.slice(n * POOL_GETTERS.length, (n + 1) * POOL_GETTERS.length));
+
+        const { abi: erc20 } = pools[0].artifacts.require('BToken');
+        const tokenCalls = [];
+        pools.forEach((pool, n) => perPool[n][0].forEach((t) => {
+            ['getBalance', 'getDenormalizedWeight', 'totalReserves'].forEach((method) => tokenCalls.push({
+                to: pool.address, abi: pool.contract.abi, method, args: [t],
+            }));
+            if (pool.tokenDecimals[t] === undefined) {
+                tokenCalls.push({ to: t, abi: erc20, method: 'decimals' });
+            }
+        }));
+        const values = await batch.read(tokenCalls, block);
+
+        let next = 0;
+        const take = () => {
+            next += 1;
+            return values[next - 1];
+        };
+        return pools.map((pool, n) => {
+            const [tokens, totalWeight, swapFee, reservesRatio, totalSupply, finalized, publicSwap] = perPool[n];
+            const records = {};
+            const totalReserves = {};
+            tokens.forEach((t) => {
+                const [balance, denorm, reserves] = [take(), take(), take()];
+                if (pool.tokenDecimals[t] === undefined) {
+                    pool.cacheDecimals(t, take());
+                }
+                records[t] = { balance: bnum(balance), denorm: bnum(denorm), decimals: pool.tokenDecimals[t] };
+                totalReserves[t] = bnum(reserves);
+            });
+            return {
+                address: pool.address,
+                blockNumber: block,
+                tokens,
+                records,
+                totalWeight: bnum(totalWeight),
+                swapFee: bnum(swapFee),
+                reservesRatio: bnum(reservesRatio),
+                totalReserves,
+                totalSupply: bnum(totalSupply),
+                finalized,
+                publicSwap,
+            };
+        });
+    }
+
+    /* Controller */
+
+    async bind(token, balance, denorm, options) {
+        const args = [token, await this.toUnits(token, balance), toBone(denorm)];
+        return this.contract.bind(...withOptions(args, options));
+    }
+
+    async rebind(token, balance, denorm, options) {
+        const args = [token, await this.toUnits(token, balance), toBone(denorm)];
+        return this.contract.rebind(...withOptions(args, options));
+    }
+
+    async unbind(token, options) {
+        return this.contract.unbind(...withOptions([token], options));
+    }
+
+    async setSwapFee(swapFee, options) {
+        return this.contract.setSwapFee(...withOptions([toBone(swapFee)], options));
+    }
+
+    async setReservesRatio(reservesRatio, options) {
+        return this.contract.setReservesRatio(...withOptions([toBone(reservesRatio)], options));
+    }
+
+    async setPublicSwap(publicSwap, options) {
+        return this.contract.setPublicSwap(...withOptions([publicSwap], options));
+    }
+
+    async setController(manager, options) {
+        return this.contract.setController(...withOptions([manager], options));
+    }
+
+    async finalize(options) {
+        return this.contract.finalize(...withOptions([], options));
+    }
+
+    async gulp(token, options) {
+        return this.contract.gulp(...withOptions([token], options));
+    }
+
+    /* Trading
+       Single-token trades need every limit and resolve to a TradeResult,
+       read from the events in the receipt. joinPool and exitPool leave
+       limits that are undefined unenforced. */
+
+    async joinPool(poolAmountOut, maxAmountsIn, options) {
+        const tokens = await this.getCurrentTokens();
+        const limits = await Promise.all(tokens.map((t, i) => (
+            maxAmountsIn === undefined ? MAX : this.toUnits(t, maxAmountsIn[i])
+        )));
+        return this.contract.joinPool(...withOptions([toUnits(poolAmountOut, POOL_DECIMALS), limits], options));
+    }
+
+    async exitPool(poolAmountIn, minAmountsOut, options) {
+        const tokens = await this.getCurrentTokens();
+        const limits = await Promise.all(tokens.map((t, i) => (
+            minAmountsOut === undefined ? '0' : this.toUnits(t, minAmountsOut[i])
+        )));
+        return this.contract.exitPool(...withOptions([toUnits(poolAmountIn, POOL_DECIMALS), limits], options));
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice, options) {
+        checkLimits('swapExactAmountIn', { minAmountOut, maxPrice });
+        const args = [
+            tokenIn,
+            await this.toUnits(tokenIn, tokenAmountIn),
+            tokenOut,
+            await this.toUnits(tokenOut, minAmountOut),
+            await this.toPrice(tokenIn, tokenOut, maxPrice),
+        ];
+        return this.send({ method: 'swapExactAmountIn', args }, options);
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async swapExactAmountOut(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice, options) {
+        checkLimits('swapExactAmountOut', { maxAmountIn, maxPrice });
+        const args = [
+            tokenIn,
+            await this.toUnits(tokenIn, maxAmountIn),
+            tokenOut,
+            await this.toUnits(tokenOut, tokenAmountOut),
+            await this.toPrice(tokenIn, tokenOut, maxPrice),
+        ];
+        return this.send({ method: 'swapExactAmountOut', args }, options);
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async joinswapExternAmountIn(tokenIn, tokenAmountIn, minPoolAmountOut, options) {
+        checkLimits('joinswapExternAmountIn', { minPoolAmountOut });
+        const args = [tokenIn, await this.toUnits(tokenIn, tokenAmountIn), toUnits(minPoolAmountOut, POOL_DECIMALS)];
+        return this.send({ method: 'joinswapExternAmountIn', args }, options);
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async joinswapPoolAmountOut(tokenIn, poolAmountOut, maxAmountIn, options) {
+        checkLimits('joinswapPoolAmountOut', { maxAmountIn });
+        const args = [tokenIn, toUnits(poolAmountOut, POOL_DECIMALS), await this.toUnits(tokenIn, maxAmountIn)];
+        return this.send({ method: 'joinswapPoolAmountOut', args }, options);
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async exitswapPoolAmountIn(tokenOut, poolAmountIn, minAmountOut, options) {
+        checkLimits('exitswapPoolAmountIn', { minAmountOut });
+        const args = [tokenOut, toUnits(poolAmountIn, POOL_DECIMALS), await this.toUnits(tokenOut, minAmountOut)];
+        return this.send({ method: 'exitswapPoolAmountIn', args }, options);
+    }
+
+    /** @returns {Promise<TradeResult>} */
+    async exitswapExternAmountOut(tokenOut, tokenAmountOut, maxPoolAmountIn, options) {
+        checkLimits('exitswapExternAmountOut', { maxPoolAmountIn });
+        const args = [tokenOut, await this.toUnits(tokenOut, tokenAmountOut), toUnits(maxPoolAmountIn, POOL_DECIMALS)];
+        return this.send({ method: 'exitswapExternAmountOut', args }, options);
+    }
+
+    /**
+     * Sends a single-token trade given as `{ method, args }` in wei, the way
+     * lib/quote and lib/single_asset build them.
+     * @returns {Promise<TradeResult>}
+     */
+    async send({ method, args }, options) {
+        const tx = await this.contract[method](...withOptions(args, options));
+        if (method.startsWith('swap')) {
+            const {
+                tokenIn, tokenOut, tokenAmountIn, tokenAmountOut,
+            } = this.logArgs(tx, 'LOG_SWAP');
+            return {
+                tokenAmountIn: await this.fromUnits(tokenIn, tokenAmountIn),
+                tokenAmountOut: await this.fromUnits(tokenOut, tokenAmountOut),
+                tx,
+            };
+        }
+        if (method.startsWith('joinswap')) {
+            const { tokenIn, tokenAmountIn } = this.logArgs(tx, 'LOG_JOIN');
+            return {
+                tokenAmountIn: await this.fromUnits(tokenIn, tokenAmountIn),
+                poolAmountOut: fromUnits(this.sharesMoved(tx, 'LOG_JOIN'), POOL_DECIMALS),
+                tx,
+            };
+        }
+        const { tokenOut, tokenAmountOut } = this.logArgs(tx, 'LOG_EXIT');
+        return {
+            tokenAmountOut: await this.fromUnits(tokenOut, tokenAmountOut),
+            poolAmountIn: fromUnits(this.sharesMoved(tx, 'LOG_EXIT'), POOL_DECIMALS),
+            tx,
+        };
+    }
+
+    // Args of the first `name` event the pool emitted in `tx` that `match`es.
+    // Tokens' own Transfers are in the receipt too, decoded with the same ABI.
+    logArgs(tx, name, match = () => true) {
+        return tx.logs.find(({ address, event, args }) => (
+            address === this.address && event === name && match(args)
+        )).args;
+    }
+
+    // Pool shares the pool pushed to (on a join) or pulled from (on an exit)
+    // the caller of the `LOG_JOIN` or `LOG_EXIT` in `tx`
+    sharesMoved(tx, event) {
+        const { caller } = this.logArgs(tx, event);
+        const [src, dst] = event === 'LOG_JOIN' ? [this.address, caller] : [caller, this.address];
+        return this.logArgs(tx, 'Transfer', (args) => args.src === src && args.dst === dst).amt;
+    }
+}
+
+module.exports = Pool;
@@ -0,0 +1,40 @@
+// Conversions between human readable decimals and on-chain integers.
+
+const Decimal = require('decimal.js');
+const { MAX_UINT } = require('../bconst');
+
+const MAX = MAX_UINT.toString();
+const POOL_DECIMALS = 18; // BToken.decimals()
+
+function toUnits(amount, decimals) {
+    // Digits beyond the token's precision are truncated
+    return Decimal(amount.toString()).mul(Decimal(10).pow(decimals)).toFixed(0, Decimal.ROUND_DOWN);
+}
+
+function fromUnits(amount, decimals) {
+    return Decimal(amount.toString()).div(Decimal(10).pow(decimals));
+}
+
+// BONE-scaled value (weights, fees, ratios) as a plain Decimal
+function fromBone(value) {
+    return fromUnits(value, 18);
+}
+
+function toBone(value) {
+    return toUnits(value, 18);
+}
+
+// truffle-contract takes tx params as an optional trailing argument
+function withOptions(args, options) {
+    return options === undefined ? args : [...args, options];
+}
+
+module.exports = {
+    MAX,
+    POOL_DECIMALS,
+    toUnits,
+    fromUnits,
+    fromBone,
+    toBone,
+    withOptions,
+};
@@ -0,0 +1,279 @@
+// Seeded differential fuzzer: random BPool call sequences are replayed on a
+// real pool and on lib/pool_simulator, and every step is diffed.
+//
+// A sequence is an array of `{ method, args }` actions. Token arguments are
+// the placeholders 'T0', 'T1', ... so a sequence can be printed and replayed
+// against freshly deployed tokens.
+
+const { BONE, MAX_UINT } = require('./bconst');
+const { bnum } = require('./bnum');
+const PoolSimulator = require('./pool_simulator');
+
+const MAX = MAX_UINT.toString();
+const TOKEN_PLACEHOLDER = /^T\d+$/;
+// Enough of every token for any balance `generateSequence` produces
+const MINT_AMOUNT = (BONE * BigInt(10) ** BigInt(12)).toString();
+
+// Park-Miller minimal standard generator, small and good enough to pick fuzz
+// inputs. Every product stays below 2^53, so plain numbers are exact.
+const MODULUS = 2147483647;
+const MULTIPLIER = 48271;
+
+function createRandom(seed) {
+    let state = (((Math.floor(seed) % (MODULUS - 1)) + (MODULUS - 1)) % (MODULUS - 1)) + 1;
+    const next = () => {
+        state = (state * MULTIPLIER) % MODULUS;
+        return (state - 1) / (MODULUS - 1);
+    };
+    // Small seeds start with tiny outputs; skip past them
+    for (let i = 0; i < 8; i += 1) next();
+    return {
+        next,
+        int: (n) => Math.floor(next() * n),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        // `amount * f` with f uniform in [0, max)
+        fraction: (amount, max) => (bnum(amount) * BigInt(Math.floor(next() * max * 1e6))) / BigInt(1e6),
+    };
+}
+
+function tokenNames(tokenCount) {
+    return Array.from({ length: tokenCount }, (_, i) => `T${i}`);
+}
+
+function isRevert(err) {
+    return /^ERR_/.test(err.message);
+}
+
+// Random amounts are taken relative to the state of `model`, so most calls
+// are plausible while some still cross a limit and must revert on both sides.
+function randomAction(random, model, tokens) {
+    const t = random.pick(tokens);
+    const other = random.pick(tokens.filter((name) => name !== t));
+    const balance = model.isBound(t) ? model.getBalance(t) : BONE;
+    const otherBalance = model.isBound(other) ? model.getBalance(other) : BONE;
+    const supply = model.totalSupply;
+    const anyAmount = () => (BigInt(random.int(1e6) + 1) * BigInt(10) ** BigInt(random.int(16) + 3)).toString();
+    const anyWeight = () => (BigInt(random.int(25e3) + 500) * (BONE / BigInt(1e3))).toString();
+    const maxAmounts = () => model.getCurrentTokens().map(() => MAX);
+    const minAmounts = () => model.getCurrentTokens().map(() => '0');
+
+    if (!model.isFinalized()) {
+        const unbound = tokens.filter((name) => !model.isBound(name));
+        const fresh = unbound.length > 0 ? random.pick(unbound) : t;
+        const setup = [
+            { method: 'bind', args: [fresh, anyAmount(), anyWeight()] },
+            { method: 'bind', args: [fresh, anyAmount(), anyWeight()] },
+            { method: 'rebind', args: [t, anyAmount(), anyWeight()] },
+            { method: 'unbind', args: [t] },
+            { method: 'setSwapFee', args: [random.fraction(BONE, 0.12).toString()] },
+            { method: 'setReservesRatio', args: [random.fraction(BONE, 1.1).toString()] },
+            { method: 'finalize', args: [] },
+            { method: 'finalize', args: [] },
+        ];
+        return random.pick(setup);
+    }
+
+    const trade = [
+        { method: 'joinPool', args: [random.fraction(supply, 1).toString(), maxAmounts()] },
+        { method: 'exitPool', args: [random.fraction(supply, 0.6).toString(), minAmounts()] },
+        { method: 'swapExactAmountIn', args: [t, random.fraction(balance, 0.6).toString(), other, '0', MAX] },
+        { method: 'swapExactAmountOut', args: [t, MAX, other, random.fraction(otherBalance, 0.4).toString(), MAX] },
+        { method: 'joinswapExternAmountIn', args: [t, random.fraction(balance, 0.6).toString(), '0'] },
+        { method: 'joinswapPoolAmountOut', args: [t, random.fraction(supply, 0.3).toString(), MAX] },
+        { method: 'exitswapPoolAmountIn', args: [t, random.fraction(supply, 0.3).toString(), '0'] },
+        { method: 'exitswapExternAmountOut', args: [t, random.fraction(balance, 0.4).toString(), MAX] },
+    ];
+    return random.pick(trade);
+}
+
+function generateSequence(random, { length, tokenCount = 3 }) {
+    const tokens = tokenNames(tokenCount);
+    const model = new PoolSimulator({ controller: 'controller' });
+    const sequence = [];
+    while (sequence.length < length) {
+        const action = randomAction(random, model, tokens);
+        try {
+            model[action.method](...action.args);
+        } catch (err) {
+            if (!isRevert(err)) throw err;
+        }
+        sequence.push(action);
+    }
+    return sequence;
+}
+
+// Deploys `tokenCount` TTokens and a pool through `BFactory.newBPool`, and the
+// matching simulator. `artifacts` is the truffle test global.
+async function deployHarness(artifacts, account, { tokenCount = 3 } = {}) {
+    const BFactory = artifacts.require('BFactory');
+    const BPool = artifacts.require('BPool');
+    const TToken = artifacts.require('TToken');
+
+    const factory = await BFactory.deployed();
+    const poolAddress = await factory.newBPool.call({ from: account });
+    await factory.newBPool({ from: account });
+    const pool = await BPool.at(poolAddress);
+
+    const tokens = {};
+    const names = tokenNames(tokenCount);
+    // One at a time, so every run deploys the tokens at the same addresses
+    for (let i = 0; i < names.length; i += 1) {
+        /* eslint-disable no-await-in-loop */
+        const token = await TToken.new(`Fuzz ${names[i]}`, names[i], 18, { from: account });
+        await token.mint(account, MINT_AMOUNT, { from: account });
+        await token.approve(poolAddress, MAX, { from: account });
+        /* eslint-enable no-await-in-loop */
+        tokens[names[i]] = token;
+    }
+
+    const sim = new PoolSimulator({ controller: account, factory: factory.address });
+    return {
+        pool, sim, tokens, account,
+    };
+}
+
+function resolve(arg, tokens) {
+    if (Array.isArray(arg)) {
+        return arg.map((a) => resolve(a, tokens));
+    }
+    if (TOKEN_PLACEHOLDER.test(arg)) {
+        return tokens[arg].address;
+    }
+    return arg;
+}
+
+function describeOutcome(err) {
+    return err ? `reverted (${err.message})` : 'succeeded';
+}
+
+async function diffState({
+    pool, sim, tokens, account,
+}) {
+    const diffs = [];
+    const check = (field, simValue, poolValue) => {
+        if (simValue.toString() !== poolValue.toString()) {
+            diffs.push(`${field}: simulator ${simValue}, BPool ${poolValue}`);
+        }
+    };
+
+    check('totalSupply', sim.totalSupply, await pool.totalSupply());
+    check('balanceOf(account)', sim.balanceOf(account), await pool.balanceOf(account));
+
+    await Promise.all(Object.keys(tokens).map(async (name) => {
+        const t = tokens[name].address;
+        const bound = await pool.isBound(t);
+        check(`isBound(${name})`, sim.isBound(t), bound);
+        if (bound && sim.isBound(t)) {
+            check(`getBalance(${name})`, sim.getBalance(t), await pool.getBalance(t));
+            check(`getDenormalizedWeight(${name})`, sim.getDenormalizedWeight(t), await pool.getDenormalizedWeight(t));
+        }
+        check(`totalReserves(${name})`, sim.getTotalReserves(t), await pool.totalReserves(t));
+        check(`${name}.balanceOf(pool)`, sim.erc20BalanceOf(t), await tokens[name].balanceOf(pool.address));
+    }));
+    return diffs;
+}
+
+// Runs one action on both sides and throws if the outcomes or the
+// resulting states differ.
+async function compareStep(harness, { method, args }) {
+    const { pool, sim, tokens } = harness;
+    const resolved = args.map((arg) => resolve(arg, tokens));
+
+    let simError = null;
+    try {
+        sim[method](...resolved);
+    } catch (err) {
+        if (!isRevert(err)) throw err;
+        simError = err;
+    }
+
+    let poolError = null;
+    try {
+        await pool[method](...resolved, { from: harness.account });
+    } catch (err) {
+        poolError = err;
+    }
+
+    if (!simError !== !poolError) {
+        throw new Error(`${method}: simulator ${describeOutcome(simError)} but BPool ${describeOutcome(poolError)}`);
+    }
+
+    const diffs = await diffState(harness);
+    if (diffs.length > 0) {
+        throw new Error(`${method}: state differs\n  ${diffs.join('\n  ')}`);
+    }
+}
+
+// Returns `null` if the whole sequence agrees, else the index and message of
+// the first step that does not.
+async function runSequence(artifacts, account, sequence) {
+    const harness = await deployHarness(artifacts, account);
+    for (let i = 0; i < sequence.length; i += 1) {
+        try {
+            // Each step runs against the state the previous one left
+            // eslint-disable-next-line no-await-in-loop
+            await compareStep(harness, sequence[i]);
+        } catch (err) {
+            return { step: i, message: err.message };
+        }
+    }
+    return null;
+}
+
+// Greedy one-at-a-time removal: drops every action whose removal keeps
+// `fails(sequence)` true, until no single action can be dropped.
+async function shrink(sequence, fails) {
+    let current = sequence;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = current.length - 1; i >= 0; i -= 1) {
+            const candidate = current.filter((_, j) => j !== i);
+            // Each candidate is cut from the latest failing sequence
+            // eslint-disable-next-line no-await-in-loop
+            if (await fails(candidate)) {
+                current = candidate;
+                changed = true;
+            }
+        }
+    }
+    return current;
+}
+
+function formatArg(arg) {
+    if (Array.isArray(arg)) {
+        return `[${arg.map(formatArg).join(', ')}]`;
+    }
+    return arg === MAX ? 'MAX' : `'${arg}'`;
+}
+
+// Prints `sequence` as a standalone test file for the test/ directory.
+function formatRepro(sequence, title) {
+    const steps = sequence.map(({ method, args }) => (
+        `        await step('${method}', [${args.map(formatArg).join(', ')}]);`
+    ));
+    return [
+        "const { deployHarness, compareStep, MAX } = require('../lib/fuzz');",
+        '',
+        'contract(\'BPool\', async (accounts) => {',
+        `    it('${title}', async () => {`,
+        '        const harness = await deployHarness(artifacts, accounts[0]);',
+        '        const step = (method, args) => compareStep(harness, { method, args });',
+        '',
+        ...steps,
+        '    });',
+        '});',
+        '',
+    ].join('\n');
+}
+
+module.exports = {
+    MAX,
+    createRandom,
+    generateSequence,
+    deployHarness,
+    compareStep,
+    runSequence,
+    shrink,
+    formatRepro,
+};
@@ -0,0 +1,59 @@
+// Gas measurements of BPool entry points, `{ entry: { tokenCount: gasUsed } }`,
+// compared against a stored baseline of the same shape. See gas/profile.js.
+
+const fs = require('fs');
+
+function loadBaseline(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function saveBaseline(file, measured) {
+    fs.writeFileSync(file, `${JSON.stringify(measured, null, 4)}\n`);
+}
+
+// One row per entry point and token count. `change` is relative to the
+// baseline (null when the baseline has no such measurement) and a row
+// regresses once it exceeds `threshold` percent.
+function compareGas(baseline, measured, threshold) {
+    const rows = [];
+    Object.keys(measured).forEach((entry) => Object.keys(measured[entry]).forEach((tokens) => {
+        const gasUsed = measured[entry][tokens];
+        const before = baseline === null || baseline[entry] === undefined ? undefined : baseline[entry][tokens];
+        const change = before === undefined ? null : (gasUsed - before) / before;
+        rows.push({
+            entry,
+            tokens: Number(tokens),
+            baseline: before === undefined ? null : before,
+            gasUsed,
+            change,
+            regressed: change !== null && change * 100 > threshold,
+        });
+    }));
+    return rows;
+}
+
+// Entry points down, token counts across, with each change from the baseline
+function formatGasReport(rows) {
+    const counts = [...new Set(rows.map((r) => r.tokens))].sort((a, b) => a - b);
+    const entries = [...new Set(rows.map((r) => r.entry))];
+    const cell = ({ gasUsed, change }) => {
+        if (change === null || change === 0) return `${gasUsed}`;
+        return `${gasUsed} ${change > 0 ? '+' : ''}${(change * 100).toFixed(2)}%`;
+    };
+    const table = [['entry point', ...counts.map((n) => `${n} tokens`)]];
+    entries.forEach((entry) => table.push([entry, ...counts.map((n) => {
+        const row = rows.find((r) => r.entry === entry && r.tokens === n);
+        return row === undefined ? '' : cell(row);
+    })]));
+    const widths = table[0].map((_, i) => Math.max(...table.map((line) => line[i].length)));
+    return table
+        .map((line) => line.map((text, i) => (i === 0 ? text.padEnd(widths[i]) : text.padStart(widths[i]))).join('  '))
+        .join('\n');
+}
+
+module.exports = {
+    loadBaseline,
+    saveBaseline,
+    compareGas,
+    formatGasReport,
+};
@@ -0,0 +1,69 @@
+// Decodes raw BPool and BFactory logs, including the anonymous LOG_CALL whose
+// first topic is the 4-byte selector of the call and whose data is the
+// calldata, which is decoded back into the named function arguments.
+
+function isNumeric(type) {
+    return /^u?int/.test(type);
+}
+
+// Only the named fields of a web3 result, with integers as decimal strings
+function normalize(inputs, result) {
+    const args = {};
+    inputs.forEach(({ name, type }) => {
+        const value = result[name];
+        if (/\[\]$/.test(type) && isNumeric(type)) {
+            args[name] = value.map((v) => v.toString());
+        } else if (isNumeric(type)) {
+            args[name] = value.toString();
+        } else {
+            args[name] = value;
+        }
+    });
+    return args;
+}
+
+function createDecoder(web3, poolAbi, factoryAbi) {
+    const { abi } = web3.eth;
+    const events = {};
+    [...poolAbi, ...factoryAbi]
+        .filter((item) => item.type === 'event' && !item.anonymous)
+        .forEach((item) => {
+            events[abi.encodeEventSignature(item)] = item;
+        });
+
+    const functions = {};
+    poolAbi
+        .filter((item) => item.type === 'function')
+        .forEach((item) => {
+            functions[abi.encodeFunctionSignature(item)] = item;
+        });
+    const logCall = poolAbi.find((item) => item.name === 'LOG_CALL');
+
+    // Returns `{ event, args }` or null for logs this decoder does not know
+    return function decode(log) {
+        const [topic] = log.topics;
+        const item = events[topic];
+        if (item !== undefined) {
+            const result = abi.decodeLog(item.inputs, log.data, log.topics.slice(1));
+            return { event: item.name, args: normalize(item.inputs, result) };
+        }
+
+        const sig = topic.slice(0, 10);
+        const fn = functions[sig];
+        if (fn === undefined || log.topics.length !== 2) {
+            return null;
+        }
+        const { caller, data } = abi.decodeLog(logCall.inputs, log.data, log.topics);
+        const params = abi.decodeParameters(fn.inputs, `0x${data.slice(10)}`);
+        return {
+            event: 'LOG_CALL',
+            args: {
+                sig, caller, name: fn.name, params: normalize(fn.inputs, params),
+            },
+        };
+    };
+}
+
+module.exports = {
+    createDecoder,
+};
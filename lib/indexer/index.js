@@ -0,0 +1,14 @@
+const Indexer = require('./indexer');
+const MemoryStore = require('./memory_store');
+const SqliteStore = require('./sqlite_store');
+const { createDecoder } = require('./decoder');
+const { initialState, applyEvent } = require('./timeline');
+
+module.exports = {
+    Indexer,
+    MemoryStore,
+    SqliteStore,
+    createDecoder,
+    initialState,
+    applyEvent,
+};
@@ -0,0 +1,149 @@
+// Walks blocks from a node, registers pools from BFactory's LOG_NEW_POOL and
+// records every decoded event of those pools, replaying them onto a per-pool
+// timeline of balances, weights, fees and reserves.
+
+const { createDecoder } = require('./decoder');
+const { initialState, applyEvent } = require('./timeline');
+const MemoryStore = require('./memory_store');
+
+// Whether `a` comes before `b` in their block. Transactions are compared
+// first, as ganache numbers logs within each transaction.
+function precedes(a, b) {
+    return a.transactionIndex < b.transactionIndex
+        || (a.transactionIndex === b.transactionIndex && a.logIndex < b.logIndex);
+}
+
+class Indexer {
+    // `fromBlock` is where indexing starts when the store has no cursor yet;
+    // logs are requested `batchSize` blocks at a time.
+    constructor(artifacts, factoryAddress, { store = new MemoryStore(), fromBlock = 0, batchSize = 1000 } = {}) {
+        const BPool = artifacts.require('BPool');
+        const BFactory = artifacts.require('BFactory');
+        this.BPool = BPool;
+        this.web3 = BPool.web3;
+        this.factoryAddress = factoryAddress;
+        this.store = store;
+        this.fromBlock = fromBlock;
+        this.batchSize = batchSize;
+        this.decode = createDecoder(this.web3, BPool.abi, BFactory.abi);
+        this.erc20Abi = artifacts.require('BToken').abi;
+    }
+
+    static async deployed(artifacts, options) {
+        const BFactory = artifacts.require('BFactory');
+        const factory = await BFactory.deployed();
+        return new Indexer(artifacts, factory.address, options);
+    }
+
+    // Indexes up to `toBlock` (default latest) and returns the last indexed block
+    async sync(toBlock) {
+        const last = toBlock === undefined ? await this.web3.eth.getBlockNumber() : toBlock;
+        const cursor = await this.store.getCursor();
+        let from = cursor === null ? this.fromBlock : cursor + 1;
+        while (from <= last) {
+            const to = Math.min(from + this.batchSize - 1, last);
+            // The cursor only moves past a range once it is stored
+            /* eslint-disable no-await-in-loop */
+            await this.syncRange(from, to);
+            await this.store.setCursor(to);
+            /* eslint-enable no-await-in-loop */
+            from = to + 1;
+        }
+        return this.store.getCursor();
+    }
+
+    async syncRange(fromBlock, toBlock) {
+        const factoryLogs = await this.web3.eth.getPastLogs({ address: this.factoryAddress, fromBlock, toBlock });
+        for (let i = 0; i < factoryLogs.length; i += 1) {
+            const decoded = this.decode(factoryLogs[i]);
+            if (decoded !== null && decoded.event === 'LOG_NEW_POOL') {
+                const { pool, caller } = decoded.args;
+                const record = { address: pool, controller: caller, blockNumber: factoryLogs[i].blockNumber };
+                // Pools are stored in the order the factory created them
+                await this.store.addPool(record); // eslint-disable-line no-await-in-loop
+            }
+        }
+
+        const pools = await this.store.getPools();
+        if (pools.length === 0) {
+            return;
+        }
+        const controllers = {};
+        pools.forEach(({ address, controller }) => {
+            controllers[address] = controller;
+        });
+        const logs = await this.web3.eth.getPastLogs({
+            address: pools.map(({ address }) => address), fromBlock, toBlock,
+        });
+        // Every event applies to the state the one before it left
+        for (let i = 0; i < logs.length; i += 1) {
+            await this.index(logs[i], controllers[logs[i].address]); // eslint-disable-line no-await-in-loop
+        }
+    }
+
+    async index(log, controller) {
+        const decoded = this.decode(log);
+        if (decoded === null) {
+            return;
+        }
+        const event = {
+            pool: log.address,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            ...decoded,
+        };
+        // A log indexed before, e.g. by a sync that stopped before its cursor
+        // was stored, is already in the timeline
+        if (!await this.store.addEvent(event)) {
+            return;
+        }
+
+        const latest = await this.store.getStateAt(log.address);
+        const state = latest === null ? initialState(controller) : latest.state;
+        let next = applyEvent(state, event);
+        if (decoded.event === 'LOG_CALL' && decoded.args.name === 'gulp') {
+            next = await this.gulp(state, log, decoded.args.params.token);
+        }
+        if (next !== null) {
+            await this.store.addTimelineEntry(log.address, {
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+                event: decoded.event === 'LOG_CALL' ? decoded.args.name : decoded.event,
+                state: next,
+            });
+        }
+    }
+
+    // gulp sets a balance from the pool's ERC20 balance, which no event carries.
+    // That is the balance before the block, moved by the token's Transfers to
+    // and from the pool that come before the gulp in the block, less reserves.
+    // Reading balances of past blocks needs an archive node.
+    async gulp(state, log, token) {
+        const { abi } = this.web3.eth;
+        const block = this.web3.utils.numberToHex(log.blockNumber);
+        const erc20 = new this.web3.eth.Contract(this.erc20Abi, token);
+        const [before, transfers] = await Promise.all([
+            erc20.methods.balanceOf(log.address).call({}, log.blockNumber - 1),
+            this.web3.eth.getPastLogs({
+                address: token,
+                fromBlock: block,
+                toBlock: block,
+                topics: [abi.encodeEventSignature('Transfer(address,address,uint256)')],
+            }),
+        ]);
+        const pool = log.address.toLowerCase();
+        const erc20Balance = transfers
+            .filter((transfer) => precedes(transfer, log))
+            .reduce((balance, { topics, data }) => {
+                const [from, to] = topics.slice(1).map((t) => abi.decodeParameter('address', t).toLowerCase());
+                const value = BigInt(abi.decodeParameter('uint256', data));
+                return balance + (to === pool ? value : BigInt(0)) - (from === pool ? value : BigInt(0));
+            }, BigInt(before));
+        const balance = erc20Balance - BigInt(state.totalReserves[token] || 0);
+        return { ...state, balances: { ...state.balances, [token]: balance.toString() } };
+    }
+}
+
+module.exports = Indexer;
@@ -0,0 +1,80 @@
+// In-memory indexer store. Every store exposes the same async methods so the
+// indexer can be pointed at any backend.
+
+function eventKey({ transactionHash, logIndex }) {
+    return `${transactionHash}:${logIndex}`;
+}
+
+function matches(filter, event) {
+    return Object.keys(filter).every((key) => filter[key] === undefined || filter[key] === event[key]);
+}
+
+class MemoryStore {
+    constructor() {
+        this.cursor = null;
+        this.pools = [];
+        this.events = [];
+        this.eventKeys = new Set();
+        this.timelines = {};
+    }
+
+    async getCursor() {
+        return this.cursor;
+    }
+
+    async setCursor(blockNumber) {
+        this.cursor = blockNumber;
+    }
+
+    // `pool` is `{ address, controller, blockNumber }`
+    async addPool(pool) {
+        if (this.pools.every(({ address }) => address !== pool.address)) {
+            this.pools.push(pool);
+            this.timelines[pool.address] = [];
+        }
+    }
+
+    async getPools() {
+        return [...this.pools];
+    }
+
+    // `event` is `{ pool, blockNumber, transactionHash, logIndex, event, args }`.
+    // Returns false, storing nothing, if the log is already stored.
+    async addEvent(event) {
+        const key = eventKey(event);
+        if (this.eventKeys.has(key)) {
+            return false;
+        }
+        this.eventKeys.add(key);
+        this.events.push(event);
+        return true;
+    }
+
+    // Events in log order, optionally filtered by `pool` and `event` name
+    async getEvents({ pool, event } = {}) {
+        return this.events.filter((e) => matches({ pool, event }, e));
+    }
+
+    // `entry` is `{ blockNumber, transactionHash, logIndex, event, state }`
+    async addTimelineEntry(pool, entry) {
+        this.timelines[pool].push(entry);
+    }
+
+    async getTimeline(pool) {
+        return [...(this.timelines[pool] || [])];
+    }
+
+    // Latest timeline entry at or before `blockNumber`, or null
+    async getStateAt(pool, blockNumber = Number.MAX_SAFE_INTEGER) {
+        const entries = this.timelines[pool] || [];
+        // Entries are in block order, so the latest is usually the last one
+        for (let i = entries.length - 1; i >= 0; i -= 1) {
+            if (entries[i].blockNumber <= blockNumber) {
+                return entries[i];
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = MemoryStore;
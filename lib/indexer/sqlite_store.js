@@ -0,0 +1,154 @@
+// SQLite indexer store, with the same methods as MemoryStore plus `close`.
+// sqlite3 is an optional dependency, loaded only when a SqliteStore is opened.
+
+const SCHEMA = [
+    'CREATE TABLE IF NOT EXISTS cursor (id INTEGER PRIMARY KEY CHECK (id = 0), block_number INTEGER NOT NULL)',
+    `CREATE TABLE IF NOT EXISTS pools (
+        address TEXT PRIMARY KEY, controller TEXT, block_number INTEGER NOT NULL)`,
+    `CREATE TABLE IF NOT EXISTS events (
+        pool TEXT NOT NULL, block_number INTEGER NOT NULL, transaction_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL, event TEXT NOT NULL, args TEXT NOT NULL,
+        PRIMARY KEY (transaction_hash, log_index))`,
+    `CREATE TABLE IF NOT EXISTS timeline (
+        pool TEXT NOT NULL, block_number INTEGER NOT NULL, transaction_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL, event TEXT NOT NULL, state TEXT NOT NULL,
+        PRIMARY KEY (pool, transaction_hash, log_index))`,
+    'CREATE INDEX IF NOT EXISTS timeline_by_block ON timeline (pool, block_number, log_index)',
+];
+
+function toEvent(row) {
+    return {
+        pool: row.pool,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        event: row.event,
+        args: JSON.parse(row.args),
+    };
+}
+
+function toEntry(row) {
+    return {
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        event: row.event,
+        state: JSON.parse(row.state),
+    };
+}
+
+class SqliteStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // `filename` is a path or ':memory:'
+    static async open(filename) {
+        // sqlite3 is an optional dependency, loaded only by stores that use it
+        const sqlite3 = require('sqlite3'); // eslint-disable-line global-require, import/no-extraneous-dependencies
+        const db = await new Promise((resolve, reject) => {
+            const handle = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve(handle)));
+        });
+        const store = new SqliteStore(db);
+        // Tables come before the indexes on them
+        for (let i = 0; i < SCHEMA.length; i += 1) {
+            await store.run(SCHEMA[i]); // eslint-disable-line no-await-in-loop
+        }
+        return store;
+    }
+
+    // Resolves with the number of rows changed
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function done(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    async getCursor() {
+        const row = await this.get('SELECT block_number FROM cursor WHERE id = 0');
+        return row === undefined ? null : row.block_number;
+    }
+
+    async setCursor(blockNumber) {
+        await this.run('INSERT OR REPLACE INTO cursor (id, block_number) VALUES (0, ?)', [blockNumber]);
+    }
+
+    async addPool({ address, controller, blockNumber }) {
+        await this.run(
+            'INSERT OR IGNORE INTO pools (address, controller, block_number) VALUES (?, ?, ?)',
+            [address, controller, blockNumber],
+        );
+    }
+
+    async getPools() {
+        const rows = await this.all('SELECT * FROM pools ORDER BY block_number, rowid');
+        return rows.map((row) => ({ address: row.address, controller: row.controller, blockNumber: row.block_number }));
+    }
+
+    async addEvent({
+        pool, blockNumber, transactionHash, logIndex, event, args,
+    }) {
+        const changes = await this.run(
+            'INSERT OR IGNORE INTO events VALUES (?, ?, ?, ?, ?, ?)',
+            [pool, blockNumber, transactionHash, logIndex, event, JSON.stringify(args)],
+        );
+        return changes > 0;
+    }
+
+    async getEvents({ pool, event } = {}) {
+        const rows = await this.all(
+            `SELECT * FROM events WHERE (?1 IS NULL OR pool = ?1) AND (?2 IS NULL OR event = ?2)
+             ORDER BY block_number, rowid`,
+            [pool === undefined ? null : pool, event === undefined ? null : event],
+        );
+        return rows.map(toEvent);
+    }
+
+    async addTimelineEntry(pool, {
+        blockNumber, transactionHash, logIndex, event, state,
+    }) {
+        await this.run(
+            'INSERT OR IGNORE INTO timeline VALUES (?, ?, ?, ?, ?, ?)',
+            [pool, blockNumber, transactionHash, logIndex, event, JSON.stringify(state)],
+        );
+    }
+
+    async getTimeline(pool) {
+        const rows = await this.all(
+            'SELECT * FROM timeline WHERE pool = ? ORDER BY block_number, rowid',
+            [pool],
+        );
+        return rows.map(toEntry);
+    }
+
+    async getStateAt(pool, blockNumber = Number.MAX_SAFE_INTEGER) {
+        const row = await this.get(
+            `SELECT * FROM timeline WHERE pool = ? AND block_number <= ?
+             ORDER BY block_number DESC, rowid DESC LIMIT 1`,
+            [pool, blockNumber],
+        );
+        return row === undefined ? null : toEntry(row);
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => (err ? reject(err) : resolve()));
+        });
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,116 @@
+// Replays decoded BPool events onto a pool state, mirroring what each call
+// does to BPool's storage. Amounts are decimal strings so states serialize.
+
+const {
+    MIN_FEE, DEFAULT_RESERVES_RATIO,
+} = require('../bconst');
+
+function initialState(controller) {
+    return {
+        tokens: [],
+        balances: {},
+        denorms: {},
+        totalReserves: {},
+        swapFee: MIN_FEE.toString(),
+        reservesRatio: DEFAULT_RESERVES_RATIO.toString(),
+        controller,
+        finalized: false,
+        publicSwap: false,
+    };
+}
+
+function copy(state) {
+    return {
+        ...state,
+        tokens: [...state.tokens],
+        balances: { ...state.balances },
+        denorms: { ...state.denorms },
+        totalReserves: { ...state.totalReserves },
+    };
+}
+
+function add(a, b) {
+    return (BigInt(a || 0) + BigInt(b)).toString();
+}
+
+function sub(a, b) {
+    return (BigInt(a || 0) - BigInt(b)).toString();
+}
+
+function applyCall(state, { name, params }) {
+    const next = copy(state);
+    switch (name) {
+    case 'bind':
+    case 'rebind':
+        if (!next.tokens.includes(params.token)) {
+            next.tokens.push(params.token);
+        }
+        next.balances[params.token] = params.balance;
+        next.denorms[params.token] = params.denorm;
+        return next;
+    case 'unbind': {
+        // BPool swaps the last token into the freed slot
+        const index = next.tokens.indexOf(params.token);
+        next.tokens[index] = next.tokens[next.tokens.length - 1];
+        next.tokens.pop();
+        delete next.balances[params.token];
+        delete next.denorms[params.token];
+        return next;
+    }
+    case 'setSwapFee':
+        next.swapFee = params.swapFee;
+        return next;
+    case 'setReservesRatio':
+        next.reservesRatio = params.reservesRatio;
+        return next;
+    case 'setController':
+        next.controller = params.manager;
+        return next;
+    case 'setPublicSwap': {
+        // BPool names the parameter `public_`
+        const { public_: publicSwap } = params;
+        next.publicSwap = publicSwap;
+        return next;
+    }
+    case 'finalize':
+        next.finalized = true;
+        next.publicSwap = true;
+        return next;
+    default:
+        return null;
+    }
+}
+
+// Returns the state after `event`, or null if the event changes nothing.
+// `gulp` depends on token balances that are not in the pool's logs; the
+// indexer rebuilds it from the chain and the token's Transfers instead.
+function applyEvent(state, { event, args }) {
+    const next = copy(state);
+    switch (event) {
+    case 'LOG_CALL':
+        return applyCall(state, args);
+    case 'LOG_SWAP':
+        next.balances[args.tokenIn] = sub(add(next.balances[args.tokenIn], args.tokenAmountIn), args.reservesAmount);
+        next.balances[args.tokenOut] = sub(next.balances[args.tokenOut], args.tokenAmountOut);
+        return next;
+    case 'LOG_JOIN':
+        next.balances[args.tokenIn] = sub(add(next.balances[args.tokenIn], args.tokenAmountIn), args.reservesAmount);
+        return next;
+    case 'LOG_EXIT':
+        next.balances[args.tokenOut] = sub(sub(next.balances[args.tokenOut], args.tokenAmountOut), args.reservesAmount);
+        return next;
+    case 'LOG_ADD_RESERVES':
+        next.totalReserves[args.token] = add(next.totalReserves[args.token], args.reservesAmount);
+        return next;
+    case 'LOG_DRAIN_RESERVES':
+        next.totalReserves[args.tokenOut] = sub(next.totalReserves[args.tokenOut], args.tokenAmountOut);
+        return next;
+    default:
+        return null;
+    }
+}
+
+module.exports = {
+    initialState,
+    applyEvent,
+};
@@ -0,0 +1,185 @@
+// How a BPT position does against holding the tokens it was made of.
+// Pools are described in token units, like lib/calc_comparisons:
+// `{ balances, weights, totalSupply, swapFee, reservesRatio }`, where weights
+// are denormalized or normalized (only their ratios matter) and fees are
+// fractions. `fromPoolState` builds one from a `Pool.getPoolState` snapshot.
+// Prices are what one token of each is worth in a common unit, like USD.
+
+const Decimal = require('decimal.js');
+const { EXIT_FEE, MAX_IN_RATIO } = require('./bconst');
+const {
+    calcSpotPrice, calcOutGivenIn, calcInGivenPrice, calcReservesFromFee,
+} = require('./calc_comparisons');
+const { POOL_DECIMALS, fromUnits, fromBone } = require('./client/units');
+
+const ROUNDS = 64;
+const TOLERANCE = Decimal('1e-12'); // relative price gap not worth a trade
+
+function decimals(values) {
+    return values.map((v) => Decimal(v.toString()));
+}
+
+function valueOf(amounts, prices) {
+    return amounts.reduce((sum, amount, i) => sum.add(amount.mul(prices[i])), Decimal(0));
+}
+
+function fromPoolState(state) {
+    return {
+        tokens: state.tokens,
+        balances: state.tokens.map((t) => fromUnits(state.records[t].balance, state.records[t].decimals)),
+        weights: state.tokens.map((t) => fromBone(state.records[t].denorm)),
+        totalSupply: fromUnits(state.totalSupply, POOL_DECIMALS),
+        swapFee: fromBone(state.swapFee),
+        reservesRatio: fromBone(state.reservesRatio),
+    };
+}
+
+function normalizeWeights(weights) {
+    const values = decimals(weights);
+    const totalWeight = values.reduce((a, b) => a.add(b), Decimal(0));
+    return values.map((w) => w.div(totalWeight));
+}
+
+function normalize(pool) {
+    if (pool.balances.length !== pool.weights.length) {
+        throw new Error('ERR_ARRAY_LENGTH: need one weight per balance');
+    }
+    return {
+        balances: decimals(pool.balances),
+        weights: normalizeWeights(pool.weights),
+        totalSupply: Decimal(pool.totalSupply.toString()),
+        swapFee: Decimal(pool.swapFee.toString()),
+        reservesRatio: Decimal(pool.reservesRatio.toString()),
+    };
+}
+
+// Closed form for a pool without fees that starts at `entryPrices`:
+// prod(r_i ^ w_i) / sum(w_i * r_i) - 1, with r_i each token's price change.
+// Negative is a loss.
+function impermanentLoss(weights, entryPrices, prices) {
+    const normalized = normalizeWeights(weights);
+    const entry = decimals(entryPrices);
+    const ratios = decimals(prices).map((p, i) => p.div(entry[i]));
+    const held = ratios.reduce((sum, r, i) => sum.add(r.mul(normalized[i])), Decimal(0));
+    const pooled = ratios.reduce((product, r, i) => product.mul(r.pow(normalized[i])), Decimal(1));
+    return pooled.div(held).sub(1);
+}
+
+// swapExactAmountIn of tokenIn that moves the pool's price of tokenOut, fee
+// included, up to the market, or null if the pool is not below it.
+// Capped at MAX_IN_RATIO like the contract.
+function tradeToMarket(pool, balances, tokenIn, tokenOut, prices) {
+    const [wIn, wOut] = [pool.weights[tokenIn], pool.weights[tokenOut]];
+    const spotPrice = calcSpotPrice(balances[tokenIn], wIn, balances[tokenOut], wOut, pool.swapFee);
+    const marketPrice = prices[tokenOut].div(prices[tokenIn]);
+    if (marketPrice.lte(spotPrice.mul(TOLERANCE.add(1)))) {
+        return null;
+    }
+    const tokenAmountIn = Decimal.min(
+        calcInGivenPrice(balances[tokenIn], wIn, balances[tokenOut], wOut, pool.swapFee, marketPrice),
+        balances[tokenIn].mul(fromBone(MAX_IN_RATIO)),
+    );
+    const [tokenAmountOut, fee] = calcOutGivenIn(
+        balances[tokenIn], wIn, balances[tokenOut], wOut, tokenAmountIn, pool.swapFee,
+    );
+    return {
+        tokenIn, tokenOut, tokenAmountIn, tokenAmountOut, fee, reserves: calcReservesFromFee(fee, pool.reservesRatio),
+    };
+}
+
+// The trades arbitrageurs make once the market moves to `prices`: every token
+// against the first, in rounds, since each trade moves the first token's
+// balance. The protocol's `reserves` cut of each fee leaves the pool.
+// `pool` holds Decimal `weights`, `swapFee` and `reservesRatio`.
+function arbitrage(pool, balancesBefore, prices) {
+    const balances = [...balancesBefore];
+    const trades = [];
+    for (let round = 0; round < ROUNDS; round += 1) {
+        const count = trades.length;
+        for (let i = 1; i < balances.length; i += 1) {
+            const trade = tradeToMarket(pool, balances, 0, i, prices) || tradeToMarket(pool, balances, i, 0, prices);
+            if (trade !== null) {
+                balances[trade.tokenIn] = balances[trade.tokenIn].add(trade.tokenAmountIn).sub(trade.reserves);
+                balances[trade.tokenOut] = balances[trade.tokenOut].sub(trade.tokenAmountOut);
+                trades.push(trade);
+            }
+        }
+        if (trades.length === count) break;
+    }
+    return { balances, trades };
+}
+
+// Value of the swap fees `trades` left in the pool and of the reserves cut
+// the protocol took, for the whole pool
+function feesOf(trades, prices) {
+    return trades.reduce(({ kept, reserves }, trade) => ({
+        kept: kept.add(trade.fee.sub(trade.reserves).mul(prices[trade.tokenIn])),
+        reserves: reserves.add(trade.reserves.mul(prices[trade.tokenIn])),
+    }), { kept: Decimal(0), reserves: Decimal(0) });
+}
+
+// Follows a position of `poolAmount` BPT (or a `share` of totalSupply) along
+// `pricePath`, a list of price vectors starting at entry. At every point
+// arbitrageurs trade the pool to the prices through calcOutGivenIn, and
+// the point reports:
+// - `holdings`, the tokens exitPool would return after `exitFee`, and `value`
+// - `hodl`, the value of the tokens the position was entered with
+// - `impermanentLoss`, the closed form since entry, without fees
+// - `feeIncome`, the position's part of the swap fees kept so far, net of
+//   the reserves cut, each valued when it was paid; it is already in `value`
+// - `protocolFees`, the position's part of what went to reserves instead
+// - `return`, value / hodl - 1
+// `exitFee` is a fraction and defaults to BConst's EXIT_FEE.
+function analyzePosition(pool, { poolAmount, share }, pricePath, { exitFee = fromBone(EXIT_FEE) } = {}) {
+    const normalized = normalize(pool);
+    const lpShare = share === undefined
+        ? Decimal(poolAmount.toString()).div(normalized.totalSupply)
+        : Decimal(share.toString());
+    if (lpShare.lte(0) || lpShare.gt(1)) {
+        throw new Error(`position is ${lpShare} of the pool, must be above 0 and at most 1`);
+    }
+    const paths = pricePath.map(decimals);
+    if (paths.length === 0 || paths.some((prices) => prices.length !== normalized.balances.length)) {
+        throw new Error('ERR_ARRAY_LENGTH: need at least one price vector, with one price per token');
+    }
+    const kept = Decimal(1).sub(exitFee.toString());
+
+    // The position enters once the pool is at the entry prices
+    let { balances } = arbitrage(normalized, normalized.balances, paths[0]);
+    const entered = balances.map((b) => b.mul(lpShare));
+    let feeIncome = Decimal(0);
+    let protocolFees = Decimal(0);
+    const points = [];
+    for (let i = 0; i < paths.length; i += 1) {
+        const prices = paths[i];
+        const arbitraged = i === 0 ? { balances, trades: [] } : arbitrage(normalized, balances, prices);
+        ({ balances } = arbitraged);
+        const fees = feesOf(arbitraged.trades, prices);
+        feeIncome = feeIncome.add(fees.kept.mul(lpShare));
+        protocolFees = protocolFees.add(fees.reserves.mul(lpShare));
+
+        const holdings = balances.map((b) => b.mul(lpShare).mul(kept));
+        const value = valueOf(holdings, prices);
+        const hodl = valueOf(entered, prices);
+        points.push({
+            prices,
+            balances,
+            trades: arbitraged.trades.length,
+            holdings,
+            value,
+            hodl,
+            impermanentLoss: impermanentLoss(normalized.weights, paths[0], prices),
+            feeIncome,
+            protocolFees,
+            return: value.div(hodl).sub(1),
+        });
+    }
+    return { share: lpShare, entered, points };
+}
+
+module.exports = {
+    fromPoolState,
+    impermanentLoss,
+    arbitrage,
+    analyzePosition,
+};
@@ -0,0 +1,115 @@
+// Invariants of a live pool, after the properties the Echidna harnesses in
+// contracts/test/echidna and Audit.md assert. A check gets the pool's state
+// at the block checked, the state at the previous check (null the first
+// time) and the decoded events in between, and returns violation messages.
+// States are `Pool.getPoolState` snapshots plus `controller` and
+// `erc20Balances`, the pool's IERC20.balanceOf of each bound token.
+
+const { BONE, MIN_FEE, MAX_FEE } = require('../bconst');
+const { bdiv } = require('../bnum');
+const { calcSpotPrice } = require('../bmath');
+
+// What moves balances, weights or the fee, and with them spot prices
+const PRICE_EVENTS = ['LOG_SWAP', 'LOG_JOIN', 'LOG_EXIT'];
+const PRICE_CALLS = ['bind', 'rebind', 'unbind', 'gulp', 'setSwapFee'];
+
+function calls(events) {
+    return events.filter(({ event }) => event === 'LOG_CALL').map(({ args }) => args.name);
+}
+
+// The pool holds at least what it accounts for, in every bound token
+function balanceCoverage({ state }) {
+    return state.tokens
+        .filter((t) => state.erc20Balances[t] < state.records[t].balance + state.totalReserves[t])
+        .map((t) => `${t}: balanceOf ${state.erc20Balances[t]} is below getBalance `
+            + `${state.records[t].balance} + totalReserves ${state.totalReserves[t]}`);
+}
+
+// Denormalized weights add up to the total, and normalized ones to one
+// within bdiv's rounding of half a wei each
+function weightSum({ state }) {
+    if (state.tokens.length === 0) {
+        return [];
+    }
+    const denorms = state.tokens.map((t) => state.records[t].denorm);
+    const messages = [];
+    const sum = denorms.reduce((a, b) => a + b, BigInt(0));
+    if (sum !== state.totalWeight) {
+        messages.push(`denormalized weights add up to ${sum}, getTotalDenormalizedWeight is ${state.totalWeight}`);
+    }
+    const normalized = denorms.reduce((total, d) => total + bdiv(d, state.totalWeight), BigInt(0));
+    const off = normalized > BONE ? normalized - BONE : BONE - normalized;
+    if (off > BigInt(state.tokens.length)) {
+        messages.push(`normalized weights add up to ${normalized}`);
+    }
+    return messages;
+}
+
+function swapFeeRange({ state }) {
+    if (state.swapFee < MIN_FEE || state.swapFee > MAX_FEE) {
+        return [`swapFee ${state.swapFee} is outside ${MIN_FEE}..${MAX_FEE}`];
+    }
+    return [];
+}
+
+function controller({ state, previous, events }) {
+    if (previous === null || state.controller === previous.controller || calls(events).includes('setController')) {
+        return [];
+    }
+    return [`controller went from ${previous.controller} to ${state.controller} without setController`];
+}
+
+// A pool is finalized once, by finalize, and stays finalized
+function finalized({ state, previous, events }) {
+    if (previous === null || state.finalized === previous.finalized) {
+        return [];
+    }
+    if (!state.finalized) {
+        return ['pool is no longer finalized'];
+    }
+    return calls(events).includes('finalize') ? [] : ['pool was finalized without finalize'];
+}
+
+function spotPrices(state) {
+    const prices = {};
+    state.tokens.forEach((tokenIn) => state.tokens.forEach((tokenOut) => {
+        if (tokenIn === tokenOut) return;
+        const { balance: bIn, denorm: wIn } = state.records[tokenIn];
+        const { balance: bOut, denorm: wOut } = state.records[tokenOut];
+        prices[`${tokenIn}/${tokenOut}`] = calcSpotPrice(bIn, wIn, bOut, wOut, state.swapFee);
+    }));
+    return prices;
+}
+
+// Spot prices only move along with a swap, join, exit or a call that
+// changes balances, weights or the fee
+function spotPrice({ state, previous, events }) {
+    if (previous === null) {
+        return [];
+    }
+    const moved = events.some(({ event }) => PRICE_EVENTS.includes(event))
+        || calls(events).some((name) => PRICE_CALLS.includes(name));
+    if (moved) {
+        return [];
+    }
+    const before = spotPrices(previous);
+    const after = spotPrices(state);
+    return Object.keys(after)
+        .filter((pair) => before[pair] !== undefined && before[pair] !== after[pair])
+        .map((pair) => `spot price of ${pair} went from ${before[pair]} to ${after[pair]} without a logged trade`);
+}
+
+const CHECKS = {
+    balanceCoverage,
+    weightSum,
+    swapFeeRange,
+    controller,
+    finalized,
+    spotPrice,
+};
+
+module.exports = {
+    CHECKS,
+    PRICE_EVENTS,
+    PRICE_CALLS,
+};
@@ -0,0 +1,16 @@
+// Monitor sink printing one line per violation. A sink is any object with an
+// async `send(violation)`; a violation is `{ check, pool, blockNumber, message }`.
+
+class ConsoleSink {
+    constructor(log = console.error) {
+        this.log = log;
+    }
+
+    async send({
+        check, pool, blockNumber, message,
+    }) {
+        this.log(`[block ${blockNumber}] ${pool} ${check}: ${message}`);
+    }
+}
+
+module.exports = ConsoleSink;
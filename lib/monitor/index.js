@@ -0,0 +1,15 @@
+const Monitor = require('./monitor');
+const { CHECKS, PRICE_EVENTS, PRICE_CALLS } = require('./checks');
+const ConsoleSink = require('./console_sink');
+const JsonFileSink = require('./json_file_sink');
+const WebhookSink = require('./webhook_sink');
+
+module.exports = {
+    Monitor,
+    CHECKS,
+    PRICE_EVENTS,
+    PRICE_CALLS,
+    ConsoleSink,
+    JsonFileSink,
+    WebhookSink,
+};
@@ -0,0 +1,15 @@
+// Monitor sink appending one JSON object per violation and line.
+
+const fs = require('fs');
+
+class JsonFileSink {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async send(violation) {
+        await fs.promises.appendFile(this.file, `${JSON.stringify(violation)}\n`);
+    }
+}
+
+module.exports = JsonFileSink;
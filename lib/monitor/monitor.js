@@ -0,0 +1,128 @@
+// Follows new blocks and runs the invariant checks of ./checks on every
+// watched pool. Each round reads all pools at the latest block in batches
+// (see lib/client/batch), decodes the pools' logs since the previous round
+// and hands every violation to each sink.
+
+const { Pool, BatchReader } = require('../client');
+const { createDecoder } = require('../indexer/decoder');
+const Poller = require('../poller');
+const { CHECKS } = require('./checks');
+const ConsoleSink = require('./console_sink');
+
+class Monitor {
+    // `pools` are client Pools. `checks` maps names to check functions, by
+    // default all of ./checks. A sink that throws is reported to `onError`
+    // and does not stop the others or the monitor.
+    constructor(artifacts, pools, {
+        sinks = [new ConsoleSink()], checks = CHECKS, reader, pollInterval = 1000, onError = console.error,
+    } = {}) {
+        const BPool = artifacts.require('BPool');
+        const BFactory = artifacts.require('BFactory');
+        this.artifacts = artifacts;
+        this.pools = pools;
+        this.web3 = BPool.web3;
+        this.sinks = sinks;
+        this.checks = checks;
+        this.reader = reader || new BatchReader(this.web3);
+        this.onError = onError;
+        this.decode = createDecoder(this.web3, BPool.abi, BFactory.abi);
+        this.previous = {};
+        this.lastBlock = null;
+        this.poller = new Poller(() => this.check(), pollInterval, onError);
+    }
+
+    // Pool states at `block` with the controller and ERC20 balances the checks need
+    async readStates(block) {
+        const states = await Pool.getPoolStates(this.pools, block, { reader: this.reader });
+        const { abi: erc20 } = this.artifacts.require('BToken');
+        const calls = [];
+        states.forEach((state, n) => {
+            const { contract } = this.pools[n];
+            calls.push({ to: state.address, abi: contract.abi, method: 'getController' });
+            state.tokens.forEach((t) => calls.push({
+                to: t, abi: erc20, method: 'balanceOf', args: [state.address],
+            }));
+        });
+        const values = await this.reader.read(calls, block);
+        let next = 0;
+        return states.map((state) => {
+            const controller = values[next];
+            const erc20Balances = {};
+            state.tokens.forEach((t, i) => {
+                erc20Balances[t] = BigInt(values[next + 1 + i]);
+            });
+            next += 1 + state.tokens.length;
+            return { ...state, controller, erc20Balances };
+        });
+    }
+
+    // Decoded events of every watched pool in [fromBlock, toBlock], by pool
+    async readEvents(fromBlock, toBlock) {
+        const { numberToHex } = this.web3.utils;
+        const logs = await this.web3.eth.getPastLogs({
+            address: this.pools.map((pool) => pool.address),
+            fromBlock: numberToHex(fromBlock),
+            toBlock: numberToHex(toBlock),
+        });
+        const events = {};
+        this.pools.forEach((pool) => {
+            events[pool.address] = [];
+        });
+        logs.forEach((log) => {
+            const decoded = this.decode(log);
+            const address = this.web3.utils.toChecksumAddress(log.address);
+            if (decoded !== null && events[address] !== undefined) {
+                events[address].push(decoded);
+            }
+        });
+        return events;
+    }
+
+    // Checks every pool at `toBlock` (default latest) against the previous
+    // round and resolves to the violations found, once the sinks have them.
+    // Nothing is checked again if no block came since the last round.
+    async check(toBlock) {
+        const block = toBlock === undefined ? await this.web3.eth.getBlockNumber() : toBlock;
+        if (this.lastBlock !== null && block <= this.lastBlock) {
+            return [];
+        }
+        const fromBlock = this.lastBlock === null ? block : this.lastBlock + 1;
+        const [states, events] = await Promise.all([this.readStates(block), this.readEvents(fromBlock, block)]);
+
+        const violations = [];
+        states.forEach((state) => {
+            const context = { state, previous: this.previous[state.address] || null, events: events[state.address] };
+            Object.keys(this.checks).forEach((check) => {
+                this.checks[check](context).forEach((message) => violations.push({
+                    check, pool: state.address, blockNumber: block, message,
+                }));
+            });
+            this.previous[state.address] = state;
+        });
+        this.lastBlock = block;
+
+        // Every sink gets the alerts in the order they were raised
+        await Promise.all(this.sinks.map(async (sink) => {
+            for (let i = 0; i < violations.length; i += 1) {
+                try {
+                    await sink.send(violations[i]); // eslint-disable-line no-await-in-loop
+                } catch (err) {
+                    this.onError(err);
+                }
+            }
+        }));
+        return violations;
+    }
+
+    // Runs `check` every `pollInterval` ms until `stop`
+    start() {
+        this.poller.start();
+    }
+
+    // Resolves once the round in progress, if any, is over
+    async stop() {
+        await this.poller.stop();
+    }
+}
+
+module.exports = Monitor;
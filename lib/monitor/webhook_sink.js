@@ -0,0 +1,36 @@
+// Monitor sink POSTing each violation as JSON. Anything but a 2xx answer
+// rejects, and the monitor reports it to its `onError`.
+
+const http = require('http');
+const https = require('https');
+
+class WebhookSink {
+    constructor(url, { headers = {}, timeout = 10000 } = {}) {
+        this.url = new URL(url);
+        this.headers = { 'Content-Type': 'application/json', ...headers };
+        this.timeout = timeout;
+    }
+
+    send(violation) {
+        const body = JSON.stringify(violation);
+        const client = this.url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const headers = { ...this.headers, 'Content-Length': Buffer.byteLength(body) };
+            const request = client.request(this.url, { method: 'POST', headers, timeout: this.timeout }, (response) => {
+                response.resume();
+                response.on('end', () => {
+                    if (response.statusCode >= 200 && response.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`webhook ${this.url.origin} answered ${response.statusCode}`));
+                    }
+                });
+            });
+            request.on('timeout', () => request.destroy(new Error(`webhook ${this.url.origin} timed out`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+module.exports = WebhookSink;
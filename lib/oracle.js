@@ -0,0 +1,386 @@
+// Prices from pool history: one observation of every pool per block, taken
+// from lib/indexer timelines or by polling the pools, and the LOG_SWAP trades
+// between them. Spot prices are BPool's getSpotPriceSansFee at the end of a
+// block; averages run over a window of seconds or blocks ending at the latest
+// observation. Prices are quote wei per base wei scaled by BONE, like
+// getSpotPrice, and pairs no single pool holds are priced through the tokens
+// pools share.
+//
+// An observation that jumps away from both its neighbours by more than
+// `maxDeviationBps` is taken for a one-block manipulation and left out, along
+// with the swaps of its block. A jump in the latest block has no successor
+// yet, so it only counts once the next block confirms it.
+
+const { BONE } = require('./bconst');
+const { bmul } = require('./bnum');
+const { calcSpotPrice } = require('./bmath');
+const { Pool, BatchReader } = require('./client');
+const { createDecoder } = require('./indexer/decoder');
+const Poller = require('./poller');
+
+const ZERO = BigInt(0);
+
+function deviates(price, from, maxDeviationBps) {
+    const diff = price > from ? price - from : from - price;
+    return diff * BigInt(10000) > from * BigInt(maxDeviationBps);
+}
+
+// Points of `series` that jump away from both the last point kept and the
+// next one, as a Set of indexes. The first point has nothing to go by and is
+// kept; a last point older than `latestBlock` held until then, which confirms
+// it like a successor at the same price would.
+function outliers(series, maxDeviationBps, latestBlock) {
+    const found = new Set();
+    if (maxDeviationBps === null) {
+        return found;
+    }
+    let before = null;
+    series.forEach(({ blockNumber, price }, i) => {
+        let after = i === series.length - 1 ? null : series[i + 1].price;
+        if (after === null && blockNumber < latestBlock) {
+            after = price;
+        }
+        const jumps = before !== null && deviates(price, before, maxDeviationBps)
+            && (after === null || deviates(price, after, maxDeviationBps));
+        if (jumps) {
+            found.add(i);
+        } else {
+            before = price;
+        }
+    });
+    return found;
+}
+
+// `state` is `{ tokens, balances, denorms }`, amounts as BigInts
+function spotOf(state, base, quote) {
+    if (!state.tokens.includes(base) || !state.tokens.includes(quote)) {
+        return null;
+    }
+    return calcSpotPrice(state.balances[quote], state.denorms[quote], state.balances[base], state.denorms[base], ZERO);
+}
+
+// Observations and swaps are kept for a day by default
+const DEFAULT_RETENTION = { window: 24 * 3600, unit: 'time' };
+
+class PriceOracle {
+    // `pools` are the client Pools `poll` reads; observations from an indexer
+    // need none. `retention` is the longest window, `{ window, unit }` like the
+    // averages take, the oracle keeps history for, or null to keep all of it.
+    constructor(artifacts, {
+        pools = [], reader, maxDeviationBps = 1000, pollInterval = 1000, onError = console.error,
+        retention = DEFAULT_RETENTION,
+    } = {}) {
+        const BPool = artifacts.require('BPool');
+        const BFactory = artifacts.require('BFactory');
+        this.web3 = BPool.web3;
+        this.pools = pools;
+        this.reader = reader || new BatchReader(this.web3);
+        this.maxDeviationBps = maxDeviationBps;
+        this.retention = retention;
+        this.decode = createDecoder(this.web3, BPool.abi, BFactory.abi);
+        this.observations = {}; // pool => [{ blockNumber, timestamp, state }] by block
+        this.swaps = {}; // pool => [{ blockNumber, timestamp, tokenIn, tokenOut, tokenAmountIn, tokenAmountOut }]
+        this.timestamps = {};
+        this.latest = null; // { blockNumber, timestamp } of the latest observation
+        this.lastBlock = null; // last block polled or indexed
+        this.poller = new Poller(() => this.poll(), pollInterval, onError);
+    }
+
+    // Records `pool`'s state at the end of a block, replacing an earlier one of the same block
+    record(pool, { blockNumber, timestamp, state }) {
+        const observations = this.observations[pool] || [];
+        this.observations[pool] = observations;
+        const last = observations[observations.length - 1];
+        if (last !== undefined && last.blockNumber > blockNumber) {
+            throw new Error(`${pool}: block ${blockNumber} recorded after block ${last.blockNumber}`);
+        }
+        if (last !== undefined && last.blockNumber === blockNumber) {
+            observations.pop();
+        }
+        observations.push({ blockNumber, timestamp, state });
+        if (this.latest === null || blockNumber > this.latest.blockNumber) {
+            this.latest = { blockNumber, timestamp };
+        }
+    }
+
+    recordSwap(pool, swap) {
+        this.swaps[pool] = this.swaps[pool] || [];
+        this.swaps[pool].push(swap);
+    }
+
+    // Fills `this.timestamps` for `blockNumbers`, fetching the blocks not seen yet at once
+    async loadTimestamps(blockNumbers) {
+        const missing = [...new Set(blockNumbers)].filter((b) => this.timestamps[b] === undefined);
+        const blocks = await Promise.all(missing.map((b) => this.web3.eth.getBlock(b)));
+        blocks.forEach((block, i) => {
+            this.timestamps[missing[i]] = Number(block.timestamp);
+        });
+    }
+
+    // Records every pool of `this.pools` at `toBlock` (default latest) and the
+    // swaps since the previous poll. Nothing is read if no block came since.
+    async poll(toBlock) {
+        const block = toBlock === undefined ? await this.web3.eth.getBlockNumber() : toBlock;
+        if (this.pools.length === 0 || (this.lastBlock !== null && block <= this.lastBlock)) {
+            return;
+        }
+        const fromBlock = this.lastBlock === null ? block : this.lastBlock + 1;
+        const { numberToHex, toChecksumAddress } = this.web3.utils;
+        const [states, logs] = await Promise.all([
+            Pool.getPoolStates(this.pools, block, { reader: this.reader }),
+            this.web3.eth.getPastLogs({
+                address: this.pools.map((pool) => pool.address),
+                fromBlock: numberToHex(fromBlock),
+                toBlock: numberToHex(block),
+            }),
+        ]);
+        const swaps = logs
+            .map((log) => ({ log, decoded: this.decode(log) }))
+            .filter(({ decoded }) => decoded !== null && decoded.event === 'LOG_SWAP');
+        await this.loadTimestamps([block, ...swaps.map(({ log }) => log.blockNumber)]);
+        swaps.forEach(({ log: { address, blockNumber }, decoded }) => this.recordSwap(toChecksumAddress(address), {
+            blockNumber, timestamp: this.timestamps[blockNumber], ...PriceOracle.swapOf(decoded.args),
+        }));
+        const timestamp = this.timestamps[block];
+        states.forEach(({ address, tokens, records }) => {
+            const balances = {};
+            const denorms = {};
+            tokens.forEach((t) => {
+                balances[t] = records[t].balance;
+                denorms[t] = records[t].denorm;
+            });
+            this.record(address, { blockNumber: block, timestamp, state: { tokens, balances, denorms } });
+        });
+        this.lastBlock = block;
+        this.prune();
+    }
+
+    // Syncs `indexer` (a lib/indexer Indexer) up to `toBlock` and records the
+    // state each of its pools ended every block with, and the swaps
+    async syncIndexer(indexer, toBlock) {
+        const last = await indexer.sync(toBlock);
+        const after = this.lastBlock === null ? -1 : this.lastBlock;
+        const fresh = ({ blockNumber }) => blockNumber > after && blockNumber <= last;
+        const pools = await Promise.all((await indexer.store.getPools()).map(async ({ address }) => {
+            const [timeline, swaps] = await Promise.all([
+                indexer.store.getTimeline(address),
+                indexer.store.getEvents({ pool: address, event: 'LOG_SWAP' }),
+            ]);
+            // The last entry of each block is the state the block ended with
+            const entries = timeline.filter(fresh)
+                .filter((entry, j, all) => j === all.length - 1 || all[j + 1].blockNumber !== entry.blockNumber);
+            return { address, entries, trades: swaps.filter(fresh) };
+        }));
+        const blockNumbers = [].concat(...pools.map(({ entries, trades }) => [...entries, ...trades]))
+            .map(({ blockNumber }) => blockNumber);
+        await this.loadTimestamps([last, ...blockNumbers]);
+        pools.forEach(({ address, entries, trades }) => {
+            entries.forEach(({ blockNumber, state }) => this.record(address, {
+                blockNumber, timestamp: this.timestamps[blockNumber], state: PriceOracle.stateOf(state),
+            }));
+            trades.forEach(({ blockNumber, args }) => this.recordSwap(address, {
+                blockNumber, timestamp: this.timestamps[blockNumber], ...PriceOracle.swapOf(args),
+            }));
+        });
+        // Pools the indexer saw no change of still held their state up to `last`
+        if (pools.length > 0 && (this.latest === null || last > this.latest.blockNumber)) {
+            this.latest = { blockNumber: last, timestamp: this.timestamps[last] };
+        }
+        this.lastBlock = last;
+        this.prune();
+    }
+
+    // Drops the history no window of `retention` ending at the latest
+    // observation needs. Each pool keeps the observation in effect when the
+    // window opens, and the one before it to tell whether that one is an outlier.
+    prune() {
+        if (this.retention === null || this.latest === null) {
+            return;
+        }
+        const { key, from } = this.window(this.retention);
+        let oldest = this.latest.blockNumber;
+        Object.keys(this.observations).forEach((pool) => {
+            const observations = this.observations[pool];
+            const opening = observations.map((o) => o[key] <= from).lastIndexOf(true);
+            this.observations[pool] = observations.slice(Math.max(opening - 1, 0));
+            oldest = Math.min(oldest, this.observations[pool][0].blockNumber);
+        });
+        Object.keys(this.swaps).forEach((pool) => {
+            this.swaps[pool] = this.swaps[pool].filter((swap) => swap[key] > from);
+        });
+        Object.keys(this.timestamps).filter((b) => Number(b) < oldest).forEach((b) => {
+            delete this.timestamps[b];
+        });
+    }
+
+    // An indexer timeline state, amounts as decimal strings, as an observation state
+    static stateOf({ tokens, balances, denorms }) {
+        const state = { tokens: [...tokens], balances: {}, denorms: {} };
+        tokens.forEach((t) => {
+            state.balances[t] = BigInt(balances[t]);
+            state.denorms[t] = BigInt(denorms[t]);
+        });
+        return state;
+    }
+
+    static swapOf({
+        tokenIn, tokenOut, tokenAmountIn, tokenAmountOut,
+    }) {
+        return {
+            tokenIn, tokenOut, tokenAmountIn: BigInt(tokenAmountIn), tokenAmountOut: BigInt(tokenAmountOut),
+        };
+    }
+
+    // Runs `poll` every `pollInterval` ms until `stop`
+    start() {
+        this.poller.start();
+    }
+
+    async stop() {
+        await this.poller.stop();
+    }
+
+    // `[{ blockNumber, timestamp, price }]` of base in quote in `pool`, for the
+    // blocks both were bound, with `outlier` set on the points left out
+    series(pool, base, quote) {
+        const series = (this.observations[pool] || [])
+            .map(({ blockNumber, timestamp, state }) => ({ blockNumber, timestamp, price: spotOf(state, base, quote) }))
+            .filter(({ price }) => price !== null);
+        const found = outliers(series, this.maxDeviationBps, this.latest === null ? null : this.latest.blockNumber);
+        return series.map((point, i) => ({ ...point, outlier: found.has(i) }));
+    }
+
+    // Pools holding both tokens at their latest observation, deepest in base first
+    poolsOf(base, quote) {
+        const depth = (pool) => {
+            const observations = this.observations[pool];
+            return observations[observations.length - 1].state.balances[base];
+        };
+        return Object.keys(this.observations)
+            .filter((pool) => {
+                const observations = this.observations[pool];
+                const { tokens } = observations[observations.length - 1].state;
+                return tokens.includes(base) && tokens.includes(quote);
+            })
+            .sort((a, b) => {
+                if (depth(a) === depth(b)) return 0;
+                return depth(a) > depth(b) ? -1 : 1;
+            });
+    }
+
+    // Shortest token path from base to quote over the pools' latest observations
+    route(base, quote, maxHops) {
+        const paths = [[base]];
+        while (paths.length > 0) {
+            const path = paths.shift();
+            const last = path[path.length - 1];
+            if (last === quote) {
+                return path;
+            }
+            if (path.length <= maxHops) {
+                const next = new Set();
+                Object.values(this.observations).forEach((observations) => {
+                    const { tokens } = observations[observations.length - 1].state;
+                    if (tokens.includes(last)) {
+                        tokens.filter((t) => !path.includes(t)).forEach((t) => next.add(t));
+                    }
+                });
+                next.forEach((t) => paths.push([...path, t]));
+            }
+        }
+        return null;
+    }
+
+    // Prices base in quote hop by hop with `priceIn(pool, base, quote)`, in
+    // `pool` if given, else through the deepest pool of each hop. Returns
+    // `{ price, path, pools }`, or null if some hop has no price.
+    chain(base, quote, { pool, maxHops = 3 }, priceIn) {
+        const path = pool === undefined ? this.route(base, quote, maxHops) : [base, quote];
+        if (path === null) {
+            return null;
+        }
+        let price = BONE;
+        const pools = [];
+        for (let i = 0; i < path.length - 1; i += 1) {
+            const [hopPool] = pool === undefined ? this.poolsOf(path[i], path[i + 1]) : [pool];
+            const hop = hopPool === undefined ? null : priceIn(hopPool, path[i], path[i + 1]);
+            if (hop === null) {
+                return null;
+            }
+            price = bmul(price, hop);
+            pools.push(hopPool);
+        }
+        return { price, path, pools };
+    }
+
+    // Bounds of a window of `window` seconds (`unit: 'time'`) or blocks
+    // (`unit: 'block'`) ending at `end`, by default the latest observation
+    window({ window, end, unit = 'time' }) {
+        const key = unit === 'time' ? 'timestamp' : 'blockNumber';
+        const to = end === undefined ? this.latest[key] : end;
+        return { key, from: to - window, to };
+    }
+
+    // Latest price at or before `blockNumber` (default: the latest), outliers left out
+    spotPrice(base, quote, { blockNumber, ...options } = {}) {
+        if (this.latest === null) return null;
+        const at = blockNumber === undefined ? this.latest.blockNumber : blockNumber;
+        return this.chain(base, quote, options, (pool, b, q) => {
+            const kept = this.series(pool, b, q).filter((p) => !p.outlier && p.blockNumber <= at);
+            return kept.length === 0 ? null : kept[kept.length - 1].price;
+        });
+    }
+
+    // Time-weighted average: each kept observation holds until the next one.
+    // The one in effect when the window opens counts from there on; with no
+    // time elapsed the average is that observation's price.
+    twap(base, quote, options) {
+        if (this.latest === null) return null;
+        const { key, from, to } = this.window(options);
+        return this.chain(base, quote, options, (pool, b, q) => {
+            const kept = this.series(pool, b, q).filter((p) => !p.outlier && p[key] <= to);
+            const first = kept.map((p) => p[key] <= from).lastIndexOf(true);
+            const inWindow = kept.slice(Math.max(first, 0));
+            if (inWindow.length === 0) {
+                return null;
+            }
+            let weighted = ZERO;
+            let elapsed = ZERO;
+            inWindow.forEach((point, i) => {
+                const start = Math.max(point[key], from);
+                const stop = i === inWindow.length - 1 ? to : inWindow[i + 1][key];
+                weighted += point.price * BigInt(stop - start);
+                elapsed += BigInt(stop - start);
+            });
+            return elapsed === ZERO ? inWindow[inWindow.length - 1].price : weighted / elapsed;
+        });
+    }
+
+    // Volume-weighted average of the swaps in (end - window, end]: quote
+    // traded over base traded, fees included. Swaps of outlier blocks are left out.
+    vwap(base, quote, options) {
+        if (this.latest === null) return null;
+        const { key, from, to } = this.window(options);
+        return this.chain(base, quote, options, (pool, b, q) => {
+            const skipped = new Set(this.series(pool, b, q).filter((p) => p.outlier).map((p) => p.blockNumber));
+            let baseVolume = ZERO;
+            let quoteVolume = ZERO;
+            (this.swaps[pool] || [])
+                .filter((swap) => swap[key] > from && swap[key] <= to && !skipped.has(swap.blockNumber))
+                .forEach(({
+                    tokenIn, tokenOut, tokenAmountIn, tokenAmountOut,
+                }) => {
+                    if (tokenIn === q && tokenOut === b) {
+                        baseVolume += tokenAmountOut;
+                        quoteVolume += tokenAmountIn;
+                    } else if (tokenIn === b && tokenOut === q) {
+                        baseVolume += tokenAmountIn;
+                        quoteVolume += tokenAmountOut;
+                    }
+                });
+            return baseVolume === ZERO ? null : (quoteVolume * BONE) / baseVolume;
+        });
+    }
+}
+
+module.exports = PriceOracle;
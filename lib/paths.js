@@ -0,0 +1,103 @@
+// Multi-hop path finding over a token graph built from pool snapshots.
+// Every simple path of up to `maxHops` pools is priced hop by hop with
+// lib/quote, so each leg carries BPool's own math, fees and ratio limits.
+
+const { bnum } = require('./bnum');
+const { quote } = require('./quote');
+
+// token => [{ snapshot, tokenOut }] for every pool that can swap out of token
+function buildGraph(snapshots) {
+    const graph = {};
+    snapshots.filter((s) => s.publicSwap).forEach((snapshot) => {
+        snapshot.tokens.forEach((tokenIn) => {
+            graph[tokenIn] = graph[tokenIn] || [];
+            snapshot.tokens
+                .filter((tokenOut) => tokenOut !== tokenIn)
+                .forEach((tokenOut) => graph[tokenIn].push({ snapshot, tokenOut }));
+        });
+    });
+    return graph;
+}
+
+// Candidate paths from tokenIn to tokenOut as lists of edges; a path never
+// visits a token or a pool twice.
+function enumerate(graph, tokenIn, tokenOut, maxHops) {
+    const paths = [];
+    const walk = (token, edges) => {
+        if (token === tokenOut) {
+            paths.push(edges);
+            return;
+        }
+        if (edges.length === maxHops) return;
+        (graph[token] || []).forEach((edge) => {
+            const seen = edges.some((e) => e.tokenOut === edge.tokenOut || e.snapshot === edge.snapshot);
+            if (!seen && edge.tokenOut !== tokenIn) {
+                walk(edge.tokenOut, [...edges, edge]);
+            }
+        });
+    };
+    walk(tokenIn, []);
+    return paths;
+}
+
+// Prices `edges` one after the other, feeding each hop's expected output to
+// the next. Returns null if any hop would revert.
+function price(edges, tokenIn, tokenAmountIn, slippageBps) {
+    const legs = [];
+    let token = tokenIn;
+    let amount = tokenAmountIn;
+    for (let i = 0; i < edges.length; i += 1) {
+        const { snapshot, tokenOut } = edges[i];
+        const leg = quote(snapshot, { tokenIn: token, tokenOut, tokenAmountIn: amount }, slippageBps);
+        if (leg.error !== undefined) {
+            return null;
+        }
+        legs.push({ pool: snapshot.address, ...leg });
+        token = tokenOut;
+        amount = leg.tokenAmountOut;
+    }
+    const last = legs[legs.length - 1];
+    return {
+        path: [tokenIn, ...edges.map((e) => e.tokenOut)],
+        pools: edges.map((e) => e.snapshot.address),
+        hops: edges.length,
+        tokenAmountIn,
+        tokenAmountOut: last.tokenAmountOut,
+        minAmountOut: last.minAmountOut,
+        legs,
+    };
+}
+
+// Every executable route for `tokenAmountIn` of tokenIn into tokenOut, best
+// expected output first. Each route's `legs` are swapExactAmountIn calls to be
+// sent in order, each spending what the hop before it is expected to pay out;
+// `slippageBps` only loosens a leg's `minAmountOut` and `maxPrice`. A hop that
+// fills short of its expected output leaves the next leg short, so the rest
+// of the path should then be priced again from what the hop paid.
+function findPaths(snapshots, { tokenIn, tokenOut, tokenAmountIn }, { maxHops = 3, slippageBps = 50 } = {}) {
+    const graph = buildGraph(snapshots);
+    return enumerate(graph, tokenIn, tokenOut, maxHops)
+        .map((edges) => price(edges, tokenIn, bnum(tokenAmountIn), slippageBps))
+        .filter((route) => route !== null)
+        .sort((a, b) => {
+            if (a.tokenAmountOut === b.tokenAmountOut) return a.hops - b.hops;
+            return a.tokenAmountOut > b.tokenAmountOut ? -1 : 1;
+        });
+}
+
+// Best route for each hop count that has one, e.g. `{ 2: route, 3: route }`
+function bestPathsByHops(routes) {
+    const best = {};
+    routes.forEach((route) => {
+        if (best[route.hops] === undefined) {
+            best[route.hops] = route;
+        }
+    });
+    return best;
+}
+
+module.exports = {
+    buildGraph,
+    findPaths,
+    bestPathsByHops,
+};
@@ -0,0 +1,33 @@
+// Calls `fn` every `interval` ms, each round starting `interval` ms after
+// the one before it ended, so rounds never overlap.
+
+class Poller {
+    // A round that throws is reported to `onError` and polling goes on
+    constructor(fn, interval, onError = console.error) {
+        this.fn = fn;
+        this.interval = interval;
+        this.onError = onError;
+        this.timer = null;
+        this.round = null;
+    }
+
+    start() {
+        const tick = async () => {
+            this.round = this.fn().catch(this.onError);
+            await this.round;
+            if (this.timer !== null) {
+                this.timer = setTimeout(tick, this.interval);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    // Resolves once the round in progress, if any, is over
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.round;
+    }
+}
+
+module.exports = Poller;
@@ -0,0 +1,816 @@
+// Off-chain replica of BPool.sol.
+// Holds the same state as the contract and replays every pool operation with
+// the wei-exact math from lib/bmath. A call that would revert on-chain throws
+// an Error carrying the revert reason and leaves the simulator untouched.
+// Where BPool.sol uses a bare `require`, the reason is made up here.
+
+const {
+    BONE,
+    MIN_BOUND_TOKENS,
+    MAX_BOUND_TOKENS,
+    MIN_FEE,
+    MAX_FEE,
+    EXIT_FEE,
+    DEFAULT_RESERVES_RATIO,
+    MIN_WEIGHT,
+    MAX_WEIGHT,
+    MAX_TOTAL_WEIGHT,
+    MIN_BALANCE,
+    INIT_POOL_SUPPLY,
+    MAX_IN_RATIO,
+    MAX_OUT_RATIO,
+} = require('./bconst');
+const {
+    bnum, bRequire, badd, bsub, bmul, bdiv,
+} = require('./bnum');
+const {
+    calcSpotPrice,
+    calcOutGivenIn,
+    calcInGivenOut,
+    calcPoolOutGivenSingleIn,
+    calcSingleInGivenPoolOut,
+    calcSingleOutGivenPoolIn,
+    calcPoolInGivenSingleOut,
+    calcReserves,
+    calcReservesFromFee,
+} = require('./bmath');
+
+const ZERO = BigInt(0);
+
+// Key under which pool shares held by the pool itself (`address(this)`) are tracked
+const SELF = 'pool';
+
+function copyRecords(records) {
+    const copy = {};
+    Object.keys(records).forEach((token) => {
+        copy[token] = { ...records[token] };
+    });
+    return copy;
+}
+
+class PoolSimulator {
+    // `controller` plays `msg.sender` of the constructor and `factory` the
+    // BFactory that deployed the pool; both default to the same address
+    // like a pool created through `BFactory.newBPool`.
+    constructor({ controller, factory = controller } = {}) {
+        this.controller = controller;
+        this.factory = factory;
+        this.swapFee = MIN_FEE;
+        this.reservesRatio = DEFAULT_RESERVES_RATIO;
+        this.publicSwap = false;
+        this.finalized = false;
+
+        this.tokens = [];
+        this.records = {};
+        this.totalReserves = {};
+        this.totalWeight = ZERO;
+
+        // BToken state
+        this.totalSupply = ZERO;
+        this.shares = {};
+
+        // ERC20 balances held by the pool address, i.e. `IERC20(token).balanceOf(pool)`
+        this.holdings = {};
+    }
+
+    // Builds a finalized-or-not replica from a `Pool.getPoolState` snapshot.
+    // The pool is assumed to hold exactly its balances plus reserves, and all
+    // pool shares are credited to `holder` so exits can be simulated.
+    static fromSnapshot(snapshot, { controller, factory, holder = controller } = {}) {
+        const sim = new PoolSimulator({ controller, factory });
+        sim.swapFee = bnum(snapshot.swapFee);
+        sim.reservesRatio = bnum(snapshot.reservesRatio);
+        sim.publicSwap = snapshot.publicSwap;
+        sim.finalized = snapshot.finalized;
+        sim.totalWeight = bnum(snapshot.totalWeight);
+        sim.totalSupply = bnum(snapshot.totalSupply);
+        sim.shares[holder] = sim.totalSupply;
+
+        snapshot.tokens.forEach((t, index) => {
+            const { balance, denorm } = snapshot.records[t];
+            const reserves = bnum(snapshot.totalReserves[t] || 0);
+            sim.tokens.push(t);
+            sim.records[t] = {
+                bound: true, index, denorm: bnum(denorm), balance: bnum(balance),
+            };
+            sim.totalReserves[t] = reserves;
+            sim.holdings[t] = badd(balance, reserves);
+        });
+        return sim;
+    }
+
+    clone() {
+        const copy = new PoolSimulator({ controller: this.controller, factory: this.factory });
+        copy.restore(this.snapshot());
+        return copy;
+    }
+
+    snapshot() {
+        return {
+            controller: this.controller,
+            factory: this.factory,
+            swapFee: this.swapFee,
+            reservesRatio: this.reservesRatio,
+            publicSwap: this.publicSwap,
+            finalized: this.finalized,
+            tokens: [...this.tokens],
+            records: copyRecords(this.records),
+            totalReserves: { ...this.totalReserves },
+            totalWeight: this.totalWeight,
+            totalSupply: this.totalSupply,
+            shares: { ...this.shares },
+            holdings: { ...this.holdings },
+        };
+    }
+
+    restore(snapshot) {
+        Object.assign(this, snapshot, {
+            tokens: [...snapshot.tokens],
+            records: copyRecords(snapshot.records),
+            totalReserves: { ...snapshot.totalReserves },
+            shares: { ...snapshot.shares },
+            holdings: { ...snapshot.holdings },
+        });
+    }
+
+    // Runs `fn` like a transaction: if it throws, every change is rolled back.
+    transact(fn) {
+        const snapshot = this.snapshot();
+        try {
+            return fn();
+        } catch (err) {
+            this.restore(snapshot);
+            throw err;
+        }
+    }
+
+    sender(options = {}) {
+        return options.from === undefined ? this.controller : options.from;
+    }
+
+    record(token) {
+        return this.records[token] || {
+            bound: false, index: 0, denorm: ZERO, balance: ZERO,
+        };
+    }
+
+    /* Views */
+
+    isPublicSwap() {
+        return this.publicSwap;
+    }
+
+    isFinalized() {
+        return this.finalized;
+    }
+
+    isBound(token) {
+        return this.record(token).bound;
+    }
+
+    getNumTokens() {
+        return this.tokens.length;
+    }
+
+    getCurrentTokens() {
+        return [...this.tokens];
+    }
+
+    getFinalTokens() {
+        bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+        return [...this.tokens];
+    }
+
+    getDenormalizedWeight(token) {
+        bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+        return this.record(token).denorm;
+    }
+
+    getTotalDenormalizedWeight() {
+        return this.totalWeight;
+    }
+
+    getNormalizedWeight(token) {
+        bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+        return bdiv(this.record(token).denorm, this.totalWeight);
+    }
+
+    getBalance(token) {
+        bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+        return this.record(token).balance;
+    }
+
+    getSwapFee() {
+        return this.swapFee;
+    }
+
+    getReservesRatio() {
+        return this.reservesRatio;
+    }
+
+    getController() {
+        return this.controller;
+    }
+
+    getSpotPrice(tokenIn, tokenOut) {
+        bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+        bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+        const inRecord = this.record(tokenIn);
+        const outRecord = this.record(tokenOut);
+        return calcSpotPrice(inRecord.balance, inRecord.denorm, outRecord.balance, outRecord.denorm, this.swapFee);
+    }
+
+    getSpotPriceSansFee(tokenIn, tokenOut) {
+        bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+        bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+        const inRecord = this.record(tokenIn);
+        const outRecord = this.record(tokenOut);
+        return calcSpotPrice(inRecord.balance, inRecord.denorm, outRecord.balance, outRecord.denorm, 0);
+    }
+
+    getTotalReserves(token) {
+        return this.totalReserves[token] || ZERO;
+    }
+
+    balanceOf(whom) {
+        return this.shares[whom] || ZERO;
+    }
+
+    erc20BalanceOf(token) {
+        return this.holdings[token] || ZERO;
+    }
+
+    /* Controller */
+
+    setSwapFee(swapFee, options) {
+        return this.transact(() => {
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+            bRequire(this.sender(options) === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(bnum(swapFee) >= MIN_FEE, 'ERR_MIN_FEE');
+            bRequire(bnum(swapFee) <= MAX_FEE, 'ERR_MAX_FEE');
+            this.swapFee = bnum(swapFee);
+        });
+    }
+
+    setReservesRatio(reservesRatio, options) {
+        return this.transact(() => {
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+            bRequire(this.sender(options) === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(bnum(reservesRatio) <= BONE, 'ERR_INVALID_RESERVE');
+            bRequire(bnum(reservesRatio) >= DEFAULT_RESERVES_RATIO, 'ERR_INVALID_RESERVE');
+            this.reservesRatio = bnum(reservesRatio);
+        });
+    }
+
+    setController(manager, options) {
+        return this.transact(() => {
+            bRequire(this.sender(options) === this.controller, 'ERR_NOT_CONTROLLER');
+            this.controller = manager;
+        });
+    }
+
+    setPublicSwap(publicSwap, options) {
+        return this.transact(() => {
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+            bRequire(this.sender(options) === this.controller, 'ERR_NOT_CONTROLLER');
+            this.publicSwap = Boolean(publicSwap);
+        });
+    }
+
+    finalize(options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(sender === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+            bRequire(this.tokens.length >= MIN_BOUND_TOKENS, 'ERR_MIN_TOKENS');
+
+            this.finalized = true;
+            this.publicSwap = true;
+
+            this.mintPoolShare(INIT_POOL_SUPPLY);
+            this.pushPoolShare(sender, INIT_POOL_SUPPLY);
+        });
+    }
+
+    bind(token, balance, denorm, options) {
+        return this.transact(() => {
+            bRequire(this.sender(options) === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(!this.record(token).bound, 'ERR_IS_BOUND');
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+
+            bRequire(this.tokens.length < MAX_BOUND_TOKENS, 'ERR_MAX_TOKENS');
+
+            this.records[token] = {
+                bound: true,
+                index: this.tokens.length,
+                denorm: ZERO, // balance and denorm will be validated
+                balance: ZERO, // and set by `rebind`
+            };
+            this.tokens.push(token);
+            this.rebind(token, balance, denorm, options);
+        });
+    }
+
+    rebind(token, balance, denorm, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(sender === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+
+            bRequire(bnum(denorm) >= MIN_WEIGHT, 'ERR_MIN_WEIGHT');
+            bRequire(bnum(denorm) <= MAX_WEIGHT, 'ERR_MAX_WEIGHT');
+            bRequire(bnum(balance) >= MIN_BALANCE, 'ERR_MIN_BALANCE');
+
+            const record = this.records[token];
+
+            // Adjust the denorm and totalWeight
+            const oldWeight = record.denorm;
+            if (bnum(denorm) > oldWeight) {
+                this.totalWeight = badd(this.totalWeight, bsub(denorm, oldWeight));
+                bRequire(this.totalWeight <= MAX_TOTAL_WEIGHT, 'ERR_MAX_TOTAL_WEIGHT');
+            } else if (bnum(denorm) < oldWeight) {
+                this.totalWeight = bsub(this.totalWeight, bsub(oldWeight, denorm));
+            }
+            record.denorm = bnum(denorm);
+
+            // Adjust the balance record and actual token balance
+            const oldBalance = record.balance;
+            record.balance = bnum(balance);
+            if (bnum(balance) > oldBalance) {
+                this.pullUnderlying(token, sender, bsub(balance, oldBalance));
+            } else if (bnum(balance) < oldBalance) {
+                // In this case liquidity is being withdrawn, so charge EXIT_FEE
+                const tokenBalanceWithdrawn = bsub(oldBalance, balance);
+                const tokenExitFee = bmul(tokenBalanceWithdrawn, EXIT_FEE);
+                this.pushUnderlying(token, sender, bsub(tokenBalanceWithdrawn, tokenExitFee));
+                this.pushUnderlying(token, this.factory, tokenExitFee);
+            }
+        });
+    }
+
+    unbind(token, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(sender === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+            bRequire(!this.finalized, 'ERR_IS_FINALIZED');
+
+            const tokenBalance = this.records[token].balance;
+            const tokenExitFee = bmul(tokenBalance, EXIT_FEE);
+
+            this.totalWeight = bsub(this.totalWeight, this.records[token].denorm);
+
+            // Swap the token-to-unbind with the last token,
+            // then delete the last token
+            const { index } = this.records[token];
+            const last = this.tokens.length - 1;
+            this.tokens[index] = this.tokens[last];
+            this.records[this.tokens[index]].index = index;
+            this.tokens.pop();
+            delete this.records[token];
+
+            this.pushUnderlying(token, sender, bsub(tokenBalance, tokenExitFee));
+            this.pushUnderlying(token, this.factory, tokenExitFee);
+        });
+    }
+
+    // Absorb any tokens that have been sent to this contract into the pool
+    gulp(token) {
+        return this.transact(() => {
+            bRequire(this.record(token).bound, 'ERR_NOT_BOUND');
+            const erc20Balance = this.erc20BalanceOf(token);
+            const reserves = this.getTotalReserves(token);
+            bRequire(this.records[token].balance <= bsub(erc20Balance, reserves), 'ERR_GULP');
+            this.records[token].balance = bsub(erc20Balance, reserves);
+        });
+    }
+
+    seize(token, amount, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(sender === this.controller, 'ERR_NOT_CONTROLLER');
+            bRequire(!this.record(token).bound, 'ERR_IS_BOUND');
+
+            const bal = this.erc20BalanceOf(token);
+            bRequire(bnum(amount) <= bal, 'ERR_INSUFFICIENT_BAL');
+
+            this.pushUnderlying(token, sender, amount);
+        });
+    }
+
+    // Simulates a plain ERC20 transfer to the pool address, which only
+    // `gulp` and `seize` can pick up.
+    sendUnderlying(token, amount) {
+        this.holdings[token] = badd(this.erc20BalanceOf(token), amount);
+    }
+
+    /* Liquidity */
+
+    joinPool(poolAmountOut, maxAmountsIn, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+
+            const poolTotal = this.totalSupply;
+            const ratio = bdiv(poolAmountOut, poolTotal);
+            bRequire(ratio !== ZERO, 'ERR_MATH_APPROX');
+
+            const tokenAmountsIn = this.tokens.map((t, i) => {
+                const record = this.records[t];
+                const tokenAmountIn = bmul(ratio, record.balance);
+                bRequire(tokenAmountIn !== ZERO, 'ERR_MATH_APPROX');
+                bRequire(i < maxAmountsIn.length, 'ERR_ARRAY_LENGTH');
+                bRequire(tokenAmountIn <= bnum(maxAmountsIn[i]), 'ERR_LIMIT_IN');
+                record.balance = badd(record.balance, tokenAmountIn);
+                this.pullUnderlying(t, sender, tokenAmountIn);
+                return tokenAmountIn;
+            });
+            this.mintPoolShare(poolAmountOut);
+            this.pushPoolShare(sender, poolAmountOut);
+            return tokenAmountsIn;
+        });
+    }
+
+    exitPool(poolAmountIn, minAmountsOut, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+
+            const poolTotal = this.totalSupply;
+            const exitFee = bmul(poolAmountIn, EXIT_FEE);
+            const pAiAfterExitFee = bsub(poolAmountIn, exitFee);
+            const ratio = bdiv(pAiAfterExitFee, poolTotal);
+            bRequire(ratio !== ZERO, 'ERR_MATH_APPROX');
+
+            this.pullPoolShare(sender, poolAmountIn);
+            this.pushPoolShare(this.factory, exitFee);
+            this.burnPoolShare(pAiAfterExitFee);
+
+            return this.tokens.map((t, i) => {
+                const record = this.records[t];
+                const tokenAmountOut = bmul(ratio, record.balance);
+                bRequire(tokenAmountOut !== ZERO, 'ERR_MATH_APPROX');
+                bRequire(i < minAmountsOut.length, 'ERR_ARRAY_LENGTH');
+                bRequire(tokenAmountOut >= bnum(minAmountsOut[i]), 'ERR_LIMIT_OUT');
+                record.balance = bsub(record.balance, tokenAmountOut);
+                this.pushUnderlying(t, sender, tokenAmountOut);
+                return tokenAmountOut;
+            });
+        });
+    }
+
+    /* Swaps */
+
+    swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut, minAmountOut, maxPrice) {
+        return this.transact(() => {
+            bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+            bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+            bRequire(this.publicSwap, 'ERR_SWAP_NOT_PUBLIC');
+
+            const inRecord = this.records[tokenIn];
+            const outRecord = this.records[tokenOut];
+
+            bRequire(bnum(tokenAmountIn) <= bmul(inRecord.balance, MAX_IN_RATIO), 'ERR_MAX_IN_RATIO');
+
+            const spotPriceBefore = calcSpotPrice(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                this.swapFee,
+            );
+            bRequire(spotPriceBefore <= bnum(maxPrice), 'ERR_BAD_LIMIT_PRICE');
+
+            const [tokenAmountOut, tokenInFee] = calcOutGivenIn(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                tokenAmountIn,
+                this.swapFee,
+            );
+            bRequire(tokenAmountOut >= bnum(minAmountOut), 'ERR_LIMIT_OUT');
+
+            const reserves = calcReservesFromFee(tokenInFee, this.reservesRatio);
+
+            // Subtract `reserves`.
+            inRecord.balance = bsub(badd(inRecord.balance, tokenAmountIn), reserves);
+            outRecord.balance = bsub(outRecord.balance, tokenAmountOut);
+
+            const spotPriceAfter = calcSpotPrice(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                this.swapFee,
+            );
+            bRequire(spotPriceAfter >= spotPriceBefore, 'ERR_MATH_APPROX');
+            bRequire(spotPriceAfter <= bnum(maxPrice), 'ERR_LIMIT_PRICE');
+            bRequire(spotPriceBefore <= bdiv(tokenAmountIn, tokenAmountOut), 'ERR_MATH_APPROX');
+
+            this.addReserves(tokenIn, reserves);
+
+            this.pullUnderlying(tokenIn, null, tokenAmountIn);
+            this.pushUnderlying(tokenOut, null, tokenAmountOut);
+
+            return { tokenAmountOut, spotPriceAfter };
+        });
+    }
+
+    swapExactAmountOut(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice) {
+        return this.transact(() => {
+            bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+            bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+            bRequire(this.publicSwap, 'ERR_SWAP_NOT_PUBLIC');
+
+            const inRecord = this.records[tokenIn];
+            const outRecord = this.records[tokenOut];
+
+            bRequire(bnum(tokenAmountOut) <= bmul(outRecord.balance, MAX_OUT_RATIO), 'ERR_MAX_OUT_RATIO');
+
+            const spotPriceBefore = calcSpotPrice(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                this.swapFee,
+            );
+            bRequire(spotPriceBefore <= bnum(maxPrice), 'ERR_BAD_LIMIT_PRICE');
+
+            const [tokenAmountIn, tokenInFee] = calcInGivenOut(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                tokenAmountOut,
+                this.swapFee,
+            );
+            bRequire(tokenAmountIn <= bnum(maxAmountIn), 'ERR_LIMIT_IN');
+
+            const reserves = calcReservesFromFee(tokenInFee, this.reservesRatio);
+
+            // Subtract `reserves` which is reserved for admin.
+            inRecord.balance = bsub(badd(inRecord.balance, tokenAmountIn), reserves);
+            outRecord.balance = bsub(outRecord.balance, tokenAmountOut);
+
+            const spotPriceAfter = calcSpotPrice(
+                inRecord.balance,
+                inRecord.denorm,
+                outRecord.balance,
+                outRecord.denorm,
+                this.swapFee,
+            );
+            bRequire(spotPriceAfter >= spotPriceBefore, 'ERR_MATH_APPROX');
+            bRequire(spotPriceAfter <= bnum(maxPrice), 'ERR_LIMIT_PRICE');
+            bRequire(spotPriceBefore <= bdiv(tokenAmountIn, tokenAmountOut), 'ERR_MATH_APPROX');
+
+            this.addReserves(tokenIn, reserves);
+
+            this.pullUnderlying(tokenIn, null, tokenAmountIn);
+            this.pushUnderlying(tokenOut, null, tokenAmountOut);
+
+            return { tokenAmountIn, spotPriceAfter };
+        });
+    }
+
+    /* Single asset joins and exits */
+
+    joinswapExternAmountIn(tokenIn, tokenAmountIn, minPoolAmountOut, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+            bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+            bRequire(bnum(tokenAmountIn) <= bmul(this.records[tokenIn].balance, MAX_IN_RATIO), 'ERR_MAX_IN_RATIO');
+
+            const inRecord = this.records[tokenIn];
+
+            const [poolAmountOut, reserves] = calcPoolOutGivenSingleIn(
+                inRecord.balance,
+                inRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                tokenAmountIn,
+                this.swapFee,
+                this.reservesRatio,
+            );
+
+            bRequire(poolAmountOut >= bnum(minPoolAmountOut), 'ERR_LIMIT_OUT');
+
+            inRecord.balance = bsub(badd(inRecord.balance, tokenAmountIn), reserves);
+
+            this.addReserves(tokenIn, reserves);
+
+            this.mintPoolShare(poolAmountOut);
+            this.pushPoolShare(sender, poolAmountOut);
+            this.pullUnderlying(tokenIn, sender, tokenAmountIn);
+
+            return poolAmountOut;
+        });
+    }
+
+    joinswapPoolAmountOut(tokenIn, poolAmountOut, maxAmountIn, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+            bRequire(this.record(tokenIn).bound, 'ERR_NOT_BOUND');
+
+            const inRecord = this.records[tokenIn];
+
+            const tokenAmountIn = calcSingleInGivenPoolOut(
+                inRecord.balance,
+                inRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                poolAmountOut,
+                this.swapFee,
+            );
+
+            bRequire(tokenAmountIn !== ZERO, 'ERR_MATH_APPROX');
+            bRequire(tokenAmountIn <= bnum(maxAmountIn), 'ERR_LIMIT_IN');
+
+            bRequire(tokenAmountIn <= bmul(inRecord.balance, MAX_IN_RATIO), 'ERR_MAX_IN_RATIO');
+
+            const tokenAmountInZeroFee = calcSingleInGivenPoolOut(
+                inRecord.balance,
+                inRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                poolAmountOut,
+                0,
+            );
+            const reserves = calcReserves(
+                tokenAmountIn,
+                tokenAmountInZeroFee,
+                this.reservesRatio,
+            );
+
+            inRecord.balance = bsub(badd(inRecord.balance, tokenAmountIn), reserves);
+
+            this.addReserves(tokenIn, reserves);
+
+            this.mintPoolShare(poolAmountOut);
+            this.pushPoolShare(sender, poolAmountOut);
+            this.pullUnderlying(tokenIn, sender, tokenAmountIn);
+
+            return tokenAmountIn;
+        });
+    }
+
+    exitswapPoolAmountIn(tokenOut, poolAmountIn, minAmountOut, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+            bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+
+            const outRecord = this.records[tokenOut];
+
+            const tokenAmountOut = calcSingleOutGivenPoolIn(
+                outRecord.balance,
+                outRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                poolAmountIn,
+                this.swapFee,
+            );
+
+            bRequire(tokenAmountOut >= bnum(minAmountOut), 'ERR_LIMIT_OUT');
+
+            bRequire(tokenAmountOut <= bmul(outRecord.balance, MAX_OUT_RATIO), 'ERR_MAX_OUT_RATIO');
+
+            const tokenAmountOutZeroFee = calcSingleOutGivenPoolIn(
+                outRecord.balance,
+                outRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                poolAmountIn,
+                0,
+            );
+            const reserves = calcReserves(
+                tokenAmountOutZeroFee,
+                tokenAmountOut,
+                this.reservesRatio,
+            );
+
+            outRecord.balance = bsub(bsub(outRecord.balance, tokenAmountOut), reserves);
+
+            const exitFee = bmul(poolAmountIn, EXIT_FEE);
+
+            this.addReserves(tokenOut, reserves);
+
+            this.pullPoolShare(sender, poolAmountIn);
+            this.burnPoolShare(bsub(poolAmountIn, exitFee));
+            this.pushPoolShare(this.factory, exitFee);
+            this.pushUnderlying(tokenOut, sender, tokenAmountOut);
+
+            return tokenAmountOut;
+        });
+    }
+
+    exitswapExternAmountOut(tokenOut, tokenAmountOut, maxPoolAmountIn, options) {
+        return this.transact(() => {
+            const sender = this.sender(options);
+            bRequire(this.finalized, 'ERR_NOT_FINALIZED');
+            bRequire(this.record(tokenOut).bound, 'ERR_NOT_BOUND');
+            bRequire(
+                bnum(tokenAmountOut) <= bmul(this.records[tokenOut].balance, MAX_OUT_RATIO),
+                'ERR_MAX_OUT_RATIO',
+            );
+
+            const outRecord = this.records[tokenOut];
+
+            const [poolAmountIn, reserves] = calcPoolInGivenSingleOut(
+                outRecord.balance,
+                outRecord.denorm,
+                this.totalSupply,
+                this.totalWeight,
+                tokenAmountOut,
+                this.swapFee,
+                this.reservesRatio,
+            );
+
+            bRequire(poolAmountIn !== ZERO, 'ERR_MATH_APPROX');
+            bRequire(poolAmountIn <= bnum(maxPoolAmountIn), 'ERR_LIMIT_IN');
+
+            outRecord.balance = bsub(bsub(outRecord.balance, tokenAmountOut), reserves);
+
+            const exitFee = bmul(poolAmountIn, EXIT_FEE);
+
+            this.addReserves(tokenOut, reserves);
+
+            this.pullPoolShare(sender, poolAmountIn);
+            this.burnPoolShare(bsub(poolAmountIn, exitFee));
+            this.pushPoolShare(this.factory, exitFee);
+            this.pushUnderlying(tokenOut, sender, tokenAmountOut);
+
+            return poolAmountIn;
+        });
+    }
+
+    drainTotalReserves(reservesAddress, options) {
+        return this.transact(() => {
+            bRequire(this.sender(options) === this.factory, 'ERR_NOT_FACTORY');
+
+            return this.tokens.map((t) => {
+                const tokenAmountOut = this.getTotalReserves(t);
+                this.totalReserves[t] = ZERO;
+                this.pushUnderlying(t, reservesAddress, tokenAmountOut);
+                return tokenAmountOut;
+            });
+        });
+    }
+
+    /* BToken */
+
+    transfer(dst, amount, options) {
+        return this.transact(() => {
+            this.move(this.sender(options), dst, amount);
+            return true;
+        });
+    }
+
+    // ==
+    // Internal helpers mirroring BPool's and BToken's underscore functions
+
+    addReserves(token, reserves) {
+        this.totalReserves[token] = badd(this.getTotalReserves(token), reserves);
+    }
+
+    // Only the pool side of the transfer is tracked; the caller is assumed to
+    // have approved enough tokens, as a failing transfer reverts anyway.
+    pullUnderlying(token, from, amount) {
+        this.holdings[token] = badd(this.erc20BalanceOf(token), amount);
+    }
+
+    pushUnderlying(token, to, amount) {
+        bRequire(this.erc20BalanceOf(token) >= bnum(amount), 'ERR_ERC20_FALSE');
+        this.holdings[token] = bsub(this.erc20BalanceOf(token), amount);
+    }
+
+    move(src, dst, amount) {
+        bRequire(this.balanceOf(src) >= bnum(amount), 'ERR_INSUFFICIENT_BAL');
+        this.shares[src] = bsub(this.balanceOf(src), amount);
+        this.shares[dst] = badd(this.balanceOf(dst), amount);
+    }
+
+    mintPoolShare(amount) {
+        this.totalSupply = badd(this.totalSupply, amount);
+        this.shares[SELF] = badd(this.balanceOf(SELF), amount);
+    }
+
+    burnPoolShare(amount) {
+        bRequire(this.balanceOf(SELF) >= bnum(amount), 'ERR_INSUFFICIENT_BAL');
+        this.shares[SELF] = bsub(this.balanceOf(SELF), amount);
+        this.totalSupply = bsub(this.totalSupply, amount);
+    }
+
+    pushPoolShare(to, amount) {
+        this.move(SELF, to, amount);
+    }
+
+    pullPoolShare(from, amount) {
+        this.move(from, SELF, amount);
+    }
+}
+
+module.exports = PoolSimulator;
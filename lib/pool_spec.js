@@ -0,0 +1,242 @@
+// Declarative pool specs, deployed by migrations/3_deploy_pools.js.
+//
+// A spec is a JSON or YAML file:
+//
+//   name: weth-dai            # defaults to the file name
+//   tokens:                   # in bind order
+//     - symbol: WETH
+//       address: '0x...'      # optional on development networks
+//       balance: '10'         # in token units
+//       weight: 0.8           # normalized weight, or `denorm: 40`
+//     - { symbol: DAI, balance: '4000', weight: 0.2 }
+//   totalWeight: 40           # denorms the weights add up to, default 25 (DEFAULT_TOTAL_WEIGHT)
+//                             # raised as far as MIN_WEIGHT needs, up to 50
+//   swapFee: '0.003'          # default MIN_FEE
+//   reservesRatio: '0.2'      # default DEFAULT_RESERVES_RATIO
+//   controller: '0x...'       # default the deployer
+//   finalized: true           # or `publicSwap: true` to keep the pool managed
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+    MIN_BOUND_TOKENS, MAX_BOUND_TOKENS, MIN_FEE, DEFAULT_RESERVES_RATIO,
+} = require('./bconst');
+const {
+    checkSwapFee, checkReservesRatio, checkWeight, checkTotalWeight, checkBalance,
+} = require('./admin');
+const { Factory } = require('./client');
+const { toBone, toUnits } = require('./client/units');
+const { denormsFor } = require('./weights');
+
+function fail(name, message) {
+    throw new Error(`pool spec ${name}: ${message}`);
+}
+
+function totalWeightOf(raw) {
+    return raw.totalWeight === undefined ? {} : { totalWeight: toBone(raw.totalWeight) };
+}
+
+// Checks a parsed spec against BConst and fills in the defaults. Weights and
+// fees become BigInts in wei; balances stay in token units until the token's
+// decimals are known.
+function normalizeSpec(raw, defaultName) {
+    const name = raw.name || defaultName;
+    const tokens = raw.tokens || [];
+    if (tokens.length < Number(MIN_BOUND_TOKENS) || tokens.length > Number(MAX_BOUND_TOKENS)) {
+        fail(name, `needs ${MIN_BOUND_TOKENS} to ${MAX_BOUND_TOKENS} tokens, has ${tokens.length}`);
+    }
+    tokens.forEach((token, i) => {
+        if (typeof token.symbol !== 'string' && typeof token.address !== 'string') {
+            fail(name, `token ${i} needs a symbol or an address`);
+        }
+        if (token.balance === undefined || (token.weight === undefined) === (token.denorm === undefined)) {
+            fail(name, `token ${token.symbol || token.address} needs a balance and either a weight or a denorm`);
+        }
+    });
+    const byWeight = tokens.filter((t) => t.weight !== undefined).length;
+    if (byWeight !== 0 && byWeight !== tokens.length) {
+        fail(name, 'tokens must all give a weight or all give a denorm');
+    }
+    const keys = tokens.map((t) => (t.address || t.symbol).toLowerCase());
+    if (new Set(keys).size !== keys.length) {
+        fail(name, 'lists a token twice');
+    }
+
+    const swapFee = raw.swapFee === undefined ? MIN_FEE : BigInt(toBone(raw.swapFee));
+    const reservesRatio = raw.reservesRatio === undefined ? DEFAULT_RESERVES_RATIO : BigInt(toBone(raw.reservesRatio));
+    const finalized = raw.finalized === true;
+    if (finalized && raw.publicSwap === false) {
+        fail(name, 'a finalized pool always has public swaps');
+    }
+    let denorms;
+    try {
+        denorms = byWeight === 0
+            ? tokens.map((t) => BigInt(toBone(t.denorm)))
+            : denormsFor(tokens.map((t) => t.weight), totalWeightOf(raw)).denorms;
+        denorms.forEach(checkWeight);
+        checkTotalWeight(denorms.reduce((a, b) => a + b, BigInt(0)));
+        checkSwapFee(swapFee);
+        checkReservesRatio(reservesRatio);
+    } catch (err) {
+        fail(name, err.message);
+    }
+
+    return {
+        name,
+        tokens: tokens.map((t, i) => ({
+            symbol: t.symbol,
+            address: t.address,
+            decimals: t.decimals === undefined ? 18 : Number(t.decimals),
+            balance: t.balance.toString(),
+            denorm: denorms[i],
+        })),
+        swapFee,
+        reservesRatio,
+        controller: raw.controller,
+        finalized,
+        publicSwap: finalized || raw.publicSwap === true,
+    };
+}
+
+function parseSpec(text, file) {
+    const ext = path.extname(file);
+    const raw = ext === '.json' ? JSON.parse(text) : yaml.safeLoad(text);
+    return normalizeSpec(raw, path.basename(file, ext));
+}
+
+// Specs from every .json, .yaml and .yml file directly in `dir`, by file name
+function loadSpecs(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter((file) => ['.json', '.yaml', '.yml'].includes(path.extname(file)))
+        .sort()
+        .map((file) => parseSpec(fs.readFileSync(path.join(dir, file), 'utf8'), file));
+}
+
+// Whether `pool` already is what `spec` describes. Tokens without an address
+// are recognized by symbol on development networks, where they are TTokens
+// deployed for the spec, and match nothing elsewhere, since any token can
+// take a symbol. Balances are only compared while nobody can swap, since
+// trading moves them.
+async function matchesSpec(artifacts, pool, spec, controller, { development = false } = {}) {
+    const state = await pool.getPoolState();
+    if (state.tokens.length !== spec.tokens.length) {
+        return false;
+    }
+    const BToken = artifacts.require('BToken');
+    const symbols = await Promise.all(state.tokens.map(async (t) => (await BToken.at(t)).symbol()));
+    const records = await Promise.all(spec.tokens.map(async (token) => {
+        const i = state.tokens.findIndex((t, j) => {
+            if (token.address === undefined) return development && symbols[j] === token.symbol;
+            return t.toLowerCase() === token.address.toLowerCase();
+        });
+        if (i === -1) return false;
+        const record = state.records[state.tokens[i]];
+        const balance = BigInt(toUnits(token.balance, record.decimals));
+        return record.denorm === token.denorm && (state.publicSwap || record.balance === balance);
+    }));
+    return records.every((matches) => matches)
+        && state.swapFee === spec.swapFee
+        && state.reservesRatio === spec.reservesRatio
+        && state.finalized === spec.finalized
+        && state.publicSwap === spec.publicSwap
+        && (await pool.getController()).toLowerCase() === controller.toLowerCase();
+}
+
+// Token addresses for a new pool. On development networks a TToken is deployed
+// and minted to the deployer for every token without an address.
+async function resolveTokens(artifacts, spec, { from, development }) {
+    const TToken = artifacts.require('TToken');
+    const addresses = [];
+    for (let i = 0; i < spec.tokens.length; i += 1) {
+        const token = spec.tokens[i];
+        if (token.address !== undefined) {
+            addresses.push(token.address);
+        } else if (development) {
+            // One deployment at a time, so each takes the sender's next nonce
+            /* eslint-disable no-await-in-loop */
+            const deployed = await TToken.new(token.symbol, token.symbol, token.decimals, { from });
+            await deployed.mint(from, toUnits(token.balance, token.decimals), { from });
+            /* eslint-enable no-await-in-loop */
+            addresses.push(deployed.address);
+        } else {
+            fail(spec.name, `token ${token.symbol} has no address`);
+        }
+    }
+    return addresses;
+}
+
+async function createPool(artifacts, factory, spec, { from, development }) {
+    const controller = spec.controller || from;
+    const options = { from };
+    const BToken = artifacts.require('BToken');
+    const tokens = await resolveTokens(artifacts, spec, { from, development });
+    const units = await Promise.all(tokens.map(async (t, i) => {
+        const decimals = Number(await (await BToken.at(t)).decimals());
+        return toUnits(spec.tokens[i].balance, decimals);
+    }));
+    try {
+        units.forEach((u) => checkBalance(BigInt(u)));
+    } catch (err) {
+        fail(spec.name, err.message);
+    }
+
+    const pool = await factory.newPool(options);
+    // BPool lists its tokens in the order they were bound
+    for (let i = 0; i < tokens.length; i += 1) {
+        /* eslint-disable no-await-in-loop */
+        await pool.approve(tokens[i], spec.tokens[i].balance, options);
+        await pool.contract.bind(tokens[i], units[i], spec.tokens[i].denorm.toString(), options);
+        /* eslint-enable no-await-in-loop */
+    }
+    await pool.contract.setSwapFee(spec.swapFee.toString(), options);
+    await pool.contract.setReservesRatio(spec.reservesRatio.toString(), options);
+    if (spec.finalized) {
+        await pool.finalize(options);
+    } else if (spec.publicSwap) {
+        await pool.setPublicSwap(true, options);
+    }
+    if (controller.toLowerCase() !== from.toLowerCase()) {
+        await pool.setController(controller, options);
+    }
+    return pool;
+}
+
+async function findMatch(artifacts, pools, spec, controller, options) {
+    const matches = await Promise.all(pools.map((pool) => matchesSpec(artifacts, pool, spec, controller, options)));
+    return pools.find((_, i) => matches[i]);
+}
+
+// Brings every spec to the chain, skipping those a factory pool already
+// matches. Resolves to `[{ name, pool, status: 'exists' | 'created' }]`.
+async function applySpecs(artifacts, specs, { from, development = false }) {
+    const factory = await Factory.deployed(artifacts);
+    const pools = await Promise.all((await factory.getPools()).map((address) => factory.pool(address)));
+    const results = [];
+    // A spec may match the pool an earlier one created
+    for (let i = 0; i < specs.length; i += 1) {
+        /* eslint-disable no-await-in-loop */
+        const spec = specs[i];
+        const existing = await findMatch(artifacts, pools, spec, spec.controller || from, { development });
+        if (existing === undefined) {
+            const pool = await createPool(artifacts, factory, spec, { from, development });
+            pools.push(pool);
+            results.push({ name: spec.name, pool: pool.address, status: 'created' });
+        } else {
+            results.push({ name: spec.name, pool: existing.address, status: 'exists' });
+        }
+        /* eslint-enable no-await-in-loop */
+    }
+    return results;
+}
+
+module.exports = {
+    normalizeSpec,
+    parseSpec,
+    loadSpecs,
+    matchesSpec,
+    applySpecs,
+};
@@ -0,0 +1,130 @@
+// Token amounts of joinPool and exitPool, rounded exactly like BPool:
+// ratio = bdiv(poolAmount, totalSupply), then bmul(ratio, balance) per token,
+// with EXIT_FEE taken off poolAmountIn before the ratio on exits.
+// Arrays are in `snapshot.tokens` order; `Pool.getPoolState` reads it with
+// getCurrentTokens, which for a finalized pool is the getFinalTokens order
+// both calls expect.
+
+const { EXIT_FEE } = require('./bconst');
+const {
+    bnum, bRequire, bsub, bmul, bdiv, attempt, bisect,
+} = require('./bnum');
+const { checkSlippage, addBps, subBps } = require('./quote');
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+function joinAmounts(snapshot, poolAmountOut) {
+    const ratio = bdiv(poolAmountOut, snapshot.totalSupply);
+    bRequire(ratio !== ZERO, 'ERR_MATH_APPROX');
+    return snapshot.tokens.map((t) => {
+        const tokenAmountIn = bmul(ratio, snapshot.records[t].balance);
+        bRequire(tokenAmountIn !== ZERO, 'ERR_MATH_APPROX');
+        return tokenAmountIn;
+    });
+}
+
+function exitAmounts(snapshot, poolAmountIn) {
+    bRequire(bnum(poolAmountIn) <= snapshot.totalSupply, 'ERR_INSUFFICIENT_BAL');
+    const exitFee = bmul(poolAmountIn, EXIT_FEE);
+    const ratio = bdiv(bsub(poolAmountIn, exitFee), snapshot.totalSupply);
+    bRequire(ratio !== ZERO, 'ERR_MATH_APPROX');
+    return {
+        exitFee,
+        amountsOut: snapshot.tokens.map((t) => {
+            const tokenAmountOut = bmul(ratio, snapshot.records[t].balance);
+            bRequire(tokenAmountOut !== ZERO, 'ERR_MATH_APPROX');
+            return tokenAmountOut;
+        }),
+    };
+}
+
+function tokenIndex(snapshot, token) {
+    const index = snapshot.tokens.indexOf(token);
+    bRequire(index !== -1, 'ERR_NOT_BOUND');
+    return index;
+}
+
+// `amount` is `{ poolAmountOut }`, or `{ token, tokenAmountIn }` for the
+// most BPT whose pull of `token` stays within that budget. `maxAmountsIn`
+// allows `slippageBps` on top of `amountsIn`, but never beyond the budget.
+// A join BPool would reject comes back with `error` set to the revert reason.
+function calcJoinPool(snapshot, amount, { slippageBps = 50 } = {}) {
+    const bps = checkSlippage(slippageBps);
+    let poolAmountOut;
+    let budget = null;
+    const amountsIn = attempt(() => {
+        bRequire(snapshot.finalized, 'ERR_NOT_FINALIZED');
+        if (amount.poolAmountOut !== undefined) {
+            poolAmountOut = bnum(amount.poolAmountOut);
+        } else {
+            budget = { index: tokenIndex(snapshot, amount.token), tokenAmountIn: bnum(amount.tokenAmountIn) };
+            const { balance } = snapshot.records[amount.token];
+            const pulled = (p) => bmul(bdiv(p, snapshot.totalSupply), balance);
+            const hi = ((budget.tokenAmountIn + ONE) * snapshot.totalSupply) / balance + snapshot.totalSupply;
+            poolAmountOut = bisect(ZERO, hi, (p) => pulled(p) <= budget.tokenAmountIn);
+        }
+        return joinAmounts(snapshot, poolAmountOut);
+    });
+    if (amountsIn.error !== undefined) {
+        return { ...amount, error: amountsIn.error };
+    }
+    const maxAmountsIn = amountsIn.map((a, i) => {
+        const max = addBps(a, bps);
+        return budget !== null && i === budget.index && max > budget.tokenAmountIn ? budget.tokenAmountIn : max;
+    });
+    return {
+        poolAmountOut,
+        tokens: snapshot.tokens,
+        amountsIn,
+        maxAmountsIn,
+        method: 'joinPool',
+        args: [poolAmountOut.toString(), maxAmountsIn.map(String)],
+    };
+}
+
+// `amount` is `{ poolAmountIn }`, or `{ token, tokenAmountOut }` for the
+// least BPT whose push of `token` is at least that. `minAmountsOut` allows
+// `slippageBps` under `amountsOut`, but never below the requested amount.
+// `exitFee` is the part of poolAmountIn sent to the factory.
+function calcExitPool(snapshot, amount, { slippageBps = 50 } = {}) {
+    const bps = checkSlippage(slippageBps);
+    let poolAmountIn;
+    let target = null;
+    const exit = attempt(() => {
+        bRequire(snapshot.finalized, 'ERR_NOT_FINALIZED');
+        if (amount.poolAmountIn !== undefined) {
+            poolAmountIn = bnum(amount.poolAmountIn);
+        } else {
+            target = { index: tokenIndex(snapshot, amount.token), tokenAmountOut: bnum(amount.tokenAmountOut) };
+            const { balance } = snapshot.records[amount.token];
+            bRequire(target.tokenAmountOut <= balance, 'ERR_INSUFFICIENT_BAL');
+            const pushed = (p) => bmul(bdiv(bsub(p, bmul(p, EXIT_FEE)), snapshot.totalSupply), balance);
+            const short = (p) => pushed(p) < target.tokenAmountOut;
+            poolAmountIn = bisect(ZERO, snapshot.totalSupply, short) + ONE;
+        }
+        return exitAmounts(snapshot, poolAmountIn);
+    });
+    if (exit.error !== undefined) {
+        return { ...amount, error: exit.error };
+    }
+    const { exitFee, amountsOut } = exit;
+    const minAmountsOut = amountsOut.map((a, i) => {
+        const min = subBps(a, bps);
+        return target !== null && i === target.index && min < target.tokenAmountOut ? target.tokenAmountOut : min;
+    });
+    return {
+        poolAmountIn,
+        exitFee,
+        tokens: snapshot.tokens,
+        amountsOut,
+        minAmountsOut,
+        method: 'exitPool',
+        args: [poolAmountIn.toString(), minAmountsOut.map(String)],
+    };
+}
+
+module.exports = {
+    calcJoinPool,
+    calcExitPool,
+};
@@ -0,0 +1,109 @@
+// Slippage-protected swap quotes from a `Pool.getPoolState` snapshot.
+// The trade is replayed on lib/pool_simulator, so amounts, prices and
+// limit checks come from the same math and the same `require`s as BPool.
+
+const { BONE, MAX_UINT } = require('./bconst');
+const { bnum, bdiv } = require('./bnum');
+const PoolSimulator = require('./pool_simulator');
+
+const BPS = BigInt(10000);
+
+function checkSlippage(slippageBps) {
+    if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps >= 10000) {
+        throw new Error(`slippage must be a whole number of basis points in [0, 10000), got ${slippageBps}`);
+    }
+    return BigInt(slippageBps);
+}
+
+// a * (BPS + bps) / BPS, rounded up so the limit never falls short of `a`
+function addBps(a, bps) {
+    const numer = bnum(a) * (BPS + bps);
+    return (numer + BPS - BigInt(1)) / BPS;
+}
+
+// a * (BPS - bps) / BPS, rounded down
+function subBps(a, bps) {
+    return (bnum(a) * (BPS - bps)) / BPS;
+}
+
+// `trade` is `{ tokenIn, tokenOut, tokenAmountIn }` for swapExactAmountIn or
+// `{ tokenIn, tokenOut, tokenAmountOut }` for swapExactAmountOut, in wei.
+// Prices are BONE-scaled tokenIn per tokenOut like `getSpotPrice`, and
+// `priceImpact` is the effective price over the spot price before, minus one.
+// A trade BPool would reject comes back with `error` set to the revert reason.
+function quote(snapshot, trade, slippageBps = 50) {
+    const bps = checkSlippage(slippageBps);
+    const { tokenIn, tokenOut } = trade;
+    const exactIn = trade.tokenAmountIn !== undefined;
+    const sim = PoolSimulator.fromSnapshot(snapshot);
+
+    let tokenAmountIn;
+    let tokenAmountOut;
+    let spotPriceBefore;
+    let spotPriceAfter;
+    try {
+        spotPriceBefore = sim.getSpotPrice(tokenIn, tokenOut);
+        if (exactIn) {
+            tokenAmountIn = bnum(trade.tokenAmountIn);
+            ({ tokenAmountOut, spotPriceAfter } = sim.swapExactAmountIn(
+                tokenIn, tokenAmountIn, tokenOut, 0, MAX_UINT,
+            ));
+        } else {
+            tokenAmountOut = bnum(trade.tokenAmountOut);
+            ({ tokenAmountIn, spotPriceAfter } = sim.swapExactAmountOut(
+                tokenIn, MAX_UINT, tokenOut, tokenAmountOut, MAX_UINT,
+            ));
+        }
+    } catch (err) {
+        if (!/^ERR_/.test(err.message)) throw err;
+        return { ...trade, error: err.message };
+    }
+
+    const effectivePrice = bdiv(tokenAmountIn, tokenAmountOut);
+    const priceImpact = bdiv(effectivePrice, spotPriceBefore) - BONE;
+    const maxPrice = addBps(spotPriceAfter, bps);
+
+    const result = {
+        tokenIn,
+        tokenOut,
+        tokenAmountIn,
+        tokenAmountOut,
+        spotPriceBefore,
+        spotPriceAfter,
+        effectivePrice,
+        priceImpact: priceImpact > BigInt(0) ? priceImpact : BigInt(0),
+        maxPrice,
+    };
+
+    if (exactIn) {
+        result.minAmountOut = subBps(tokenAmountOut, bps);
+        result.method = 'swapExactAmountIn';
+        result.args = [tokenIn, tokenAmountIn, tokenOut, result.minAmountOut, maxPrice]
+            .map((arg) => arg.toString());
+    } else {
+        result.maxAmountIn = addBps(tokenAmountIn, bps);
+        result.method = 'swapExactAmountOut';
+        result.args = [tokenIn, result.maxAmountIn, tokenOut, tokenAmountOut, maxPrice]
+            .map((arg) => arg.toString());
+    }
+    return result;
+}
+
+// Sends `trade` through `pool` (a lib/client Pool) with the limits of its
+// quote on the pool's current state, and resolves like `pool.send`.
+// Throws the revert reason if BPool would reject the trade.
+async function swapQuoted(pool, trade, slippageBps = 50, options) {
+    const q = quote(await pool.getPoolState(), trade, slippageBps);
+    if (q.error !== undefined) {
+        throw new Error(`${q.error}: the trade would revert at the current pool state`);
+    }
+    return pool.send(q, options);
+}
+
+module.exports = {
+    checkSlippage,
+    addBps,
+    subBps,
+    quote,
+    swapQuoted,
+};
@@ -0,0 +1,125 @@
+// Protocol reserves accounting. Every pool created by the factory is indexed
+// with lib/indexer, the reserves its logs say it accrued and paid out are
+// summed per token, and the sums are reconciled against `totalReserves`.
+
+const { Indexer, MemoryStore } = require('./indexer');
+
+const COLUMNS = [
+    'pool', 'token', 'bound', 'accrued', 'added', 'drained', 'expected', 'totalReserves', 'difference', 'status',
+];
+
+function zero() {
+    return BigInt(0);
+}
+
+// token => { accrued, added, drained } from one pool's decoded events.
+// `accrued` sums the reservesAmount of LOG_SWAP, LOG_JOIN and LOG_EXIT and
+// `added` the LOG_ADD_RESERVES that should follow each of them.
+function sumEvents(events) {
+    const sums = {};
+    const of = (token) => {
+        sums[token] = sums[token] || { accrued: zero(), added: zero(), drained: zero() };
+        return sums[token];
+    };
+    events.forEach(({ event, args }) => {
+        switch (event) {
+        case 'LOG_SWAP':
+        case 'LOG_JOIN':
+            of(args.tokenIn).accrued += BigInt(args.reservesAmount);
+            break;
+        case 'LOG_EXIT':
+            of(args.tokenOut).accrued += BigInt(args.reservesAmount);
+            break;
+        case 'LOG_ADD_RESERVES':
+            of(args.token).added += BigInt(args.reservesAmount);
+            break;
+        case 'LOG_DRAIN_RESERVES':
+            of(args.tokenOut).drained += BigInt(args.tokenAmountOut);
+            break;
+        default:
+        }
+    });
+    return sums;
+}
+
+// One row per pool and token, for bound tokens and for any token the logs
+// credited reserves to; unbind leaves reserves behind that drains skip.
+async function reconcilePool(BPool, address, events, blockNumber) {
+    const pool = await BPool.at(address);
+    const bound = await pool.getCurrentTokens(blockNumber);
+    const sums = sumEvents(events);
+    const tokens = [...bound, ...Object.keys(sums).filter((t) => !bound.includes(t))];
+
+    return Promise.all(tokens.map(async (token) => {
+        const { accrued, added, drained } = sums[token] || { accrued: zero(), added: zero(), drained: zero() };
+        const totalReserves = BigInt((await pool.totalReserves(token, blockNumber)).toString());
+        const expected = accrued - drained;
+        const difference = totalReserves - expected;
+        const flags = [];
+        if (difference !== zero()) flags.push('totalReserves');
+        if (added !== accrued) flags.push('LOG_ADD_RESERVES');
+        return {
+            pool: address,
+            token,
+            bound: bound.includes(token),
+            accrued,
+            added,
+            drained,
+            expected,
+            totalReserves,
+            difference,
+            status: flags.length === 0 ? 'ok' : 'mismatch',
+            flags,
+        };
+    }));
+}
+
+// Reserves of every factory pool as of `toBlock` (default latest).
+// A row is a mismatch when `totalReserves` differs from accrued minus drained,
+// or when the LOG_ADD_RESERVES amounts do not add up to the accrued amounts.
+// Pools and events before `fromBlock` are not seen, so it should be the
+// factory's deployment block or earlier. `store` can be an indexer store that
+// already holds history, which is then only brought up to `toBlock`.
+async function buildReport(artifacts, {
+    factory, fromBlock = 0, toBlock, store = new MemoryStore(),
+} = {}) {
+    const BPool = artifacts.require('BPool');
+    const indexer = factory === undefined
+        ? await Indexer.deployed(artifacts, { store, fromBlock })
+        : new Indexer(artifacts, factory, { store, fromBlock });
+    const blockNumber = await indexer.sync(toBlock);
+
+    const pools = await store.getPools();
+    const perPool = await Promise.all(pools.map(async ({ address }) => {
+        const events = await store.getEvents({ pool: address });
+        return reconcilePool(BPool, address, events, blockNumber);
+    }));
+    const rows = [].concat(...perPool);
+
+    return {
+        factory: indexer.factoryAddress,
+        fromBlock,
+        blockNumber,
+        rows,
+        mismatches: rows.filter(({ status }) => status !== 'ok').length,
+    };
+}
+
+function toCsv(report) {
+    const lines = report.rows.map((row) => [
+        ...COLUMNS.map((column) => row[column].toString()),
+        row.flags.join(' '),
+    ].join(','));
+    return [[...COLUMNS, 'flags'].join(','), ...lines].join('\n');
+}
+
+function toJson(report) {
+    return JSON.stringify(report, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+module.exports = {
+    sumEvents,
+    buildReport,
+    toCsv,
+    toJson,
+};
@@ -0,0 +1,191 @@
+// Smart order routing across pools that share a token pair.
+// The order is split so every used pool ends at the same marginal price,
+// which is where no wei moved from one pool to another can improve the total.
+// Splits are solved in Decimal from the spot price formula, then every leg is
+// priced wei-exactly with lib/quote and checked against BPool's limits.
+
+const Decimal = require('decimal.js').clone({ precision: 80 }); // caps wei exact
+const {
+    BONE, MAX_IN_RATIO, MAX_OUT_RATIO,
+} = require('./bconst');
+const { bnum } = require('./bnum');
+const { calcInGivenPrice } = require('./calc_comparisons');
+const { quote } = require('./quote');
+
+const ITERATIONS = 200;
+
+function dec(value) {
+    return Decimal(value.toString());
+}
+
+// Pool parameters for one direction of the pair, as plain Decimals in wei
+function pairOf(snapshot, tokenIn, tokenOut) {
+    const inRecord = snapshot.records[tokenIn];
+    const outRecord = snapshot.records[tokenOut];
+    const bIn = dec(inRecord.balance);
+    const wIn = dec(inRecord.denorm);
+    const bOut = dec(outRecord.balance);
+    const wOut = dec(outRecord.denorm);
+    const fee = dec(snapshot.swapFee).div(dec(BONE));
+    const spotPrice = bIn.div(wIn).div(bOut.div(wOut)).div(Decimal(1).sub(fee));
+    return {
+        snapshot, bIn, wIn, bOut, wOut, fee, spotPrice,
+    };
+}
+
+function tradable(snapshots, tokenIn, tokenOut) {
+    return snapshots.filter((s) => s.publicSwap && s.records[tokenIn] && s.records[tokenOut]);
+}
+
+// The marginal price along the fee-adjusted curve, where the balance in grows by
+// A(1-fee), is spotPrice * (1 + A(1-fee)/bIn)^(1 + wIn/wOut); calcInGivenPrice
+// inverts it for A. It only splits the order: BPool's spotPriceAfter keeps all
+// of A less the reserves, so limits come from lib/quote instead.
+const exactIn = {
+    cap: (p) => p.bIn.mul(dec(MAX_IN_RATIO)).div(dec(BONE)),
+    amountAt: (p, price) => calcInGivenPrice(p.bIn, p.wIn, p.bOut, p.wOut, p.fee, price),
+    priceAt: (p, amount) => {
+        const ratio = Decimal(1).add(amount.mul(Decimal(1).sub(p.fee)).div(p.bIn));
+        return p.spotPrice.mul(ratio.pow(p.wIn.add(p.wOut).div(p.wOut)));
+    },
+};
+
+// Likewise spotPrice * (bOut / (bOut - O))^(1 + wOut/wIn) along the same curve
+// after calcInGivenOut(O), inverted here for O.
+const exactOut = {
+    cap: (p) => p.bOut.mul(dec(MAX_OUT_RATIO)).div(dec(BONE)),
+    amountAt: (p, price) => {
+        if (price.lte(p.spotPrice)) return Decimal(0);
+        const shrink = p.spotPrice.div(price).pow(p.wIn.div(p.wIn.add(p.wOut)));
+        return p.bOut.mul(Decimal(1).sub(shrink));
+    },
+    priceAt: (p, amount) => {
+        const ratio = p.bOut.div(p.bOut.sub(amount));
+        return p.spotPrice.mul(ratio.pow(p.wIn.add(p.wOut).div(p.wIn)));
+    },
+};
+
+// Splits `total` so all pools reach one marginal price; returns wei amounts,
+// or null if the pools cannot take `total` within their caps
+function split(pairs, total, side) {
+    const caps = pairs.map((p) => side.cap(p));
+    const capacity = caps.reduce((a, b) => a.add(b), Decimal(0));
+    if (capacity.lt(total)) {
+        return null;
+    }
+
+    const filled = (price) => pairs
+        .map((p, i) => Decimal.min(side.amountAt(p, price), caps[i]))
+        .reduce((a, b) => a.add(b), Decimal(0));
+
+    let lo = Decimal.min(...pairs.map((p) => p.spotPrice));
+    let hi = Decimal.max(...pairs.map((p, i) => side.priceAt(p, caps[i])));
+    for (let i = 0; i < ITERATIONS; i += 1) {
+        const mid = lo.add(hi).div(2);
+        if (filled(mid).lt(total)) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    const limits = caps.map((cap) => BigInt(cap.toFixed(0, Decimal.ROUND_DOWN)));
+    const amounts = pairs.map((p, i) => BigInt(
+        Decimal.min(side.amountAt(p, hi), caps[i]).toFixed(0, Decimal.ROUND_DOWN),
+    ));
+    // Hand the rounding dust to the largest legs that stay within their caps
+    let dust = BigInt(total.toFixed(0)) - amounts.reduce((a, b) => a + b, BigInt(0));
+    const bySize = amounts.map((amount, i) => i).sort((a, b) => Number(amounts[b] - amounts[a]));
+    bySize.forEach((i) => {
+        const room = limits[i] - amounts[i];
+        const extra = dust < room ? dust : room;
+        amounts[i] += extra;
+        dust -= extra;
+    });
+    return dust > BigInt(0) ? null : amounts;
+}
+
+function route(snapshots, trade, slippageBps, side) {
+    const { tokenIn, tokenOut } = trade;
+    const isExactIn = side === exactIn;
+    const amountKey = isExactIn ? 'tokenAmountIn' : 'tokenAmountOut';
+    const total = bnum(trade[amountKey]);
+
+    const bestSingle = tradable(snapshots, tokenIn, tokenOut)
+        .map((s) => ({ pool: s.address, ...quote(s, { tokenIn, tokenOut, [amountKey]: total }, slippageBps) }))
+        .filter((q) => q.error === undefined)
+        .reduce((best, q) => {
+            if (best === null) return q;
+            const better = isExactIn ? q.tokenAmountOut > best.tokenAmountOut : q.tokenAmountIn < best.tokenAmountIn;
+            return better ? q : best;
+        }, null);
+
+    // Pools whose leg BPool would reject (dust legs, rounding at a limit) are
+    // dropped and the order is split again over the rest.
+    let pools = tradable(snapshots, tokenIn, tokenOut);
+    while (pools.length > 0) {
+        const amounts = split(pools.map((s) => pairOf(s, tokenIn, tokenOut)), dec(total), side);
+        if (amounts === null) break;
+
+        const legs = pools
+            .map((s, i) => ({ snapshot: s, amount: amounts[i] }))
+            .filter(({ amount }) => amount > BigInt(0))
+            .map(({ snapshot, amount }) => ({
+                pool: snapshot.address,
+                ...quote(snapshot, { tokenIn, tokenOut, [amountKey]: amount }, slippageBps),
+            }));
+
+        const rejected = legs.find((leg) => leg.error !== undefined);
+        if (rejected === undefined) {
+            const totalAmountIn = legs.reduce((a, leg) => a + leg.tokenAmountIn, BigInt(0));
+            const totalAmountOut = legs.reduce((a, leg) => a + leg.tokenAmountOut, BigInt(0));
+            let gain = null;
+            if (bestSingle !== null && isExactIn) {
+                gain = totalAmountOut - bestSingle.tokenAmountOut;
+            } else if (bestSingle !== null) {
+                gain = bestSingle.tokenAmountIn - totalAmountIn;
+            }
+            return {
+                tokenIn,
+                tokenOut,
+                totalAmountIn,
+                totalAmountOut,
+                swaps: legs,
+                bestSingle,
+                gain,
+            };
+        }
+        pools = pools.filter((s) => s.address !== rejected.pool);
+    }
+
+    if (bestSingle !== null) {
+        return {
+            tokenIn,
+            tokenOut,
+            totalAmountIn: bestSingle.tokenAmountIn,
+            totalAmountOut: bestSingle.tokenAmountOut,
+            swaps: [bestSingle],
+            bestSingle,
+            gain: BigInt(0),
+        };
+    }
+    throw new Error(`no route for ${total} ${isExactIn ? 'in' : 'out'} from ${tokenIn} to ${tokenOut}`);
+}
+
+// Splits `tokenAmountIn` over swapExactAmountIn calls maximizing the total out.
+// `snapshots` are `Pool.getPoolState` results; `gain` is the extra output over
+// the best single pool, or null if no single pool can take the whole order.
+function routeExactIn(snapshots, { tokenIn, tokenOut, tokenAmountIn }, { slippageBps = 50 } = {}) {
+    return route(snapshots, { tokenIn, tokenOut, tokenAmountIn }, slippageBps, exactIn);
+}
+
+// Splits `tokenAmountOut` over swapExactAmountOut calls minimizing the total in;
+// `gain` is the input saved against the best single pool.
+function routeExactOut(snapshots, { tokenIn, tokenOut, tokenAmountOut }, { slippageBps = 50 } = {}) {
+    return route(snapshots, { tokenIn, tokenOut, tokenAmountOut }, slippageBps, exactOut);
+}
+
+module.exports = {
+    routeExactIn,
+    routeExactOut,
+};
@@ -0,0 +1,216 @@
+// Joining and exiting a finalized pool with a single token.
+// The direct way is joinswapExternAmountIn / joinswapPoolAmountOut (and the
+// exitswap pair), which charge (1 - normalizedWeight) * swapFee on the part
+// that is effectively swapped. The other way swaps that part explicitly and
+// uses joinPool or exitPool. Both are replayed wei-exactly on
+// lib/pool_simulator against a `Pool.getPoolState` snapshot and the better
+// one is picked; every call comes with its limit arguments, allowing
+// `slippageBps` like lib/quote.
+
+const { BONE, MAX_UINT } = require('./bconst');
+const {
+    bnum, bdiv, attempt, bisect,
+} = require('./bnum');
+const PoolSimulator = require('./pool_simulator');
+const { checkSlippage, addBps, subBps } = require('./quote');
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const HOLDER = 'holder';
+
+function simulator(snapshot) {
+    return PoolSimulator.fromSnapshot(snapshot, { holder: HOLDER });
+}
+
+// `fn(sim)` on a fresh simulator, or `{ error }` with the reason BPool would revert
+function simulate(snapshot, fn) {
+    return attempt(() => fn(simulator(snapshot)));
+}
+
+function ok(result) {
+    return result.error === undefined;
+}
+
+function call(method, args) {
+    return { method, args: args.map((arg) => (Array.isArray(arg) ? arg.map(String) : arg.toString())) };
+}
+
+// Picks `single` unless `proportional` is strictly better by `singleWins`
+function choose(single, proportional, singleWins) {
+    let best = null;
+    if (ok(single)) {
+        best = !ok(proportional) || singleWins(single, proportional) ? 'single' : 'proportional';
+    } else if (ok(proportional)) {
+        best = 'proportional';
+    }
+    return { best, single, proportional };
+}
+
+/* Joins */
+
+// Swaps tokenIn for every other token's share of `poolAmountOut`, then joins.
+// Each swap buys just enough that joinPool's `ratio * balance` is covered.
+function proportionalJoin(snapshot, tokenIn, poolAmountOut, bps) {
+    return simulate(snapshot, (sim) => {
+        const ratio = bdiv(poolAmountOut, sim.totalSupply);
+        const held = {};
+        const calls = [];
+        let swapped = ZERO;
+        sim.tokens.filter((t) => t !== tokenIn).forEach((t) => {
+            const tokenAmountOut = (ratio * sim.records[t].balance) / (BONE + ratio) + BigInt(2);
+            const { tokenAmountIn, spotPriceAfter } = sim.swapExactAmountOut(
+                tokenIn, MAX_UINT, t, tokenAmountOut, MAX_UINT,
+            );
+            held[t] = tokenAmountOut;
+            swapped += tokenAmountIn;
+            calls.push(call('swapExactAmountOut', [
+                tokenIn, addBps(tokenAmountIn, bps), t, tokenAmountOut, addBps(spotPriceAfter, bps),
+            ]));
+        });
+        const amountsIn = sim.joinPool(poolAmountOut, sim.tokens.map((t) => held[t] || MAX_UINT), { from: HOLDER });
+        const index = sim.tokens.indexOf(tokenIn);
+        const maxAmountsIn = sim.tokens.map((t, i) => (t === tokenIn ? addBps(amountsIn[i], bps) : held[t]));
+        calls.push(call('joinPool', [poolAmountOut, maxAmountsIn]));
+        const leftover = {};
+        sim.tokens.forEach((t, i) => {
+            if (t !== tokenIn) leftover[t] = held[t] - amountsIn[i];
+        });
+        return {
+            poolAmountOut, tokenAmountIn: swapped + amountsIn[index], leftover, calls,
+        };
+    });
+}
+
+// Upper bound on the BPT `tokenAmountIn` can buy: its share of the pool's
+// value without any fees, doubled
+function joinBound(snapshot, tokenIn, tokenAmountIn) {
+    const { balance, denorm } = snapshot.records[tokenIn];
+    return (bnum(snapshot.totalSupply) * bnum(tokenAmountIn) * bnum(denorm) * BigInt(2))
+        / (bnum(balance) * bnum(snapshot.totalWeight)) + ONE;
+}
+
+// Compares a single-sided join with swapping, then joinPool.
+// `amount` is `{ tokenAmountIn }` to spend exactly that (the most BPT wins)
+// or `{ poolAmountOut }` to get exactly that (the least tokenIn wins).
+// Resolves each way to `{ poolAmountOut, tokenAmountIn, calls }`, or to
+// `{ error }` if BPool would revert; `proportional.leftover` is what is left
+// of the other tokens after joinPool. `best` is 'single', 'proportional' or
+// null if neither goes through.
+function planJoin(snapshot, tokenIn, amount, { slippageBps = 50 } = {}) {
+    const bps = checkSlippage(slippageBps);
+    const exactIn = amount.tokenAmountIn !== undefined;
+    let single;
+    let proportional;
+    if (exactIn) {
+        const tokenAmountIn = bnum(amount.tokenAmountIn);
+        single = simulate(snapshot, (sim) => {
+            const poolAmountOut = sim.joinswapExternAmountIn(tokenIn, tokenAmountIn, 0, { from: HOLDER });
+            return {
+                poolAmountOut,
+                tokenAmountIn,
+                calls: [call('joinswapExternAmountIn', [tokenIn, tokenAmountIn, subBps(poolAmountOut, bps)])],
+            };
+        });
+        const fits = (poolAmountOut) => {
+            const join = proportionalJoin(snapshot, tokenIn, poolAmountOut, bps);
+            return ok(join) && join.tokenAmountIn <= tokenAmountIn;
+        };
+        const poolAmountOut = bisect(ZERO, joinBound(snapshot, tokenIn, tokenAmountIn), fits);
+        proportional = proportionalJoin(snapshot, tokenIn, poolAmountOut, bps);
+    } else {
+        const poolAmountOut = bnum(amount.poolAmountOut);
+        single = simulate(snapshot, (sim) => {
+            const tokenAmountIn = sim.joinswapPoolAmountOut(tokenIn, poolAmountOut, MAX_UINT, { from: HOLDER });
+            return {
+                poolAmountOut,
+                tokenAmountIn,
+                calls: [call('joinswapPoolAmountOut', [tokenIn, poolAmountOut, addBps(tokenAmountIn, bps)])],
+            };
+        });
+        proportional = proportionalJoin(snapshot, tokenIn, poolAmountOut, bps);
+    }
+    return choose(single, proportional, (a, b) => (
+        exactIn ? a.poolAmountOut >= b.poolAmountOut : a.tokenAmountIn <= b.tokenAmountIn
+    ));
+}
+
+/* Exits */
+
+// exitPool, then swaps every other token into tokenOut. The swaps spend what
+// exitPool is expected to return; if it returns less they revert rather
+// than trade at a worse price.
+function proportionalExit(snapshot, tokenOut, poolAmountIn, bps) {
+    return simulate(snapshot, (sim) => {
+        const amountsOut = sim.exitPool(poolAmountIn, sim.tokens.map(() => ZERO), { from: HOLDER });
+        const calls = [call('exitPool', [poolAmountIn, amountsOut.map((a) => subBps(a, bps))])];
+        let tokenAmountOut = amountsOut[sim.tokens.indexOf(tokenOut)];
+        sim.tokens.forEach((t, i) => {
+            if (t === tokenOut) return;
+            const swap = sim.swapExactAmountIn(t, amountsOut[i], tokenOut, 0, MAX_UINT);
+            tokenAmountOut += swap.tokenAmountOut;
+            calls.push(call('swapExactAmountIn', [
+                t, amountsOut[i], tokenOut, subBps(swap.tokenAmountOut, bps), addBps(swap.spotPriceAfter, bps),
+            ]));
+        });
+        return { poolAmountIn, tokenAmountOut, calls };
+    });
+}
+
+// Compares a single-sided exit with exitPool, then swapping.
+// `amount` is `{ poolAmountIn }` to burn exactly that (the most tokenOut
+// wins) or `{ tokenAmountOut }` to receive at least that (the least BPT wins).
+// Resolves like planJoin, each way to `{ poolAmountIn, tokenAmountOut, calls }`.
+function planExit(snapshot, tokenOut, amount, { slippageBps = 50 } = {}) {
+    const bps = checkSlippage(slippageBps);
+    const exactIn = amount.poolAmountIn !== undefined;
+    let single;
+    let proportional;
+    if (exactIn) {
+        const poolAmountIn = bnum(amount.poolAmountIn);
+        single = simulate(snapshot, (sim) => {
+            const tokenAmountOut = sim.exitswapPoolAmountIn(tokenOut, poolAmountIn, 0, { from: HOLDER });
+            return {
+                poolAmountIn,
+                tokenAmountOut,
+                calls: [call('exitswapPoolAmountIn', [tokenOut, poolAmountIn, subBps(tokenAmountOut, bps)])],
+            };
+        });
+        proportional = proportionalExit(snapshot, tokenOut, poolAmountIn, bps);
+    } else {
+        const tokenAmountOut = bnum(amount.tokenAmountOut);
+        single = simulate(snapshot, (sim) => {
+            const poolAmountIn = sim.exitswapExternAmountOut(tokenOut, tokenAmountOut, MAX_UINT, { from: HOLDER });
+            return {
+                poolAmountIn,
+                tokenAmountOut,
+                calls: [call('exitswapExternAmountOut', [tokenOut, tokenAmountOut, addBps(poolAmountIn, bps)])],
+            };
+        });
+        // Proceeds grow with the BPT burnt until BPool's ratio limits revert
+        const short = (poolAmountIn) => {
+            const exit = proportionalExit(snapshot, tokenOut, poolAmountIn, bps);
+            return ok(exit) && exit.tokenAmountOut < tokenAmountOut;
+        };
+        const poolAmountIn = bisect(ZERO, bnum(snapshot.totalSupply), short) + ONE;
+        proportional = proportionalExit(snapshot, tokenOut, poolAmountIn, bps);
+    }
+    return choose(single, proportional, (a, b) => (
+        exactIn ? a.tokenAmountOut >= b.tokenAmountOut : a.poolAmountIn <= b.poolAmountIn
+    ));
+}
+
+// Sends the `joinswap*` or `exitswap*` call of `plan`, a planJoin or
+// planExit result, through `pool` (a lib/client Pool) and resolves like
+// `pool.send`. Throws the revert reason if BPool would reject it.
+async function sendSingle(pool, plan, options) {
+    if (!ok(plan.single)) {
+        throw new Error(`${plan.single.error}: the trade would revert at the planned pool state`);
+    }
+    return pool.send(plan.single.calls[0], options);
+}
+
+module.exports = {
+    planJoin,
+    planExit,
+    sendSingle,
+};
@@ -0,0 +1,159 @@
+// Tokens a pool holds beyond what it accounts for.
+// For a bound token that is IERC20.balanceOf(pool) - getBalance - totalReserves,
+// which anyone can fold into the pool's balance with `gulp`. Unbound tokens,
+// found from ERC20 Transfer logs to the pool plus any `tokens` given, can only
+// be taken out by the controller with `seize`; reserves an unbind left behind
+// are not part of what it is advised to seize.
+
+const { Factory, BatchReader } = require('./client');
+
+const COLUMNS = ['pool', 'token', 'bound', 'erc20Balance', 'balance', 'totalReserves', 'untracked', 'action'];
+
+// Token contracts that emitted a Transfer to `address`. Blocks go in as hex:
+// web3 reads a `fromBlock` of 0 as missing and then only searches the latest.
+async function tokensSentTo(web3, address, fromBlock, toBlock) {
+    const { abi } = web3.eth;
+    const transfer = abi.encodeEventSignature('Transfer(address,address,uint256)');
+    const logs = await web3.eth.getPastLogs({
+        fromBlock: web3.utils.numberToHex(fromBlock),
+        toBlock: web3.utils.numberToHex(toBlock),
+        topics: [transfer, null, abi.encodeParameter('address', address)],
+    });
+    return logs.map((log) => web3.utils.toChecksumAddress(log.address));
+}
+
+// One row per bound token and per unbound token the pool holds, with
+// `action` 'gulp' or 'seize' where there is something untracked, 'shortfall'
+// where the pool holds less than it accounts for and 'ok' otherwise
+async function inspectPool(pool, {
+    tokens = [], fromBlock = 0, blockNumber, reader = new BatchReader(pool.web3),
+} = {}) {
+    const block = blockNumber === undefined ? await pool.web3.eth.getBlockNumber() : blockNumber;
+    const [state, sent, controller] = await Promise.all([
+        pool.getPoolState(block, { reader }),
+        tokensSentTo(pool.web3, pool.address, fromBlock, block),
+        pool.contract.getController(block),
+    ]);
+    const unbound = [...new Set([...sent, ...tokens])]
+        .filter((t) => t !== pool.address && !state.tokens.includes(t));
+
+    const { abi: erc20 } = pool.artifacts.require('BToken');
+    const values = await reader.read([
+        ...[...state.tokens, ...unbound].map((t) => ({
+            to: t, abi: erc20, method: 'balanceOf', args: [pool.address],
+        })),
+        ...unbound.map((t) => ({
+            to: pool.address, abi: pool.contract.abi, method: 'totalReserves', args: [t],
+        })),
+    ], block);
+    const erc20Balances = values.slice(0, state.tokens.length + unbound.length).map(BigInt);
+    const strandedReserves = values.slice(state.tokens.length + unbound.length).map(BigInt);
+
+    const bound = state.tokens.map((token, i) => {
+        const { balance } = state.records[token];
+        const totalReserves = state.totalReserves[token];
+        const untracked = erc20Balances[i] - balance - totalReserves;
+        let action = 'ok';
+        if (untracked > BigInt(0)) action = 'gulp';
+        if (untracked < BigInt(0)) action = 'shortfall';
+        return {
+            pool: pool.address,
+            token,
+            bound: true,
+            erc20Balance: erc20Balances[i],
+            balance,
+            totalReserves,
+            untracked,
+            action,
+        };
+    });
+    const held = unbound.map((token, i) => {
+        const erc20Balance = erc20Balances[state.tokens.length + i];
+        const totalReserves = strandedReserves[i];
+        const untracked = erc20Balance > totalReserves ? erc20Balance - totalReserves : BigInt(0);
+        return {
+            pool: pool.address,
+            token,
+            bound: false,
+            erc20Balance,
+            balance: BigInt(0),
+            totalReserves,
+            untracked,
+            action: untracked > BigInt(0) ? 'seize' : 'ok',
+        };
+    }).filter(({ erc20Balance }) => erc20Balance > BigInt(0));
+
+    return { pool: pool.address, controller, rows: [...bound, ...held] };
+}
+
+// inspectPool for every pool of `factory` (default: the deployed BFactory),
+// or only for `pools` (addresses), all at the same block
+async function buildAdvice(artifacts, {
+    factory, pools, tokens, fromBlock = 0, toBlock, reader,
+} = {}) {
+    const bfactory = factory || await Factory.deployed(artifacts);
+    const { web3 } = bfactory.contract.constructor;
+    const blockNumber = toBlock === undefined ? await web3.eth.getBlockNumber() : toBlock;
+    const addresses = pools || await bfactory.getPools(fromBlock, { toBlock: blockNumber, reader });
+    const inspected = await Promise.all(addresses.map(async (address) => inspectPool(await bfactory.pool(address), {
+        tokens, fromBlock, blockNumber, reader,
+    })));
+    const rows = [].concat(...inspected.map((p) => p.rows));
+    return {
+        blockNumber,
+        pools: inspected,
+        rows,
+        gulps: rows.filter(({ action }) => action === 'gulp').length,
+        seizes: rows.filter(({ action }) => action === 'seize').length,
+        shortfalls: rows.filter(({ action }) => action === 'shortfall').length,
+    };
+}
+
+// Sends the advised gulps, and the seizes of pools `from` controls.
+// Resolves to `{ pool, token, action, tx }` for every call sent and
+// `{ pool, token, action, skipped }` for seizes of other controllers' pools.
+async function applyAdvice(artifacts, advice, { from }) {
+    const BPool = artifacts.require('BPool');
+    const results = [];
+    // One transaction at a time, so each takes the sender's next nonce
+    /* eslint-disable no-await-in-loop */
+    for (let i = 0; i < advice.pools.length; i += 1) {
+        const { pool: address, controller, rows } = advice.pools[i];
+        const pool = await BPool.at(address);
+        for (let j = 0; j < rows.length; j += 1) {
+            const { token, action, untracked } = rows[j];
+            if (action === 'gulp') {
+                results.push({
+                    pool: address, token, action, tx: await pool.gulp(token, { from }),
+                });
+            } else if (action === 'seize' && controller.toLowerCase() !== from.toLowerCase()) {
+                results.push({
+                    pool: address, token, action, skipped: `controller is ${controller}`,
+                });
+            } else if (action === 'seize') {
+                results.push({
+                    pool: address, token, action, tx: await pool.seize(token, untracked.toString(), { from }),
+                });
+            }
+        }
+    }
+    /* eslint-enable no-await-in-loop */
+    return results;
+}
+
+function toCsv(advice) {
+    const lines = advice.rows.map((row) => COLUMNS.map((column) => row[column].toString()).join(','));
+    return [COLUMNS.join(','), ...lines].join('\n');
+}
+
+function toJson(advice) {
+    return JSON.stringify(advice, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+module.exports = {
+    inspectPool,
+    buildAdvice,
+    applyAdvice,
+    toCsv,
+    toJson,
+};
@@ -0,0 +1,249 @@
+// Gradual weight shifts for pools that are not finalized.
+// `planWeightShift` spreads the move from the current to the target denorms
+// over a schedule of rebind calls and estimates what arbitrageurs take after
+// each step; `executeWeightShift` sends the schedule and picks up where it
+// left off when it is run again.
+
+const Decimal = require('decimal.js').clone({ precision: 80 });
+const {
+    BONE, MIN_WEIGHT, MAX_WEIGHT, MAX_TOTAL_WEIGHT, MIN_BALANCE, MAX_OUT_RATIO,
+} = require('./bconst');
+const { bnum } = require('./bnum');
+const { calcOutGivenIn, calcReservesFromFee } = require('./bmath');
+const { withOptions } = require('./client/units');
+const { amountToMarket } = require('./arbitrage');
+const { denormsFor } = require('./weights');
+
+const ZERO = BigInt(0);
+
+function dec(value) {
+    return Decimal(value.toString());
+}
+
+function toWei(value) {
+    return BigInt(value.toFixed(0, Decimal.ROUND_DOWN));
+}
+
+// Wei of token 0 that one wei of each token is worth at the pool's prices
+function pricesOf(balances, denorms) {
+    const [b0, d0] = [dec(balances[0]), dec(denorms[0])];
+    return balances.map((b, i) => b0.div(d0).div(dec(b).div(dec(denorms[i]))));
+}
+
+// Arbitrage against token 0 after the pool moved away from `market` prices.
+// Every other token is traded back to its market price in turn. Returns the
+// trades, with profits in wei of token 0, and the balances after them.
+function arbitrage(balancesBefore, denorms, swapFee, reservesRatio, market) {
+    const balances = [...balancesBefore];
+    const trades = [];
+    for (let i = 1; i < balances.length; i += 1) {
+        const buy = amountToMarket(balances[0], denorms[0], balances[i], denorms[i], swapFee, market[i]);
+        const sell = buy > ZERO ? ZERO : amountToMarket(
+            balances[i], denorms[i], balances[0], denorms[0], swapFee, Decimal(1).div(market[i]),
+        );
+        const [tokenIn, tokenOut, tokenAmountIn] = buy > ZERO ? [0, i, buy] : [i, 0, sell];
+        if (tokenAmountIn > ZERO) {
+            const [tokenAmountOut, fee] = calcOutGivenIn(
+                balances[tokenIn], denorms[tokenIn], balances[tokenOut], denorms[tokenOut], tokenAmountIn, swapFee,
+            );
+            const profit = tokenIn === 0
+                ? toWei(dec(tokenAmountOut).mul(market[i])) - tokenAmountIn
+                : tokenAmountOut - toWei(dec(tokenAmountIn).mul(market[i]));
+            const outCap = (balances[tokenOut] * MAX_OUT_RATIO) / BONE;
+            if (profit > ZERO && tokenAmountOut <= outCap) {
+                balances[tokenIn] += tokenAmountIn - calcReservesFromFee(fee, reservesRatio);
+                balances[tokenOut] -= tokenAmountOut;
+                trades.push({
+                    tokenIn, tokenOut, tokenAmountIn, tokenAmountOut, profit,
+                });
+            }
+        }
+    }
+    return { balances, trades };
+}
+
+// Denorms after `step` of `steps`, moving each weight in a straight line
+function interpolate(from, to, step, steps) {
+    return from.map((d, i) => d + ((to[i] - d) * BigInt(step)) / BigInt(steps));
+}
+
+// The rebind calls from `denorms` to `next`, weights going down first
+function rebinds(tokens, balancesBefore, denorms, next, rebalance) {
+    const balances = [...balancesBefore];
+    const down = (i) => (next[i] < denorms[i] ? 0 : 1);
+    const calls = tokens
+        .map((_, i) => i)
+        .sort((a, b) => down(a) - down(b))
+        .filter((i) => next[i] !== denorms[i])
+        .map((i) => {
+            const balance = rebalance === 'prices' ? (balances[i] * next[i]) / denorms[i] : balances[i];
+            const call = {
+                method: 'rebind', token: tokens[i], balance, denorm: next[i], delta: balance - balances[i],
+            };
+            balances[i] = balance;
+            return call;
+        });
+    return { calls, balances };
+}
+
+// Plans the move of `snapshot` (a `Pool.getPoolState` result) to `target`,
+// given as `{ denorms }` or as normalized `{ weights }` at the current total
+// weight. Steps are spread evenly from `start` to `end`, which are block
+// numbers or, with `unit: 'time'`, timestamps.
+//
+// With `rebalance: 'none'` balances are left alone and the prices move with the
+// weights; each step then lists the trades that take the pool back to the
+// starting prices and `arbitrageLoss`, their profit in wei of the first token.
+// With `rebalance: 'prices'` every rebind scales the balance with the weight so
+// prices stay put, and `delta` is what the controller deposits (or, negative,
+// withdraws) instead.
+// Within a step, weights that go down are rebound first so the total weight
+// never goes above the larger of its values before and after the step.
+function planWeightShift(snapshot, target, {
+    steps, start, end, unit = 'block', rebalance = 'none',
+}) {
+    if (!['none', 'prices'].includes(rebalance)) {
+        throw new Error(`rebalance is 'none' or 'prices', got ${rebalance}`);
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`steps must be a positive integer, got ${steps}`);
+    }
+    const { tokens } = snapshot;
+    const from = tokens.map((t) => bnum(snapshot.records[t].denorm));
+    const to = target.denorms === undefined
+        ? denormsFor(target.weights, { totalWeight: from.reduce((a, b) => a + b, ZERO) }).denorms
+        : target.denorms.map(bnum);
+    if (to.length !== tokens.length) {
+        throw new Error(`ERR_ARRAY_LENGTH: pool has ${tokens.length} tokens, target ${to.length}`);
+    }
+    to.forEach((d) => {
+        if (d < MIN_WEIGHT || d > MAX_WEIGHT) {
+            throw new Error(`ERR_WEIGHT: target denorm ${d} is outside ${MIN_WEIGHT}..${MAX_WEIGHT}`);
+        }
+    });
+    const targetTotal = to.reduce((a, b) => a + b, ZERO);
+    if (targetTotal > MAX_TOTAL_WEIGHT) {
+        throw new Error(`ERR_MAX_TOTAL_WEIGHT: target total weight ${targetTotal} is above ${MAX_TOTAL_WEIGHT}`);
+    }
+
+    const { swapFee, reservesRatio } = snapshot;
+    let balances = tokens.map((t) => bnum(snapshot.records[t].balance));
+    const market = pricesOf(balances, from);
+    let denorms = from;
+    const schedule = [];
+    for (let step = 1; step <= steps; step += 1) {
+        const next = interpolate(from, to, step, steps);
+        const rebound = rebinds(tokens, balances, denorms, next, rebalance);
+        if (rebound.balances.some((b) => b < MIN_BALANCE)) {
+            throw new Error(`ERR_MIN_BALANCE: a balance would drop below ${MIN_BALANCE} wei at step ${step}`);
+        }
+        const { calls } = rebound;
+        denorms = next;
+        const arbitraged = arbitrage(rebound.balances, denorms, swapFee, reservesRatio, market);
+        balances = arbitraged.balances;
+        const trades = arbitraged.trades
+            .map((trade) => ({ ...trade, tokenIn: tokens[trade.tokenIn], tokenOut: tokens[trade.tokenOut] }));
+        schedule.push({
+            step,
+            at: start + Math.round(((end - start) * step) / steps),
+            calls,
+            totalWeight: denorms.reduce((a, b) => a + b, ZERO),
+            arbitrage: trades,
+            arbitrageLoss: trades.reduce((a, { profit }) => a + profit, ZERO),
+        });
+    }
+
+    return {
+        pool: snapshot.address,
+        tokens,
+        unit,
+        rebalance,
+        from,
+        to,
+        steps: schedule,
+        arbitrageLoss: schedule.reduce((a, { arbitrageLoss }) => a + arbitrageLoss, ZERO),
+    };
+}
+
+// Index of the first step some token has not reached yet. Weights move
+// monotonically, so a token whose denorm is at or past its value in a step
+// has been rebound for it.
+function firstPendingStep(plan, denorms) {
+    const reached = (i, d) => {
+        const [from, to] = [plan.from[i], plan.to[i]];
+        return to >= from ? denorms[i] >= d : denorms[i] <= d;
+    };
+    const pending = plan.steps.findIndex(({ calls }) => calls.some(({ token, denorm }) => (
+        !reached(plan.tokens.indexOf(token), denorm)
+    )));
+    return pending === -1 ? plan.steps.length : pending;
+}
+
+// Polls the latest block until it reaches `at`
+async function defaultWaitUntil(web3, unit, at, pollInterval) {
+    for (;;) {
+        const block = await web3.eth.getBlock('latest'); // eslint-disable-line no-await-in-loop
+        if ((unit === 'time' ? Number(block.timestamp) : block.number) >= at) {
+            return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, pollInterval)); // eslint-disable-line no-await-in-loop
+    }
+}
+
+// Sends the rebinds of `plan` through `pool` (a lib/client Pool), waiting for
+// each step's block or time. Steps the pool's weights show as done are skipped,
+// so running it again after an interruption resumes the schedule. Balances
+// are taken from the pool when each call is sent, since trading moves them.
+// `onStep(step, txs)` is awaited after every step sent.
+async function executeWeightShift(pool, plan, {
+    from, waitUntil, onStep, pollInterval = 15000,
+} = {}) {
+    const wait = waitUntil || ((at) => defaultWaitUntil(pool.web3, plan.unit, at, pollInterval));
+    const options = from === undefined ? undefined : { from };
+    const sender = from || (await pool.web3.eth.getAccounts())[0];
+    const record = async (token) => {
+        const state = await pool.getPoolState();
+        return state.records[token];
+    };
+
+    const state = await pool.getPoolState();
+    const first = firstPendingStep(plan, plan.tokens.map((t) => state.records[t].denorm));
+    const sent = [];
+    // Steps are due one after another, and each call reads the balances the one before left
+    for (let s = first; s < plan.steps.length; s += 1) {
+        /* eslint-disable no-await-in-loop */
+        const step = plan.steps[s];
+        await wait(step.at);
+        const txs = [];
+        for (let c = 0; c < step.calls.length; c += 1) {
+            const { token, denorm } = step.calls[c];
+            const current = await record(token);
+            if (current.denorm !== denorm) {
+                const balance = plan.rebalance === 'prices'
+                    ? (current.balance * denorm) / current.denorm
+                    : current.balance;
+                if (balance > current.balance) {
+                    const erc20 = await pool.token(token);
+                    const allowance = bnum(await erc20.allowance(sender, pool.address));
+                    if (allowance < balance - current.balance) {
+                        await erc20.approve(pool.address, (balance - current.balance).toString(), { from: sender });
+                    }
+                }
+                const args = [token, balance.toString(), denorm.toString()];
+                txs.push(await pool.contract.rebind(...withOptions(args, options)));
+            }
+        }
+        sent.push(step.step);
+        if (onStep !== undefined) {
+            await onStep(step, txs);
+        }
+        /* eslint-enable no-await-in-loop */
+    }
+    return { skipped: plan.steps.slice(0, first).map(({ step }) => step), sent };
+}
+
+module.exports = {
+    planWeightShift,
+    firstPendingStep,
+    executeWeightShift,
+};
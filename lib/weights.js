@@ -0,0 +1,134 @@
+// From portfolio targets to bind arguments: normalized weights to denorms
+// within the BConst bounds, and balances that price the pool at market.
+
+const Decimal = require('decimal.js').clone({ precision: 80 }); // wei exact up to MAX_UINT
+const {
+    BONE, MIN_BOUND_TOKENS, MAX_BOUND_TOKENS, MIN_WEIGHT, MAX_TOTAL_WEIGHT, MIN_BALANCE,
+} = require('./bconst');
+const { bnum, bdiv } = require('./bnum');
+const { calcSpotPrice } = require('./bmath');
+
+// Half of MAX_TOTAL_WEIGHT, leaving as much again for later rebinds. Weights
+// too small for it get the least total that keeps them at MIN_WEIGHT.
+const DEFAULT_TOTAL_WEIGHT = MAX_TOTAL_WEIGHT / BigInt(2);
+
+function dec(value) {
+    return Decimal(value.toString());
+}
+
+function positives(values, what) {
+    const decimals = values.map(dec);
+    if (!decimals.every((d) => d.isFinite() && d.gt(0))) {
+        throw new Error(`${what} must be positive numbers, got ${values.join(', ')}`);
+    }
+    return decimals;
+}
+
+// The least total, from DEFAULT_TOTAL_WEIGHT up to MAX_TOTAL_WEIGHT, that
+// gives the smallest of `targets` at least MIN_WEIGHT
+function defaultTotal(targets, sum) {
+    const needed = BigInt(dec(MIN_WEIGHT).mul(sum).div(Decimal.min(...targets)).toFixed(0, Decimal.ROUND_UP));
+    if (needed <= DEFAULT_TOTAL_WEIGHT) return DEFAULT_TOTAL_WEIGHT;
+    return needed < MAX_TOTAL_WEIGHT ? needed : MAX_TOTAL_WEIGHT;
+}
+
+// Denorms for target `weights`, which are normalized by their sum so 80/20,
+// [0.8, 0.2] and 4:1 are the same target. The denorms add up to `totalWeight`
+// exactly and each is within one wei of its exact share, which is as close as
+// getNormalizedWeight can get; a higher total gives finer weights but leaves
+// less room below MAX_TOTAL_WEIGHT for later rebinds, so the default is
+// DEFAULT_TOTAL_WEIGHT, raised as far as MAX_TOTAL_WEIGHT if the smallest
+// weight needs more to reach MIN_WEIGHT.
+// `weights` are the normalized weights BPool will report and `errors` their
+// differences from the targets, all BONE-scaled.
+function denormsFor(weights, { totalWeight } = {}) {
+    if (weights.length < Number(MIN_BOUND_TOKENS) || weights.length > Number(MAX_BOUND_TOKENS)) {
+        throw new Error(`ERR_TOKEN_COUNT: a pool has ${MIN_BOUND_TOKENS} to ${MAX_BOUND_TOKENS} tokens`);
+    }
+    const targets = positives(weights, 'weights');
+    const sum = targets.reduce((a, b) => a.add(b), Decimal(0));
+    const total = totalWeight === undefined ? defaultTotal(targets, sum) : bnum(totalWeight);
+    if (total > MAX_TOTAL_WEIGHT) {
+        throw new Error(`ERR_MAX_TOTAL_WEIGHT: total weight ${total} is above ${MAX_TOTAL_WEIGHT}`);
+    }
+    const shares = targets.map((w) => w.div(sum).mul(total.toString()));
+
+    // Largest remainder: floor every share, then hand the leftover wei to
+    // the shares that lost the most to the floor
+    const denorms = shares.map((s) => BigInt(s.toFixed(0, Decimal.ROUND_DOWN)));
+    let leftover = total - denorms.reduce((a, b) => a + b, BigInt(0));
+    shares
+        .map((s, i) => ({ i, remainder: s.sub(s.floor()) }))
+        .sort((a, b) => b.remainder.cmp(a.remainder))
+        .forEach(({ i }) => {
+            if (leftover > BigInt(0)) {
+                denorms[i] += BigInt(1);
+                leftover -= BigInt(1);
+            }
+        });
+
+    denorms.forEach((d, i) => {
+        if (d < MIN_WEIGHT) {
+            const needed = Decimal(MIN_WEIGHT.toString()).mul(sum).div(targets[i]).div(BONE.toString());
+            throw new Error(
+                `ERR_MIN_WEIGHT: a normalized weight of ${targets[i].div(sum).toSignificantDigits(6)} `
+                + `needs a total weight of at least ${needed.toSignificantDigits(6)}`,
+            );
+        }
+    });
+
+    const achieved = denorms.map((d) => bdiv(d, total));
+    const targetWeights = targets.map((w) => BigInt(w.div(sum).mul(BONE.toString()).toFixed(0)));
+    const errors = achieved.map((w, i) => w - targetWeights[i]);
+    const maxError = errors.reduce((max, e) => {
+        const abs = e < BigInt(0) ? -e : e;
+        return abs > max ? abs : max;
+    }, BigInt(0));
+    return {
+        denorms,
+        totalWeight: total,
+        weights: achieved,
+        errors,
+        maxError,
+    };
+}
+
+// Balances in wei that make the pool's prices, before the swap fee, equal the
+// external `prices`, for a pool worth `value` in total. `prices` are what one
+// whole token of each is worth in a common unit, like USD, and `value` is in
+// that unit. `decimals` default to 18 for every token.
+// `spotPrices[i]` is calcSpotPrice of token 0 in, token i out, without fee,
+// and `targetPrices[i]` the same ratio from the external prices; both are
+// BONE-scaled wei of token 0 per wei of token i.
+function balancesFor(denorms, prices, value, decimals = denorms.map(() => 18)) {
+    if (prices.length !== denorms.length || decimals.length !== denorms.length) {
+        throw new Error('ERR_ARRAY_LENGTH: need one price and one decimals per denorm');
+    }
+    const [worth] = positives([value], 'value');
+    const externals = positives(prices, 'prices');
+    const total = denorms.reduce((a, d) => a + bnum(d), BigInt(0));
+
+    const balances = denorms.map((d, i) => {
+        const share = worth.mul(dec(d)).div(dec(total));
+        const units = share.div(externals[i]).mul(Decimal(10).pow(decimals[i]));
+        return BigInt(units.toFixed(0, Decimal.ROUND_DOWN));
+    });
+    balances.forEach((b, i) => {
+        if (b < MIN_BALANCE) {
+            throw new Error(`ERR_MIN_BALANCE: token ${i} would get ${b} wei, below ${MIN_BALANCE}`);
+        }
+    });
+
+    const spotPrices = balances.map((b, i) => calcSpotPrice(balances[0], denorms[0], b, denorms[i], 0));
+    const targetPrices = externals.map((p, i) => {
+        const ratio = p.div(externals[0]).mul(Decimal(10).pow(decimals[0] - decimals[i]));
+        return BigInt(ratio.mul(BONE.toString()).toFixed(0));
+    });
+    return { balances, spotPrices, targetPrices };
+}
+
+module.exports = {
+    DEFAULT_TOTAL_WEIGHT,
+    denormsFor,
+    balancesFor,
+};
@@ -0,0 +1,16 @@
+const path = require('path');
+const { loadSpecs, applySpecs } = require('../lib/pool_spec');
+
+// Deploys the pool specs in `pools/` (or $POOL_SPECS), see lib/pool_spec.js.
+// Pools that already match their spec are left alone.
+module.exports = async function (deployer, network, accounts) {
+    const specs = loadSpecs(process.env.POOL_SPECS || path.join(__dirname, '..', 'pools'));
+    if (specs.length === 0) {
+        return;
+    }
+    const development = network === 'development' || network === 'coverage';
+    const results = await applySpecs(artifacts, specs, { from: accounts[0], development });
+    results.forEach(({ name, pool, status }) => {
+        console.log(`   ${name}: ${status} ${pool}`);
+    });
+};
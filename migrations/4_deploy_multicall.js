@@ -0,0 +1,10 @@
+const BMulticall = artifacts.require('BMulticall');
+
+// Read helper for lib/client/batch; pools and factories work without it, so
+// it is only deployed to development networks unless $DEPLOY_MULTICALL is set
+module.exports = function (deployer, network) {
+    const development = network === 'development' || network === 'coverage';
+    if (development || process.env.DEPLOY_MULTICALL) {
+        deployer.deploy(BMulticall);
+    }
+};
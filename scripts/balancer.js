@@ -0,0 +1,16 @@
+// Pool administration from the command line, see lib/admin.js.
+//
+//   truffle exec scripts/balancer.js <command> [args] [--network <name>] [--from <address>] [--dry-run]
+
+const path = require('path');
+const { run } = require('../lib/admin');
+
+module.exports = async (callback) => {
+    try {
+        const script = process.argv.findIndex((arg) => path.resolve(arg) === __filename);
+        await run(artifacts, process.argv.slice(script + 1));
+        callback();
+    } catch (err) {
+        callback(err);
+    }
+};
@@ -0,0 +1,43 @@
+// Watches the pools of the deployed BFactory, or the given ones, and reports
+// every violated invariant until interrupted.
+//
+//   truffle exec scripts/monitor.js [--network <name>] [--pool <address>]...
+//       [--json-file <file>] [--webhook <url>]... [--interval <ms>]
+//
+// Violations are printed to stderr, and also appended to --json-file as JSON
+// lines and POSTed to each --webhook.
+
+const { Factory, Pool } = require('../lib/client');
+const {
+    Monitor, ConsoleSink, JsonFileSink, WebhookSink,
+} = require('../lib/monitor');
+const { options } = require('../lib/cli');
+
+module.exports = async (callback) => {
+    try {
+        let addresses = options('--pool');
+        if (addresses.length === 0) {
+            addresses = await (await Factory.deployed(artifacts)).getPools();
+        }
+        const pools = await Promise.all(addresses.map((address) => Pool.at(artifacts, address)));
+        const [file] = options('--json-file');
+        const [interval] = options('--interval');
+        const sinks = [
+            new ConsoleSink(),
+            ...(file === undefined ? [] : [new JsonFileSink(file)]),
+            ...options('--webhook').map((url) => new WebhookSink(url)),
+        ];
+        const monitor = new Monitor(artifacts, pools, {
+            sinks,
+            pollInterval: interval === undefined ? undefined : Number(interval),
+        });
+        console.log(`monitoring ${pools.length} pools, ^C to stop`);
+        monitor.start();
+        process.once('SIGINT', async () => {
+            await monitor.stop();
+            callback();
+        });
+    } catch (err) {
+        callback(err);
+    }
+};
@@ -0,0 +1,41 @@
+// Prints the protocol reserves report of the deployed BFactory.
+//
+//   truffle exec scripts/reserves_report.js [--network <name>] [--json]
+//       [--from-block <n>] [--to-block <n>] [--out <file>]
+//
+// Exits with an error if any pool's reserves do not reconcile.
+
+const fs = require('fs');
+const { buildReport, toCsv, toJson } = require('../lib/reserves_report');
+
+function option(name) {
+    const i = process.argv.indexOf(name);
+    return i === -1 ? undefined : process.argv[i + 1];
+}
+
+function block(name) {
+    const value = option(name);
+    return value === undefined ? undefined : Number(value);
+}
+
+module.exports = async (callback) => {
+    try {
+        const report = await buildReport(artifacts, {
+            fromBlock: block('--from-block'),
+            toBlock: block('--to-block'),
+        });
+        const output = process.argv.includes('--json') ? toJson(report) : toCsv(report);
+        const out = option('--out');
+        if (out === undefined) {
+            console.log(output);
+        } else {
+            fs.writeFileSync(out, `${output}\n`);
+        }
+        if (report.mismatches > 0) {
+            throw new Error(`${report.mismatches} reserves mismatches at block ${report.blockNumber}`);
+        }
+        callback();
+    } catch (err) {
+        callback(err);
+    }
+};
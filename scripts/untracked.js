@@ -0,0 +1,38 @@
+// Lists tokens the pools of the deployed BFactory hold but do not account
+// for, and whether to gulp or seize them.
+//
+//   truffle exec scripts/untracked.js [--network <name>] [--json]
+//       [--pool <address>]... [--token <address>]... [--from-block <n>] [--send]
+//
+// With --send the gulps are sent, and the seizes of pools the first account
+// controls; seizes of other pools are reported as skipped.
+
+const {
+    buildAdvice, applyAdvice, toCsv, toJson,
+} = require('../lib/untracked');
+const { options } = require('../lib/cli');
+
+module.exports = async (callback) => {
+    try {
+        const [fromBlock] = options('--from-block');
+        const pools = options('--pool');
+        const advice = await buildAdvice(artifacts, {
+            pools: pools.length === 0 ? undefined : pools,
+            tokens: options('--token'),
+            fromBlock: fromBlock === undefined ? 0 : Number(fromBlock),
+        });
+        console.log(process.argv.includes('--json') ? toJson(advice) : toCsv(advice));
+        if (process.argv.includes('--send')) {
+            const [from] = await web3.eth.getAccounts();
+            const results = await applyAdvice(artifacts, advice, { from });
+            results.forEach(({
+                pool, token, action, tx, skipped,
+            }) => {
+                console.log(`${action} ${token} on ${pool}: ${skipped === undefined ? tx.tx : `skipped, ${skipped}`}`);
+            });
+        }
+        callback();
+    } catch (err) {
+        callback(err);
+    }
+};
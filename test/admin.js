@@ -0,0 +1,133 @@
+const truffleAssert = require('truffle-assertions');
+const { run, parseArgs } = require('../lib/admin');
+
+const BPool = artifacts.require('BPool');
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let POOL; let WETH; let DAI; let MKR; // addresses
+    let pool; // BPool
+    const lines = [];
+    const balancer = (...argv) => run(artifacts, argv, { log: (line) => lines.push(line) });
+
+    async function rejects(argv, reason) {
+        const block = await web3.eth.getBlockNumber();
+        try {
+            await balancer(...argv);
+        } catch (err) {
+            assert.include(err.message, reason);
+            assert.equal(await web3.eth.getBlockNumber(), block, 'nothing was sent');
+            return;
+        }
+        assert.fail(`expected ${reason}`);
+    }
+
+    before(async () => {
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        const mkr = await TToken.new('Maker', 'MKR', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        MKR = mkr.address;
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+        await mkr.mint(admin, toWei('100'));
+    });
+
+    describe('balancer CLI', () => {
+        it('parses commands and flags', async () => {
+            assert.deepEqual(
+                parseArgs(['bind', '0xp', '0xt', '1', '2', '--network', 'development', '--dry-run']),
+                { command: 'bind', args: ['0xp', '0xt', '1', '2'], flags: { dryRun: true } },
+            );
+            assert.deepEqual(parseArgs(['finalize', '0xp', '--from', user1]).flags, { dryRun: false, from: user1 });
+            await rejects(['deploy'], 'unknown command deploy');
+            await rejects(['set-fee', admin], 'ERR_USAGE: expected <pool> <fee>');
+        });
+
+        it('creates a pool, dry run first', async () => {
+            const { dryRun, result } = await balancer('create-pool', '--dry-run');
+            assert.isTrue(dryRun);
+            assert.isTrue(web3.utils.isAddress(result));
+
+            ({ pool: POOL } = await balancer('create-pool'));
+            assert.equal(POOL, result);
+            pool = await BPool.at(POOL);
+            assert.equal(await pool.getController(), admin);
+        });
+
+        it('binds with approvals and checks weights', async () => {
+            await rejects(['bind', POOL, WETH, '10', '10', '--dry-run'], 'ERR_ALLOWANCE');
+
+            await balancer('bind', POOL, WETH, '10', '10');
+            await balancer('bind', POOL, DAI, '4000', '30');
+            assert.equal((await pool.getBalance(DAI)).toString(), toWei('4000'));
+
+            await rejects(['bind', POOL, MKR, '1', '0.5'], 'ERR_MIN_WEIGHT');
+            await rejects(['bind', POOL, MKR, '1', '11'], 'ERR_MAX_TOTAL_WEIGHT');
+            await rejects(['bind', POOL, MKR, '0.0000000000001', '1'], 'ERR_MIN_BALANCE');
+            await rejects(['bind', POOL, MKR, '1000', '1'], 'ERR_INSUFFICIENT_BAL');
+            await rejects(['bind', POOL, WETH, '1', '1'], 'ERR_IS_BOUND');
+            await rejects(['rebind', POOL, WETH, '10', '21'], 'ERR_MAX_TOTAL_WEIGHT');
+
+            await balancer('rebind', POOL, WETH, '12', '19');
+            assert.equal((await pool.getDenormalizedWeight(WETH)).toString(), toWei('19'));
+            await balancer('bind', POOL, MKR, '1', '1');
+            await balancer('unbind', POOL, MKR);
+            assert.isFalse(await pool.isBound(MKR));
+        });
+
+        it('checks fees and reserves ratio locally', async () => {
+            await rejects(['set-fee', POOL, '0.00000001'], 'ERR_MIN_FEE');
+            await rejects(['set-fee', POOL, '0.2'], 'ERR_MAX_FEE');
+            await rejects(['set-reserves-ratio', POOL, '0.1'], 'ERR_INVALID_RESERVE');
+            await rejects(['set-controller', POOL, '0x1234'], 'ERR_ADDRESS');
+
+            await balancer('set-fee', POOL, '0.003');
+            await balancer('set-reserves-ratio', POOL, '0.5');
+            assert.equal((await pool.getSwapFee()).toString(), toWei('0.003'));
+            assert.equal((await pool.getReservesRatio()).toString(), toWei('0.5'));
+        });
+
+        it('dry runs through eth_call', async () => {
+            await rejects(['set-fee', POOL, '0.01', '--from', user1, '--dry-run'], 'revert');
+            await balancer('set-fee', POOL, '0.01', '--dry-run');
+            assert.equal((await pool.getSwapFee()).toString(), toWei('0.003'));
+
+            await balancer('set-controller', POOL, user1, '--dry-run');
+            await balancer('finalize', POOL, '--dry-run');
+
+            // With the allowance in place a dry run rebind goes through eth_call too
+            await rejects(['rebind', POOL, WETH, '13', '19', '--dry-run'], 'ERR_ALLOWANCE');
+            await (await TToken.at(WETH)).approve(POOL, toWei('1'));
+            const { dryRun } = await balancer('rebind', POOL, WETH, '13', '19', '--dry-run');
+            assert.isTrue(dryRun);
+            assert.equal((await pool.getBalance(WETH)).toString(), toWei('12'));
+            assert.isFalse(await pool.isFinalized());
+        });
+
+        it('finalizes, gulps and drains reserves', async () => {
+            await balancer('finalize', POOL);
+            assert.isTrue(await pool.isFinalized());
+
+            const weth = await TToken.at(WETH);
+            await weth.approve(POOL, toWei('1'));
+            await pool.swapExactAmountIn(WETH, toWei('1'), DAI, 0, toWei('1000000'));
+            const reserves = await pool.totalReserves(WETH);
+            assert.isTrue(reserves.gtn(0));
+
+            await weth.transfer(POOL, toWei('1'));
+            await balancer('gulp', POOL, WETH);
+
+            const before = await weth.balanceOf(admin);
+            await balancer('drain-reserves', POOL);
+            assert.equal((await pool.totalReserves(WETH)).toString(), '0');
+            assert.equal((await weth.balanceOf(admin)).sub(before).toString(), reserves.toString());
+            await truffleAssert.reverts(balancer('drain-reserves', POOL, '--from', user1));
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const Decimal = require('decimal.js');
+const { Factory, MAX } = require('../lib/client');
+const { simulateArbitrage, toCsv } = require('../lib/arbitrage');
+const { MAX_IN_RATIO, BONE } = require('../lib/bconst');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei } = web3.utils;
+
+    // 50/50 WETH/DAI with WETH at 400 DAI
+    const definition = {
+        tokens: ['WETH', 'DAI'],
+        balances: [toWei('50'), toWei('20000')],
+        denorms: [toWei('5'), toWei('5')],
+        swapFee: toWei('0.003'),
+        reservesRatio: toWei('0.2'),
+    };
+
+    describe('Arbitrage simulator', () => {
+        it('trades the pool back to market prices', async () => {
+            const series = [[400, 1], [440, 1], [440, 1], { at: 1700000000, prices: [380, 1] }];
+            const { steps, totals } = simulateArbitrage(definition, series);
+            assert.equal(steps[0].trades.length, 0, 'pool starts at market');
+            assert.equal(steps[2].trades.length, 0, 'nothing left once prices hold');
+            assert.equal(steps[3].at, 1700000000);
+
+            const [buy] = steps[1].trades;
+            assert.equal(buy.tokenIn, 'DAI');
+            assert.equal(buy.tokenOut, 'WETH');
+            assert.isTrue(buy.profit.gt(0));
+            const [sell] = steps[3].trades;
+            assert.equal(sell.tokenIn, 'WETH');
+
+            // WETH/DAI sans fee ends within the fee of the market
+            const [weth, dai] = steps[1].balances.map((b) => Decimal(b.toString()));
+            const price = dai.div(weth);
+            assert.isTrue(price.gt(440 * 0.997) && price.lte(440), `price ${price}`);
+
+            assert.isTrue(totals.lpFees.gt(0));
+            const ratio = totals.protocolReserves.div(totals.lpFees);
+            assert.isTrue(ratio.sub(0.25).abs().lt('1e-12'), 'reserves are a fifth of every fee');
+            const volume = steps[1].volume.add(steps[3].volume);
+            assert.isTrue(totals.volume.eq(volume));
+            assert.isTrue(steps[1].poolValue.lt(steps[1].hodlValue), 'arbitrage costs the pool');
+        });
+
+        it('stays within MAX_IN_RATIO', async () => {
+            const { steps } = simulateArbitrage(definition, [[400, 1], [4000, 1]]);
+            const { trades } = steps[1];
+            assert.isAbove(trades.length, 1);
+            let daiBalance = BigInt(definition.balances[1]);
+            trades.forEach((trade) => {
+                assert.isTrue(trade.tokenAmountIn <= (daiBalance * MAX_IN_RATIO) / BONE);
+                daiBalance += trade.tokenAmountIn - trade.reserves;
+            });
+
+            const capped = simulateArbitrage(definition, [[400, 1], [4000, 1]], { maxTradesPerStep: 1 });
+            assert.equal(capped.steps[1].trades.length, 1);
+            assert.isTrue(capped.steps[1].arbitrageProfit.lt(steps[1].arbitrageProfit));
+        });
+
+        it('compares parameter sets in one CSV', async () => {
+            const series = [[400, 1, 1], [420, 1.01, 0.98], [390, 0.99, 1.05]];
+            const three = {
+                tokens: ['WETH', 'DAI', 'USDC'],
+                balances: [toWei('100'), toWei('20000'), '20000000000'],
+                decimals: [18, 18, 6],
+                denorms: [toWei('10'), toWei('5'), toWei('5')],
+                reservesRatio: toWei('0.2'),
+            };
+            const runs = ['0.001', '0.003', '0.01'].map((fee) => simulateArbitrage(
+                { ...three, swapFee: toWei(fee) }, series, { label: `fee ${fee}` },
+            ));
+            assert.isTrue(runs[0].totals.volume.gt(runs[2].totals.volume), 'lower fees draw more volume');
+            assert.isTrue(runs[0].totals.arbitrageProfit.gt(runs[2].totals.arbitrageProfit));
+
+            const lines = toCsv(runs).split('\n');
+            assert.equal(lines.length, 1 + 3 * series.length);
+            assert.equal(lines[0], 'label,swapFee,reservesRatio,step,at,trades,volume,lpFees,'
+                + 'protocolReserves,arbitrageProfit,poolValue,hodlValue');
+            assert.match(lines[1], /^fee 0.001,0.001,0.2,0,0,0,0,0,0,0,/);
+            assert.equal(lines[7].split(',')[1], '0.01');
+            assert.throws(() => simulateArbitrage(definition, [[1, 2, 3]]), 'ERR_ARRAY_LENGTH');
+        });
+
+        it('matches the trades on chain', async () => {
+            const factory = await Factory.deployed(artifacts);
+            const pool = await factory.newPool();
+            const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+            const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+            await weth.mint(admin, toWei('50'));
+            await dai.mint(admin, toWei('100000'));
+            await pool.approve(weth.address);
+            await pool.approve(dai.address);
+            await pool.bind(weth.address, '50', '5');
+            await pool.bind(dai.address, '20000', '5');
+            await pool.setSwapFee('0.003');
+            await pool.finalize();
+
+            const { steps } = simulateArbitrage(await pool.getPoolState(), [[400, 1], [500, 1]]);
+            // Each trade is quoted against the balances the one before left
+            /* eslint-disable no-await-in-loop */
+            for (let i = 0; i < steps[1].trades.length; i += 1) {
+                const trade = steps[1].trades[i];
+                const out = await pool.contract.swapExactAmountIn.call(
+                    trade.tokenIn, trade.tokenAmountIn.toString(), trade.tokenOut, '0', MAX,
+                );
+                assert.equal(out.tokenAmountOut.toString(), trade.tokenAmountOut.toString());
+                await pool.contract.swapExactAmountIn(
+                    trade.tokenIn, trade.tokenAmountIn.toString(), trade.tokenOut, '0', MAX,
+                );
+            }
+            /* eslint-enable no-await-in-loop */
+            const balances = await Promise.all([weth, dai].map((t) => pool.contract.getBalance(t.address)));
+            assert.deepEqual(balances.map(String), steps[1].balances.map(String));
+        });
+    });
+});
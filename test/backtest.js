@@ -0,0 +1,87 @@
+const Decimal = require('decimal.js');
+const { parseHistory, backtest, compareConfigs } = require('../lib/backtest');
+const { impermanentLoss } = require('../lib/lp_analytics');
+
+contract('BPool', async () => {
+    // WETH climbs from 400 to 600 DAI with some chop; traders swap both ways
+    const lines = ['timestamp,WETH,DAI,USDC,type,tokenIn,tokenOut,amount'];
+    for (let i = 0; i <= 40; i += 1) {
+        const price = 400 + 5 * i + (i % 2 === 0 ? 3 : -3);
+        const flow = i % 2 === 0 ? 'swap,DAI,WETH,2000' : 'swap,WETH,DAI,4';
+        lines.push(`${1600000000 + 60 * i},${price},1,1,${i === 0 ? ',,,' : flow}`);
+    }
+    lines.push('1600003000,,,,join,WETH,,10');
+    lines.push('1600003060,,,,exit,,DAI,2');
+    lines.push('1600003120,,,,swap,USDC,DAI,100');
+    lines.push('1600003180,603,1,1,swap,DAI,WETH,1000000');
+    const history = parseHistory(lines.join('\n'));
+
+    const config = {
+        name: '50/50 0.3%',
+        tokens: ['WETH', 'DAI'],
+        weights: [50, 50],
+        value: 100000,
+        swapFee: '0.003',
+        reservesRatio: '0.2',
+    };
+
+    describe('Backtests', () => {
+        it('parses prices and flows', async () => {
+            assert.deepEqual(history.tokens, ['WETH', 'DAI', 'USDC']);
+            assert.equal(history.rows.length, 45);
+            assert.isNull(history.rows[0].flow);
+            assert.equal(history.rows[1].flow.tokenIn, 'WETH');
+            assert.equal(history.rows[1].flow.amount.toString(), '4');
+            assert.deepEqual(history.rows[41].prices, {}, 'no prices on the row');
+            assert.throws(() => parseHistory('time,WETH\n1,2'), 'timestamp');
+            assert.throws(() => parseHistory('timestamp,WETH,type\n1,2,mint'), 'unknown flow type mint');
+        });
+
+        it('replays flows and accounts for fees and reserves', async () => {
+            const result = backtest(history, config);
+            assert.equal(result.counts.swap, 40);
+            assert.equal(result.counts.join, 1);
+            assert.equal(result.counts.exit, 1);
+            assert.deepEqual(result.counts.rejected, { 'not in the pool': 1, ERR_MAX_IN_RATIO: 1 });
+            assert.isAbove(result.counts.arbitrages, 0);
+
+            const hodl = Decimal(50000).div(403).mul(603).add(50000);
+            assert.isTrue(result.hodlValue.sub(hodl).abs().lt('1e-12'), `hodl ${result.hodlValue}`);
+            assert.isTrue(result.impermanentLoss.eq(impermanentLoss([1, 1], [403, 1], [603, 1])));
+            assert.isTrue(result.feeRevenue.gt(0));
+            assert.isTrue(result.reservesAccrued.WETH.gt(0) && result.reservesAccrued.DAI.gt(0));
+            assert.isTrue(result.totalSupply.gt(100));
+
+            // at flat prices and without other LPs, reserves are a quarter of
+            // what the LP keeps
+            const flat = parseHistory([
+                'timestamp,WETH,DAI,type,tokenIn,tokenOut,amount',
+                '1,400,1,swap,DAI,WETH,2000',
+                '2,400,1,swap,WETH,DAI,3',
+            ].join('\n'));
+            const quiet = backtest(flat, config);
+            const ratio = quiet.reservesValue.div(quiet.feeRevenue);
+            assert.isTrue(ratio.sub(0.25).abs().lt('1e-12'), `ratio ${ratio}`);
+
+            const withExitFee = backtest(history, { ...config, exitFee: '0.01' });
+            assert.isTrue(withExitFee.finalValue.lt(result.finalValue));
+        });
+
+        it('ranks configurations side by side', async () => {
+            const configs = [
+                config,
+                { ...config, name: '80/20 0.3%', weights: [80, 20] },
+                { ...config, name: '20/80 0.3%', weights: [20, 80] },
+                { ...config, name: '50/50 1%', swapFee: '0.01' },
+            ];
+            const byValue = compareConfigs(history, configs);
+            assert.deepEqual(byValue.map(({ rank }) => rank), [1, 2, 3, 4]);
+            assert.equal(byValue[0].name, '80/20 0.3%', 'heavier in the token that went up');
+            assert.equal(byValue[3].name, '20/80 0.3%');
+            byValue.slice(1).forEach((result, i) => assert.isTrue(result.finalValue.lte(byValue[i].finalValue)));
+
+            const byFees = compareConfigs(history, configs.filter((c) => c.weights[0] === 50), { by: 'feeRevenue' });
+            assert.equal(byFees[0].name, '50/50 1%');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const { Factory, BatchReader } = require('../lib/client');
+const { MAX_BOUND_TOKENS } = require('../lib/bconst');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei } = web3.utils;
+
+    let factory; // client Factory
+    let fromBlock; // before any pool of this file
+    let pool; // client Pool, with MAX_BOUND_TOKENS tokens
+    let tokens; // TTokens
+
+    // `reader` with its round trips counted
+    function counted(reader) {
+        const counts = { sendBatch: 0, aggregate: 0 };
+        const spy = Object.create(reader);
+        Object.keys(counts).forEach((method) => {
+            spy[method] = (...args) => {
+                counts[method] += 1;
+                return reader[method](...args);
+            };
+        });
+        return { counts, reader: spy };
+    }
+
+    // The state as the plain truffle getters read it, one call each
+    async function readOneByOne(block) {
+        const c = pool.contract;
+        const current = await c.getCurrentTokens(block);
+        const records = {};
+        await Promise.all(current.map(async (t) => {
+            records[t] = {
+                balance: BigInt(await c.getBalance(t, block)),
+                denorm: BigInt(await c.getDenormalizedWeight(t, block)),
+                decimals: Number(await (await TToken.at(t)).decimals()),
+            };
+        }));
+        return { tokens: current, records, totalSupply: BigInt(await c.totalSupply(block)) };
+    }
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+        fromBlock = await web3.eth.getBlockNumber();
+        pool = await factory.newPool();
+        tokens = await Promise.all(Array.from({ length: Number(MAX_BOUND_TOKENS) }, async (_, i) => {
+            const token = await TToken.new(`Token ${i}`, `T${i}`, 6 + 2 * i);
+            await token.mint(admin, toWei('1000000'));
+            await pool.approve(token.address);
+            await pool.bind(token.address, `${10 + i}`, `${1 + i}`);
+            return token;
+        }));
+        await pool.setSwapFee('0.002');
+        await pool.finalize();
+    });
+
+    describe('Batched reads', () => {
+        it('reads a full pool in two JSON-RPC batches', async () => {
+            const { counts, reader } = counted(new BatchReader(pool.web3));
+            pool.tokenDecimals = {};
+            const state = await pool.getPoolState(undefined, { reader });
+            assert.deepEqual(counts, { sendBatch: 2, aggregate: 0 });
+
+            const expected = await readOneByOne(state.blockNumber);
+            assert.deepEqual(state.tokens, expected.tokens);
+            assert.deepEqual(state.records, expected.records);
+            assert.equal(state.totalSupply.toString(), expected.totalSupply.toString());
+            assert.equal(state.swapFee.toString(), toWei('0.002'));
+            assert.isTrue(state.finalized && state.publicSwap);
+        });
+
+        it('reads the same state through BMulticall', async () => {
+            const { counts, reader: multicall } = counted(await BatchReader.deployed(artifacts, pool.web3));
+            const block = await web3.eth.getBlockNumber();
+            const state = await pool.getPoolState(block, { reader: multicall });
+            assert.deepEqual(counts, { sendBatch: 0, aggregate: 2 });
+            assert.deepEqual(state, await pool.getPoolState(block));
+
+            // Small batches only split the reads up
+            const { counts: smallCounts, reader: small } = counted(
+                await BatchReader.deployed(artifacts, pool.web3, { batchSize: 5 }),
+            );
+            assert.deepEqual(await pool.getPoolState(block, { reader: small }), state);
+            assert.equal(smallCounts.aggregate, Math.ceil(7 / 5) + Math.ceil((3 * tokens.length) / 5));
+        });
+
+        it('falls back to JSON-RPC batches where BMulticall is not deployed', async () => {
+            const undeployed = {
+                require: () => ({ detectNetwork: async () => {}, isDeployed: () => false }),
+            };
+            const { counts, reader } = counted(await BatchReader.deployed(undeployed, pool.web3));
+            const block = await web3.eth.getBlockNumber();
+            assert.deepEqual(await pool.getPoolState(block, { reader }), await pool.getPoolState(block));
+            assert.deepEqual(counts, { sendBatch: 2, aggregate: 0 });
+        });
+
+        it('reads every factory pool at one block', async () => {
+            const block = await web3.eth.getBlockNumber();
+            const pinned = await factory.getPoolStates(block, { fromBlock });
+            assert.deepEqual(pinned.map((s) => s.address), [pool.address]);
+            assert.deepEqual(pinned.find((s) => s.address === pool.address), await pool.getPoolState(block));
+
+            const later = await factory.newPool();
+            await pool.contract.joinPool(toWei('1'), tokens.map(() => toWei('1000000')));
+            const { counts, reader } = counted(await BatchReader.deployed(artifacts, pool.web3));
+            const latest = await factory.getPoolStates(undefined, { fromBlock, reader });
+            assert.equal(counts.aggregate, 3, 'isBPool, then two rounds for all pools');
+            assert.deepEqual(latest.map((s) => s.address), [pool.address, later.address]);
+            assert.isTrue(latest.every((s) => s.blockNumber === latest[0].blockNumber));
+            const now = latest.find((s) => s.address === pool.address);
+            assert.equal((now.totalSupply - BigInt(toWei('100'))).toString(), toWei('1'));
+
+            const before = await factory.getPoolStates(block, { fromBlock, reader });
+            assert.deepEqual(before, pinned, 'later pools are left out');
+
+            const everything = await factory.getPoolStates(block);
+            assert.deepEqual(everything.map((s) => s.address), await factory.getPools(0, { toBlock: block }));
+        });
+
+        it('rejects when a call reverts', async () => {
+            const call = {
+                to: pool.address, abi: pool.contract.abi, method: 'getBalance', args: [admin],
+            };
+            const reader = new BatchReader(pool.web3);
+            const multicall = await BatchReader.deployed(artifacts, pool.web3);
+            const failures = await Promise.all([
+                reader.read([call]),
+                multicall.read([call]),
+                reader.read([{ ...call, method: 'getBalances' }]),
+            ].map((read) => read.then(() => null, (err) => err.message)));
+            assert.match(failures[0], /^batch: eth_call failed/);
+            assert.isNotNull(failures[1]);
+            assert.match(failures[2], /no getBalances/);
+        });
+    });
+});
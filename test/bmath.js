@@ -0,0 +1,123 @@
+const truffleAssert = require('truffle-assertions');
+const bmath = require('../lib/bmath');
+
+const TMath = artifacts.require('TMath');
+
+contract('TMath', async () => {
+    const { toWei } = web3.utils;
+
+    // [tokenBalance, tokenWeight, otherBalance, otherWeight, poolSupply, totalWeight]
+    const states = [
+        [toWei('4'), toWei('10'), toWei('12'), toWei('10'), toWei('100'), toWei('20')],
+        [toWei('1000'), toWei('1'), toWei('1000'), toWei('49'), toWei('100'), toWei('50')],
+        [toWei('52.5'), toWei('5'), toWei('10500'), toWei('5'), toWei('105'), toWei('15')],
+        [toWei('0.000001'), toWei('49'), toWei('123456789.123'), toWei('1'), toWei('1.000001'), toWei('50')],
+    ];
+    const swapFees = [toWei('0.000025'), toWei('0.003'), toWei('0.1')];
+    const reservesRatio = toWei('0.2');
+    // fraction of the relevant balance or supply that is traded
+    const fractions = ['0.0001', '0.1', '0.33'];
+
+    function scale(amount, fraction) {
+        return ((BigInt(amount) * BigInt(toWei(fraction))) / BigInt(toWei('1'))).toString();
+    }
+
+    function assertSame(expected, actual) {
+        if (Array.isArray(expected)) {
+            expected.forEach((value, i) => assert.equal(value.toString(), actual[i].toString()));
+        } else {
+            assert.equal(expected.toString(), actual.toString());
+        }
+    }
+
+    function forEachCase(fn) {
+        const cases = [];
+        states.forEach((state) => swapFees.forEach((swapFee) => {
+            fractions.forEach((fraction) => cases.push(fn(state, swapFee, fraction)));
+        }));
+        return Promise.all(cases);
+    }
+
+    let tmath;
+    before(async () => {
+        tmath = await TMath.deployed();
+    });
+
+    describe('lib/bmath', () => {
+        it('calcSpotPrice', async () => {
+            await forEachCase(async ([bI, wI, bO, wO], swapFee) => {
+                const actual = await tmath.calcSpotPrice(bI, wI, bO, wO, swapFee);
+                assertSame(bmath.calcSpotPrice(bI, wI, bO, wO, swapFee), actual);
+            });
+        });
+
+        it('calcOutGivenIn', async () => {
+            await forEachCase(async ([bI, wI, bO, wO], swapFee, fraction) => {
+                const aI = scale(bI, fraction);
+                const actual = await tmath.calcOutGivenIn(bI, wI, bO, wO, aI, swapFee);
+                assertSame(bmath.calcOutGivenIn(bI, wI, bO, wO, aI, swapFee), actual);
+            });
+        });
+
+        it('calcInGivenOut', async () => {
+            await forEachCase(async ([bI, wI, bO, wO], swapFee, fraction) => {
+                const aO = scale(bO, fraction);
+                const actual = await tmath.calcInGivenOut(bI, wI, bO, wO, aO, swapFee);
+                assertSame(bmath.calcInGivenOut(bI, wI, bO, wO, aO, swapFee), actual);
+            });
+        });
+
+        it('calcPoolOutGivenSingleIn', async () => {
+            await forEachCase(async ([bI, wI,,, pS, tW], swapFee, fraction) => {
+                const aI = scale(bI, fraction);
+                const actual = await tmath.calcPoolOutGivenSingleIn(bI, wI, pS, tW, aI, swapFee, reservesRatio);
+                assertSame(bmath.calcPoolOutGivenSingleIn(bI, wI, pS, tW, aI, swapFee, reservesRatio), actual);
+            });
+        });
+
+        it('calcSingleInGivenPoolOut', async () => {
+            await forEachCase(async ([bI, wI,,, pS, tW], swapFee, fraction) => {
+                const pAo = scale(pS, fraction);
+                const actual = await tmath.calcSingleInGivenPoolOut(bI, wI, pS, tW, pAo, swapFee);
+                assertSame(bmath.calcSingleInGivenPoolOut(bI, wI, pS, tW, pAo, swapFee), actual);
+            });
+        });
+
+        it('calcSingleOutGivenPoolIn', async () => {
+            await forEachCase(async ([bO, wO,,, pS, tW], swapFee, fraction) => {
+                const pAi = scale(pS, fraction);
+                const actual = await tmath.calcSingleOutGivenPoolIn(bO, wO, pS, tW, pAi, swapFee);
+                assertSame(bmath.calcSingleOutGivenPoolIn(bO, wO, pS, tW, pAi, swapFee), actual);
+            });
+        });
+
+        it('calcPoolInGivenSingleOut', async () => {
+            await forEachCase(async ([bO, wO,,, pS, tW], swapFee, fraction) => {
+                const aO = scale(bO, fraction);
+                const actual = await tmath.calcPoolInGivenSingleOut(bO, wO, pS, tW, aO, swapFee, reservesRatio);
+                assertSame(bmath.calcPoolInGivenSingleOut(bO, wO, pS, tW, aO, swapFee, reservesRatio), actual);
+            });
+        });
+
+        it('reverts where BMath reverts', async () => {
+            const [bI, wI, bO, wO] = states[0];
+            const aO = scale(bO, '1.5');
+            assert.throws(() => bmath.calcInGivenOut(bI, wI, bO, wO, aO, swapFees[0]), 'ERR_SUB_UNDERFLOW');
+            await truffleAssert.reverts(tmath.calcInGivenOut(bI, wI, bO, wO, aO, swapFees[0]), 'ERR_SUB_UNDERFLOW');
+
+            assert.throws(() => bmath.calcSpotPrice(bI, wI, bO, wO, toWei('1')), 'ERR_DIV_ZERO');
+            await truffleAssert.reverts(tmath.calcSpotPrice(bI, wI, bO, wO, toWei('1')), 'ERR_DIV_ZERO');
+
+            const [,,,, pS, tW] = states[0];
+            const tooMuch = toWei('1.1');
+            assert.throws(
+                () => bmath.calcPoolOutGivenSingleIn(bI, wI, pS, tW, bI, swapFees[0], tooMuch),
+                'ERR_INVALID_RESERVE',
+            );
+            await truffleAssert.reverts(
+                tmath.calcPoolOutGivenSingleIn(bI, wI, pS, tW, bI, swapFees[0], tooMuch),
+                'ERR_INVALID_RESERVE',
+            );
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const Decimal = require('decimal.js');
+const truffleAssert = require('truffle-assertions');
+const { Factory } = require('../lib/client');
+const PoolSimulator = require('../lib/pool_simulator');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let factory; // client Factory
+    let pool; // client Pool
+    let WETH; let USDC; // addresses
+    let weth; let usdc; // TTokens
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+
+        weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        usdc = await TToken.new('USD Coin', 'USDC', 6);
+        WETH = weth.address;
+        USDC = usdc.address;
+
+        await weth.mint(admin, toWei('100'));
+        await usdc.mint(admin, '100000000000'); // 100000 USDC
+        await weth.mint(user1, toWei('10'));
+        await usdc.mint(user1, '10000000000'); // 10000 USDC
+    });
+
+    describe('Client SDK', () => {
+        it('creates a pool through the factory', async () => {
+            pool = await factory.newPool();
+            assert.isTrue(await factory.isPool(pool.address));
+            assert.equal(await pool.getController(), admin);
+        });
+
+        it('scales amounts by token decimals', async () => {
+            await pool.approve(WETH);
+            await pool.approve(USDC);
+            await pool.bind(WETH, '10', '5');
+            await pool.bind(USDC, '20000', '5');
+            await pool.setSwapFee('0.003');
+
+            assert.equal((await usdc.balanceOf(pool.address)).toString(), '20000000000');
+            assert.isTrue((await pool.getBalance(USDC)).eq('20000'));
+            assert.isTrue((await pool.getBalance(WETH)).eq('10'));
+            assert.isTrue((await pool.getNormalizedWeight(WETH)).eq('0.5'));
+            assert.isTrue((await pool.getSwapFee()).eq('0.003'));
+
+            // 2000 USDC per WETH before the swap fee
+            assert.isTrue((await pool.getSpotPriceSansFee(USDC, WETH)).eq('2000'));
+            assert.isTrue((await pool.getSpotPriceSansFee(WETH, USDC)).eq('0.0005'));
+            assert.equal(
+                (await pool.getSpotPrice(USDC, WETH)).toFixed(6),
+                Decimal(2000).div(Decimal(1).sub('0.003')).toFixed(6),
+            );
+        });
+
+        it('snapshots the pool state at one block', async () => {
+            await pool.finalize();
+            const state = await pool.getPoolState();
+
+            assert.deepEqual(state.tokens, [WETH, USDC]);
+            assert.equal(state.records[USDC].balance.toString(), '20000000000');
+            assert.equal(state.records[USDC].decimals, 6);
+            assert.equal(state.records[WETH].denorm.toString(), toWei('5'));
+            assert.equal(state.totalWeight.toString(), toWei('10'));
+            assert.equal(state.swapFee.toString(), toWei('0.003'));
+            assert.equal(state.totalReserves[WETH].toString(), '0');
+            assert.equal(state.totalSupply.toString(), toWei('100'));
+            assert.isTrue(state.finalized);
+
+            await pool.swapExactAmountIn(USDC, '100', WETH, '0', '1000000');
+            const pinned = await pool.getPoolState(state.blockNumber);
+            assert.deepEqual(pinned, state);
+        });
+
+        it('returns Decimal results matching the simulator', async () => {
+            await pool.approve(WETH, undefined, { from: user1 });
+            await pool.approve(USDC, undefined, { from: user1 });
+
+            const sim = PoolSimulator.fromSnapshot(await pool.getPoolState(), { controller: admin });
+            const maxPrice = sim.getSpotPrice(WETH, USDC) * BigInt(2);
+            const expected = sim.swapExactAmountIn(WETH, toWei('0.5'), USDC, '0', maxPrice);
+
+            const options = { from: user1 };
+            const { tokenAmountIn, tokenAmountOut } = await pool.swapExactAmountIn(
+                WETH, '0.5', USDC, '900', maxPrice, options,
+            );
+            assert.instanceOf(tokenAmountOut, Decimal);
+            assert.isTrue(tokenAmountIn.eq('0.5'));
+            assert.isTrue(tokenAmountOut.eq(Decimal(expected.tokenAmountOut.toString()).div(1e6)));
+
+            const { poolAmountOut } = await pool.joinswapExternAmountIn(USDC, '100', '0', options);
+            assert.isTrue((await pool.balanceOf(user1)).eq(poolAmountOut));
+
+            const { tokenAmountOut: usdcOut } = await pool.exitswapPoolAmountIn(USDC, poolAmountOut, '0', options);
+            assert.isTrue(usdcOut.lt('100'));
+            assert.isTrue((await pool.balanceOf(user1)).eq(0));
+        });
+
+        it('needs every limit of a single-token trade', async () => {
+            await truffleAssert.fails(
+                pool.swapExactAmountIn(WETH, '0.1', USDC, '0', undefined, { from: user1 }),
+                'swapExactAmountIn: maxPrice must be given',
+            );
+            await truffleAssert.fails(
+                pool.swapExactAmountOut(WETH, undefined, USDC, '1', undefined, { from: user1 }),
+                'swapExactAmountOut: maxAmountIn and maxPrice must be given',
+            );
+            await truffleAssert.fails(
+                pool.exitswapPoolAmountIn(USDC, '1', undefined, { from: user1 }),
+                'exitswapPoolAmountIn: minAmountOut must be given',
+            );
+        });
+
+        it('sends trades in wei and reads the receipt', async () => {
+            const { tokenAmountIn, poolAmountOut } = await pool.send({
+                method: 'joinswapPoolAmountOut', args: [USDC, toWei('1'), '1000000000'],
+            }, { from: user1 });
+            assert.isTrue(poolAmountOut.eq(1));
+            assert.isTrue(tokenAmountIn.gt(0) && tokenAmountIn.lt(1000));
+
+            const exit = await pool.exitswapExternAmountOut(USDC, '1', '1', { from: user1 });
+            assert.isTrue(exit.tokenAmountOut.eq(1));
+            assert.isTrue(exit.poolAmountIn.lt(1));
+        });
+
+        it('enforces human readable limits', async () => {
+            const spotPrice = await pool.getSpotPrice(WETH, USDC);
+            await truffleAssert.reverts(
+                pool.swapExactAmountIn(WETH, '0.1', USDC, '1000000', spotPrice.mul(2), { from: user1 }),
+                'ERR_LIMIT_OUT',
+            );
+            await truffleAssert.reverts(
+                pool.swapExactAmountIn(WETH, '0.1', USDC, '0', spotPrice.div(2), { from: user1 }),
+                'ERR_BAD_LIMIT_PRICE',
+            );
+        });
+    });
+});
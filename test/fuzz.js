@@ -0,0 +1,44 @@
+const fuzz = require('../lib/fuzz');
+
+// FUZZ_SEED=<n> FUZZ_RUNS=<n> FUZZ_STEPS=<n> yarn test test/fuzz.js
+const seed = Number(process.env.FUZZ_SEED || 1);
+const runs = Number(process.env.FUZZ_RUNS || 3);
+const steps = Number(process.env.FUZZ_STEPS || 24);
+
+contract('BPool', async (accounts) => {
+    const account = accounts[0];
+
+    describe('Differential fuzzing against PoolSimulator', () => {
+        it('generates the same sequence for the same seed', () => {
+            const a = fuzz.generateSequence(fuzz.createRandom(seed), { length: steps });
+            const b = fuzz.generateSequence(fuzz.createRandom(seed), { length: steps });
+            assert.deepEqual(a, b);
+        });
+
+        it('shrinks to a minimal failing sequence', async () => {
+            const sequence = ['bind', 'bind', 'finalize', 'joinPool', 'swapExactAmountIn', 'exitPool']
+                .map((method) => ({ method, args: [] }));
+            const fails = async (candidate) => {
+                const methods = candidate.map(({ method }) => method);
+                return methods.includes('finalize') && methods.includes('swapExactAmountIn');
+            };
+            const shrunk = await fuzz.shrink(sequence, fails);
+            assert.deepEqual(shrunk.map(({ method }) => method), ['finalize', 'swapExactAmountIn']);
+        });
+
+        for (let run = 0; run < runs; run += 1) {
+            it(`agrees with BPool on random sequence ${run} (seed ${seed})`, async () => {
+                const random = fuzz.createRandom(seed + run);
+                const sequence = fuzz.generateSequence(random, { length: steps });
+
+                const failure = await fuzz.runSequence(artifacts, account, sequence);
+                if (failure === null) return;
+
+                const fails = async (candidate) => (await fuzz.runSequence(artifacts, account, candidate)) !== null;
+                const shrunk = await fuzz.shrink(sequence.slice(0, failure.step + 1), fails);
+                const repro = fuzz.formatRepro(shrunk, `fuzz repro (seed ${seed + run})`);
+                assert.fail(`${failure.message}\n\nMinimal repro:\n\n${repro}`);
+            });
+        }
+    });
+});
@@ -0,0 +1,36 @@
+const { compareGas, formatGasReport } = require('../lib/gas');
+
+contract('BPool', async () => {
+    const baseline = {
+        bind: { 2: 100000, 3: 120000 },
+        finalize: { 2: 50000, 3: 50000 },
+    };
+
+    describe('Gas baseline', () => {
+        it('flags growth beyond the threshold only', async () => {
+            const measured = {
+                bind: { 2: 100999, 3: 121800 },
+                finalize: { 2: 40000, 3: 50000 },
+                gulp: { 2: 30000 },
+            };
+            const rows = compareGas(baseline, measured, 1);
+            assert.deepEqual(rows.map((r) => `${r.entry}/${r.tokens}:${r.regressed}`), [
+                'bind/2:false', 'bind/3:true', 'finalize/2:false', 'finalize/3:false', 'gulp/2:false',
+            ]);
+            assert.closeTo(rows[1].change, 0.015, 1e-12);
+            assert.equal(rows[2].change, -0.2);
+            assert.isNull(rows[4].baseline, 'new entry points never regress');
+            assert.isNull(rows[4].change);
+            assert.isFalse(compareGas(null, measured, 1).some((r) => r.regressed));
+        });
+
+        it('tabulates entry points by token count', async () => {
+            const rows = compareGas(baseline, { bind: { 2: 110000, 3: 120000 }, gulp: { 3: 30000 } }, 1);
+            assert.deepEqual(formatGasReport(rows).split('\n'), [
+                'entry point        2 tokens  3 tokens',
+                'bind         110000 +10.00%    120000',
+                'gulp                            30000',
+            ]);
+        });
+    });
+});
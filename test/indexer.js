@@ -0,0 +1,207 @@
+const { Factory } = require('../lib/client');
+const { Indexer, MemoryStore, SqliteStore } = require('../lib/indexer');
+
+const TToken = artifacts.require('TToken');
+
+function loadsSqlite() {
+    try {
+        require.resolve('sqlite3');
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei, toHex } = web3.utils;
+
+    let factory; // client Factory
+    let pool; // client Pool
+    let fromBlock;
+    let WETH; let DAI; let MKR; // addresses
+    let weth;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    const rpc = (method, params = []) => new Promise((resolve, reject) => web3.currentProvider.send(
+        {
+            jsonrpc: '2.0', method, params, id: Date.now(),
+        },
+        (err, res) => (err || res.error ? reject(err || res.error) : resolve(res.result)),
+    ));
+    // Sends without waiting for the transaction to be mined
+    const queue = (from, to, data) => rpc('eth_sendTransaction', [{
+        from, to, data, gas: toHex(1000000),
+    }]);
+
+    function assertMatches(state, snapshot) {
+        assert.deepEqual(state.tokens, snapshot.tokens);
+        snapshot.tokens.forEach((t) => {
+            assert.equal(state.balances[t], snapshot.records[t].balance.toString());
+            assert.equal(state.denorms[t], snapshot.records[t].denorm.toString());
+            assert.equal(state.totalReserves[t] || '0', snapshot.totalReserves[t].toString());
+        });
+        assert.equal(state.swapFee, snapshot.swapFee.toString());
+        assert.equal(state.reservesRatio, snapshot.reservesRatio.toString());
+        assert.equal(state.finalized, snapshot.finalized);
+        assert.equal(state.publicSwap, snapshot.publicSwap);
+    }
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+        fromBlock = await web3.eth.getBlockNumber();
+
+        weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        const mkr = await TToken.new('Maker', 'MKR', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        MKR = mkr.address;
+
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+        await mkr.mint(admin, toWei('100'));
+        await weth.mint(user1, toWei('100'));
+        await dai.mint(user1, toWei('100000'));
+
+        pool = await factory.newPool();
+        await pool.approve(WETH);
+        await pool.approve(DAI);
+        await pool.approve(MKR);
+        await pool.approve(WETH, undefined, { from: user1 });
+        await pool.approve(DAI, undefined, { from: user1 });
+
+        await pool.bind(MKR, '10', '5');
+        await pool.bind(WETH, '10', '10');
+        await pool.bind(DAI, '4000', '30');
+        await pool.rebind(WETH, '20', '12');
+        await pool.unbind(MKR);
+        await pool.setSwapFee('0.003');
+        await pool.setReservesRatio('0.5');
+        await pool.finalize();
+
+        await pool.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+        await pool.swapExactAmountOut(DAI, '1000000', WETH, '0.5', '1000000', { from: user1 });
+        await pool.joinPool('10', undefined, { from: user1 });
+        await pool.joinswapExternAmountIn(DAI, '100', '0', { from: user1 });
+        await pool.exitswapPoolAmountIn(WETH, '1', '0', { from: user1 });
+        await pool.exitPool('5', undefined, { from: user1 });
+    });
+
+    describe('Indexer', () => {
+        it('decodes LOG_CALL calldata by selector', async () => {
+            const indexer = await Indexer.deployed(artifacts, { fromBlock });
+            await indexer.sync();
+
+            const calls = await indexer.store.getEvents({ pool: pool.address, event: 'LOG_CALL' });
+            const binds = calls.filter(({ args }) => args.name === 'bind');
+            // bind calls rebind internally, which logs the same calldata again
+            assert.equal(binds.length, 6);
+            assert.equal(binds[0].args.caller, admin);
+            assert.deepEqual(binds[0].args.params, { token: MKR, balance: toWei('10'), denorm: toWei('5') });
+
+            const [setSwapFee] = calls.filter(({ args }) => args.name === 'setSwapFee');
+            assert.deepEqual(setSwapFee.args.params, { swapFee: toWei('0.003') });
+
+            const [swap] = await indexer.store.getEvents({ pool: pool.address, event: 'LOG_SWAP' });
+            assert.equal(swap.args.caller, user1);
+            assert.equal(swap.args.tokenIn, WETH);
+            assert.equal(swap.args.tokenAmountIn, toWei('1'));
+        });
+
+        it('rebuilds the pool state timeline', async () => {
+            const indexer = await Indexer.deployed(artifacts, { store: new MemoryStore(), fromBlock });
+            await indexer.sync();
+
+            const timeline = await indexer.store.getTimeline(pool.address);
+            const unbind = timeline.find(({ event }) => event === 'unbind');
+            assertMatches(unbind.state, await pool.getPoolState(unbind.blockNumber));
+            assert.deepEqual(unbind.state.tokens, [DAI, WETH]);
+
+            const { state, blockNumber } = timeline[timeline.length - 1];
+            assertMatches(state, await pool.getPoolState(blockNumber));
+            assert.equal(state.controller, admin);
+        });
+
+        it('skips logs it has indexed before', async () => {
+            const indexer = await Indexer.deployed(artifacts, { fromBlock });
+            const cursor = await indexer.sync();
+            const events = await indexer.store.getEvents();
+            const timeline = await indexer.store.getTimeline(pool.address);
+
+            await indexer.syncRange(fromBlock, cursor);
+            assert.deepEqual(await indexer.store.getEvents(), events);
+            assert.deepEqual(await indexer.store.getTimeline(pool.address), timeline);
+            assert.isFalse(await indexer.store.addEvent(events[0]));
+        });
+
+        it('follows gulp and reserve draining incrementally', async () => {
+            const indexer = await Indexer.deployed(artifacts, { fromBlock, batchSize: 5 });
+            const cursor = await indexer.sync();
+            const events = (await indexer.store.getEvents()).length;
+
+            await weth.transfer(pool.address, toWei('1'));
+            await pool.gulp(WETH);
+            await factory.collectTokenReserves(pool);
+            await pool.swapExactAmountIn(DAI, '50', WETH, '0', '1000000', { from: user1 });
+
+            assert.isAbove(await indexer.sync(), cursor);
+            assert.isAbove((await indexer.store.getEvents()).length, events);
+            const latest = await indexer.store.getStateAt(pool.address);
+            assertMatches(latest.state, await pool.getPoolState());
+
+            const drains = (await indexer.store.getTimeline(pool.address))
+                .filter(({ event }) => event === 'LOG_DRAIN_RESERVES');
+            assert.lengthOf(drains, 2);
+            assert.deepEqual(drains[1].state.totalReserves, { [WETH]: '0', [DAI]: '0' });
+        });
+
+        it('reads a gulp as of its place in its block', async () => {
+            const indexer = await Indexer.deployed(artifacts, { fromBlock });
+            await indexer.sync();
+
+            // A transfer, the gulp and a later swap of the same token, mined in one block in nonce order
+            await rpc('miner_stop');
+            const { methods } = pool.contract.contract;
+            const hashes = [
+                await queue(admin, WETH, weth.contract.methods.transfer(pool.address, toWei('1')).encodeABI()),
+                await queue(admin, pool.address, methods.gulp(WETH).encodeABI()),
+                await queue(admin, pool.address, methods.swapExactAmountIn(WETH, toWei('1'), DAI, '0', MAX)
+                    .encodeABI()),
+            ];
+            await rpc('miner_start');
+            const receipts = await Promise.all(hashes.map((hash) => web3.eth.getTransactionReceipt(hash)));
+            assert.deepEqual(receipts.map((r) => r.status), [true, true, true]);
+            assert.equal(new Set(receipts.map((r) => r.blockNumber)).size, 1);
+
+            await indexer.sync();
+            const latest = await indexer.store.getStateAt(pool.address);
+            assertMatches(latest.state, await pool.getPoolState());
+        });
+
+        it('stores the same history in SQLite', async function sqlite() {
+            if (!loadsSqlite()) this.skip();
+            const store = await SqliteStore.open(':memory:');
+            const indexer = await Indexer.deployed(artifacts, { store, fromBlock });
+            const memory = await Indexer.deployed(artifacts, { fromBlock });
+            await indexer.sync();
+            await memory.sync(await store.getCursor());
+
+            assert.deepEqual(await store.getPools(), await memory.store.getPools());
+            const filter = { pool: pool.address };
+            assert.deepEqual(await store.getEvents(filter), await memory.store.getEvents(filter));
+            assert.deepEqual(await store.getTimeline(pool.address), await memory.store.getTimeline(pool.address));
+
+            const first = (await store.getTimeline(pool.address))[0];
+            assert.deepEqual(await store.getStateAt(pool.address, first.blockNumber), first);
+
+            const timeline = await store.getTimeline(pool.address);
+            await indexer.syncRange(fromBlock, await store.getCursor());
+            assert.deepEqual(await store.getTimeline(pool.address), timeline);
+            assert.isFalse(await store.addEvent((await store.getEvents(filter))[0]));
+            await store.close();
+        });
+    });
+});
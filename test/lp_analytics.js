@@ -0,0 +1,94 @@
+const Decimal = require('decimal.js');
+const { Factory } = require('../lib/client');
+const { fromPoolState, impermanentLoss, analyzePosition } = require('../lib/lp_analytics');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei, fromWei } = web3.utils;
+
+    const near = (actual, expected, tolerance, message) => assert.isTrue(
+        Decimal(actual).sub(expected).abs().lte(tolerance),
+        `${message || 'value'}: expected ${expected}, got ${actual}`,
+    );
+
+    // 80/20 WETH/DAI with WETH at 400 DAI, priced in DAI
+    const pool = {
+        balances: ['50', '5000'],
+        weights: ['40', '10'],
+        totalSupply: '100',
+        swapFee: '0.003',
+        reservesRatio: '0.2',
+    };
+
+    describe('LP analytics', () => {
+        it('computes impermanent loss in closed form', async () => {
+            const fiftyFifty = Decimal(2).sqrt().mul(2).div(3);
+            near(impermanentLoss([1, 1], [1, 1], [2, 1]), fiftyFifty.sub(1), '1e-15');
+            near(impermanentLoss([40, 10], [1, 1], [2, 1]), Decimal(2).pow('0.8').div('1.8').sub(1), '1e-15');
+            assert.equal(impermanentLoss([1, 2, 3], [5, 7, 11], [5, 7, 11]).toString(), '0');
+            // only relative moves count
+            const relative = impermanentLoss([1, 2, 3], [2, 2, 2], [4, 6, 8]);
+            near(impermanentLoss([1, 2, 3], [1, 1, 1], [2, 3, 4]), relative, '1e-15');
+        });
+
+        it('matches the closed form for an almost free pool', async () => {
+            const cheap = {
+                ...pool, balances: ['10', '20', '30'], weights: ['1', '1', '2'], swapFee: '0.000001',
+            };
+            const path = [[3, 1, 0.5], [6, 1, 0.5], [6, 2, 0.25], [3, 1, 0.5]];
+            const { points } = analyzePosition(cheap, { poolAmount: '25' }, path);
+            points.forEach((point) => near(point.return, point.impermanentLoss, '1e-5', 'return'));
+            assert.isTrue(points[2].impermanentLoss.lt(-0.05));
+            near(points[3].impermanentLoss, 0, '1e-15');
+        });
+
+        it('adds fee income and accounts for reserves and exit fees', async () => {
+            const path = [[400, 1], [600, 1], [300, 1], [400, 1]];
+            const { share, entered, points } = analyzePosition(pool, { share: '0.1' }, path);
+            assert.equal(share.toString(), '0.1');
+            assert.deepEqual(entered.map(String), ['5', '500']);
+            assert.equal(points[0].return.toString(), '0');
+            assert.equal(points[0].trades, 0);
+
+            const last = points[3];
+            assert.isTrue(last.trades > 0);
+            assert.isTrue(last.feeIncome.gt(0));
+            near(last.protocolFees, last.feeIncome.div(4), '1e-12', 'a fifth of every fee goes to reserves');
+            near(last.impermanentLoss, 0, '1e-15');
+            assert.isTrue(last.return.gt(0), 'back at entry prices the fees are a gain');
+            near(last.value.sub(last.hodl), last.feeIncome, last.feeIncome.div(5), 'the gain is the fee income');
+
+            const withExitFee = analyzePosition(pool, { share: '0.1' }, path, { exitFee: '0.01' });
+            assert.equal(withExitFee.points[0].return.toString(), '-0.01');
+            assert.deepEqual(withExitFee.points[0].holdings.map(String), ['4.95', '495']);
+
+            assert.throws(() => analyzePosition(pool, { share: '2' }, path), 'at most 1');
+            assert.throws(() => analyzePosition(pool, { share: '0.1' }, [[1, 2, 3]]), 'ERR_ARRAY_LENGTH');
+        });
+
+        it('reads positions from the chain', async () => {
+            const factory = await Factory.deployed(artifacts);
+            const bpool = await factory.newPool();
+            const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+            const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+            await weth.mint(admin, toWei('50'));
+            await dai.mint(admin, toWei('5000'));
+            await bpool.approve(weth.address);
+            await bpool.approve(dai.address);
+            await bpool.bind(weth.address, '50', '40');
+            await bpool.bind(dai.address, '5000', '10');
+            await bpool.finalize();
+
+            const state = fromPoolState(await bpool.getPoolState());
+            assert.deepEqual(state.weights.map(String), ['40', '10']);
+            const poolAmount = fromWei(await bpool.contract.balanceOf(admin));
+            const { points } = analyzePosition(state, { poolAmount: Decimal(poolAmount).div(4) }, [[400, 1]]);
+
+            await bpool.exitPool(Decimal(poolAmount).div(4).toString());
+            const received = await Promise.all([weth, dai].map(async (t) => fromWei(await t.balanceOf(admin))));
+            assert.deepEqual(points[0].holdings.map(String), received);
+        });
+    });
+});
@@ -3,6 +3,8 @@ const truffleAssert = require('truffle-assertions');
 const {
     calcRelativeDiff, calcSingleInGivenPoolOut, calcReserves,
 } = require('../lib/calc_comparisons');
+const bmath = require('../lib/bmath');
+const { badd, bsub } = require('../lib/bnum');
 
 const BPool = artifacts.require('BPool');
 const BFactory = artifacts.require('BFactory');
@@ -44,6 +46,28 @@ contract('BPool', async (accounts) => {
     const wethNorm = Decimal(wethDenorm).div(Decimal(sumWeights));
     const daiNorm = Decimal(daiDenorm).div(Decimal(sumWeights));
 
+    // Raw on-chain state for the wei-exact `lib/bmath` predictions
+    async function getWeiState() {
+        return {
+            [WETH]: { balance: await pool.getBalance(WETH), denorm: await pool.getDenormalizedWeight(WETH) },
+            [DAI]: { balance: await pool.getBalance(DAI), denorm: await pool.getDenormalizedWeight(DAI) },
+            poolSupply: await pool.totalSupply(),
+            totalWeight: await pool.getTotalDenormalizedWeight(),
+            swapFee: await pool.getSwapFee(),
+            reservesRatio: await pool.getReservesRatio(),
+        };
+    }
+
+    function assertExact(name, expected, actual) {
+        if (verbose) {
+            console.log(`${name} (wei)`);
+            console.log(`expected: ${expected})`);
+            console.log(`actual  : ${actual})`);
+        }
+
+        assert.equal(actual.toString(), expected.toString());
+    }
+
     async function logAndAssertCurrentBalances() {
         let expected = currentPoolBalance;
         let actual = await pool.totalSupply();
@@ -121,10 +145,31 @@ contract('BPool', async (accounts) => {
             const minAmountOut = toWei('0');
             const maxPrice = MAX;
 
+            const state = await getWeiState();
             const output = await pool.swapExactAmountIn.call(
                 tokenIn, tokenInAmount, tokenOut, minAmountOut, maxPrice,
             );
 
+            const [exactAmountOut, exactInFee] = bmath.calcOutGivenIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state[DAI].balance,
+                state[DAI].denorm,
+                tokenInAmount,
+                state.swapFee,
+            );
+            assertExact('tokenAmountOut', exactAmountOut, output.tokenAmountOut);
+
+            const exactReserves = bmath.calcReservesFromFee(exactInFee, state.reservesRatio);
+            const exactSpotPriceAfter = bmath.calcSpotPrice(
+                bsub(badd(state[WETH].balance, tokenInAmount), exactReserves),
+                state[WETH].denorm,
+                bsub(state[DAI].balance, exactAmountOut),
+                state[DAI].denorm,
+                state.swapFee,
+            );
+            assertExact('spotPriceAfter', exactSpotPriceAfter, output.spotPriceAfter);
+
             // Checking outputs
             let expected = Decimal('8.23390841016124456');
             let actual = Decimal(fromWei(output.tokenAmountOut));
@@ -159,10 +204,31 @@ contract('BPool', async (accounts) => {
             const tokenAmountOut = toWei('333.333333333333333333');
             const maxPrice = MAX;
 
+            const state = await getWeiState();
             const output = await pool.swapExactAmountOut.call(
                 tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice,
             );
 
+            const [exactAmountIn, exactInFee] = bmath.calcInGivenOut(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state[DAI].balance,
+                state[DAI].denorm,
+                tokenAmountOut,
+                state.swapFee,
+            );
+            assertExact('tokenAmountIn', exactAmountIn, output.tokenAmountIn);
+
+            const exactReserves = bmath.calcReservesFromFee(exactInFee, state.reservesRatio);
+            const exactSpotPriceAfter = bmath.calcSpotPrice(
+                bsub(badd(state[WETH].balance, exactAmountIn), exactReserves),
+                state[WETH].denorm,
+                bsub(state[DAI].balance, tokenAmountOut),
+                state[DAI].denorm,
+                state.swapFee,
+            );
+            assertExact('spotPriceAfter', exactSpotPriceAfter, output.spotPriceAfter);
+
             // Checking outputs
             let expected = Decimal('425506505648.348073');
             let actual = Decimal(fromWei(output.tokenAmountIn));
@@ -244,7 +310,25 @@ contract('BPool', async (accounts) => {
             // increase tbalance by 1.1 after swap fee
             const tokenAmountInAfterFee = currentWethBalance * (tokenRatio - 1);
             const tokenAmountIn = (1 / (1 - swapFee * (1 - wethNorm))) * tokenAmountInAfterFee;
-            await pool.joinswapExternAmountIn(WETH, toWei(String(tokenAmountIn)), toWei('0'));
+            const state = await getWeiState();
+            const txr = await pool.joinswapExternAmountIn(WETH, toWei(String(tokenAmountIn)), toWei('0'));
+
+            const [exactPoolAmountOut, exactReserves] = bmath.calcPoolOutGivenSingleIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(tokenAmountIn)),
+                state.swapFee,
+                state.reservesRatio,
+            );
+            assertExact('poolAmountOut', exactPoolAmountOut, bsub(await pool.totalSupply(), state.poolSupply));
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_JOIN',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
+
             const reserves = calcReserves(tokenAmountIn, tokenAmountInAfterFee, reservesRatio);
             // Update balance states
             previousWethBalance = currentWethBalance;
@@ -260,7 +344,32 @@ contract('BPool', async (accounts) => {
             // Call function
             const poolRatio = 1.1;
             const poolAmountOut = currentPoolBalance * (poolRatio - 1);
-            await pool.joinswapPoolAmountOut(DAI, toWei(String(poolAmountOut)), MAX);
+            const state = await getWeiState();
+            const txr = await pool.joinswapPoolAmountOut(DAI, toWei(String(poolAmountOut)), MAX);
+
+            const exactAmountIn = bmath.calcSingleInGivenPoolOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(poolAmountOut)),
+                state.swapFee,
+            );
+            const exactAmountInZeroFee = bmath.calcSingleInGivenPoolOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(poolAmountOut)),
+                0,
+            );
+            const exactReserves = bmath.calcReserves(exactAmountIn, exactAmountInZeroFee, state.reservesRatio);
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_JOIN',
+                (event) => event.tokenAmountIn.toString() === exactAmountIn.toString()
+                    && event.reservesAmount.toString() === exactReserves.toString(),
+            );
             // Update balance states
             previousPoolBalance = currentPoolBalance;
             currentPoolBalance = currentPoolBalance.mul(Decimal(poolRatio)); // increase by 1.1
@@ -332,7 +441,24 @@ contract('BPool', async (accounts) => {
             const tokenAmountOutBeforeSwapFee = currentDaiBalance * (1 - tokenRatioBeforeSwapFee);
             const tokenAmountOut = tokenAmountOutBeforeSwapFee * (1 - swapFee * (1 - daiNorm));
             const reserves = calcReserves(tokenAmountOutBeforeSwapFee, tokenAmountOut, reservesRatio);
-            await pool.exitswapExternAmountOut(DAI, toWei(String(tokenAmountOut)), MAX);
+            const state = await getWeiState();
+            const txr = await pool.exitswapExternAmountOut(DAI, toWei(String(tokenAmountOut)), MAX);
+
+            const [exactPoolAmountIn, exactReserves] = bmath.calcPoolInGivenSingleOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(tokenAmountOut)),
+                state.swapFee,
+                state.reservesRatio,
+            );
+            assertExact('poolAmountIn', exactPoolAmountIn, bsub(state.poolSupply, await pool.totalSupply()));
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_EXIT',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
             // Update balance states
             previousDaiBalance = currentDaiBalance;
             currentDaiBalance = currentDaiBalance.sub(Decimal(tokenAmountOut)).sub(reserves);
@@ -0,0 +1,94 @@
+const Decimal = require('decimal.js');
+const {
+    calcRelativeDiff,
+    calcPoolInGivenSingleOut,
+} = require('../lib/calc_comparisons');
+
+const TMath = artifacts.require('TMath');
+const errorDelta = 10 ** -8;
+const verbose = process.env.VERBOSE;
+
+contract('TMath', async () => {
+    const { toWei } = web3.utils;
+    const { fromWei } = web3.utils;
+
+    const tokenBalanceOut = '1000';
+    const poolSupply = '100';
+    const reservesRatio = '0.2';
+
+    let tmath;
+    let exitFee;
+    let swapFees;
+    let weights;
+    let tokenOutRatios;
+
+    before(async () => {
+        tmath = await TMath.deployed();
+
+        const minFee = fromWei(await tmath.MIN_FEE());
+        const maxFee = fromWei(await tmath.MAX_FEE());
+        const minWeight = fromWei(await tmath.MIN_WEIGHT());
+        const maxTotalWeight = fromWei(await tmath.MAX_TOTAL_WEIGHT());
+        const maxOutRatio = fromWei(await tmath.MAX_OUT_RATIO());
+        exitFee = fromWei(await tmath.EXIT_FEE());
+
+        swapFees = [minFee, '0.001', '0.003', maxFee];
+        // [tokenWeightOut, totalWeight] from the lightest to the heaviest token
+        weights = [
+            [minWeight, maxTotalWeight],
+            [minWeight, Decimal(minWeight).mul(2).toString()],
+            ['10', '40'],
+            ['25', maxTotalWeight],
+            [Decimal(maxTotalWeight).sub(minWeight).toString(), maxTotalWeight],
+        ];
+        tokenOutRatios = ['0.1', '0.25', Decimal(maxOutRatio).toFixed(18, Decimal.ROUND_DOWN)];
+    });
+
+    describe('calcPoolInGivenSingleOut', () => {
+        it('matches BMath across fees, weights and amounts', async () => {
+            const cases = [];
+            swapFees.forEach((swapFee) => weights.forEach(([tokenWeightOut, totalWeight]) => {
+                tokenOutRatios.forEach((ratio) => cases.push({
+                    swapFee, tokenWeightOut, totalWeight, ratio,
+                }));
+            }));
+
+            await Promise.all(cases.map(async ({
+                swapFee, tokenWeightOut, totalWeight, ratio,
+            }) => {
+                const tokenAmountOut = Decimal(tokenBalanceOut).mul(ratio).toString();
+
+                const output = await tmath.calcPoolInGivenSingleOut(
+                    toWei(tokenBalanceOut),
+                    toWei(tokenWeightOut),
+                    toWei(poolSupply),
+                    toWei(totalWeight),
+                    toWei(tokenAmountOut),
+                    toWei(swapFee),
+                    toWei(reservesRatio),
+                );
+
+                const expected = calcPoolInGivenSingleOut(
+                    tokenBalanceOut,
+                    tokenWeightOut,
+                    poolSupply,
+                    totalWeight,
+                    tokenAmountOut,
+                    swapFee,
+                    exitFee,
+                );
+                const actual = fromWei(output.poolAmountIn);
+                const relDif = calcRelativeDiff(expected, actual);
+
+                if (verbose) {
+                    console.log(`pAi ${swapFee} ${tokenWeightOut}/${totalWeight} ${tokenAmountOut}`);
+                    console.log(`expected: ${expected})`);
+                    console.log(`actual  : ${actual})`);
+                    console.log(`relDif  : ${relDif})`);
+                }
+
+                assert.isAtMost(relDif.toNumber(), errorDelta);
+            }));
+        });
+    });
+});
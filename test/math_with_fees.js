@@ -1,4 +1,5 @@
 const Decimal = require('decimal.js');
+const truffleAssert = require('truffle-assertions');
 const {
     calcSpotPrice,
     calcOutGivenIn,
@@ -6,8 +7,13 @@ const {
     calcRelativeDiff,
     calcSingleInGivenPoolOut,
     calcSingleOutGivenPoolIn,
+    calcPoolInGivenSingleOut,
     calcReserves,
 } = require('../lib/calc_comparisons');
+const bmath = require('../lib/bmath');
+const {
+    badd, bsub, bmul, bdiv,
+} = require('../lib/bnum');
 
 const BPool = artifacts.require('BPool');
 const BFactory = artifacts.require('BFactory');
@@ -50,6 +56,28 @@ contract('BPool', async (accounts) => {
     const wethNorm = Decimal(wethDenorm).div(Decimal(sumWeights));
     const daiNorm = Decimal(daiDenorm).div(Decimal(sumWeights));
 
+    // Raw on-chain state for the wei-exact `lib/bmath` predictions
+    async function getWeiState() {
+        return {
+            [WETH]: { balance: await pool.getBalance(WETH), denorm: await pool.getDenormalizedWeight(WETH) },
+            [DAI]: { balance: await pool.getBalance(DAI), denorm: await pool.getDenormalizedWeight(DAI) },
+            poolSupply: await pool.totalSupply(),
+            totalWeight: await pool.getTotalDenormalizedWeight(),
+            swapFee: await pool.getSwapFee(),
+            reservesRatio: await pool.getReservesRatio(),
+        };
+    }
+
+    function assertExact(name, expected, actual) {
+        if (verbose) {
+            console.log(`${name} (wei)`);
+            console.log(`expected: ${expected})`);
+            console.log(`actual  : ${actual})`);
+        }
+
+        assert.equal(actual.toString(), expected.toString());
+    }
+
     async function logAndAssertCurrentBalances() {
         let expected = currentPoolBalance;
         let actual = await pool.totalSupply();
@@ -126,6 +154,7 @@ contract('BPool', async (accounts) => {
             const minAmountOut = '0';
             const maxPrice = MAX;
 
+            const state = await getWeiState();
             const output = await pool.swapExactAmountIn.call(
                 tokenIn,
                 toWei(tokenAmountIn),
@@ -176,6 +205,26 @@ contract('BPool', async (accounts) => {
             }
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
+
+            const [exactAmountOut, exactInFee] = bmath.calcOutGivenIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state[DAI].balance,
+                state[DAI].denorm,
+                toWei(tokenAmountIn),
+                state.swapFee,
+            );
+            assertExact('tokenAmountOut', exactAmountOut, output[0]);
+
+            const exactReserves = bmath.calcReservesFromFee(exactInFee, state.reservesRatio);
+            const exactSpotPriceAfter = bmath.calcSpotPrice(
+                bsub(badd(state[WETH].balance, toWei(tokenAmountIn)), exactReserves),
+                state[WETH].denorm,
+                bsub(state[DAI].balance, exactAmountOut),
+                state[DAI].denorm,
+                state.swapFee,
+            );
+            assertExact('spotPriceAfter', exactSpotPriceAfter, output[1]);
         });
 
         it('swapExactAmountOut', async () => {
@@ -185,6 +234,7 @@ contract('BPool', async (accounts) => {
             const tokenAmountOut = '1';
             const maxPrice = MAX;
 
+            const state = await getWeiState();
             const output = await pool.swapExactAmountOut.call(
                 tokenIn,
                 maxAmountIn,
@@ -236,6 +286,26 @@ contract('BPool', async (accounts) => {
             }
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
+
+            const [exactAmountIn, exactInFee] = bmath.calcInGivenOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state[WETH].balance,
+                state[WETH].denorm,
+                toWei(tokenAmountOut),
+                state.swapFee,
+            );
+            assertExact('tokenAmountIn', exactAmountIn, output[0]);
+
+            const exactReserves = bmath.calcReservesFromFee(exactInFee, state.reservesRatio);
+            const exactSpotPriceAfter = bmath.calcSpotPrice(
+                bsub(badd(state[DAI].balance, exactAmountIn), exactReserves),
+                state[DAI].denorm,
+                bsub(state[WETH].balance, toWei(tokenAmountOut)),
+                state[WETH].denorm,
+                state.swapFee,
+            );
+            assertExact('spotPriceAfter', exactSpotPriceAfter, output[1]);
         });
 
         it('joinPool', async () => {
@@ -244,8 +314,21 @@ contract('BPool', async (accounts) => {
 
             // Call function
             const pAo = '1';
+            const state = await getWeiState();
             await pool.joinPool(toWei(pAo), [MAX, MAX]);
 
+            const ratio = bdiv(toWei(pAo), state.poolSupply);
+            assertExact(
+                'WETH balance',
+                badd(state[WETH].balance, bmul(ratio, state[WETH].balance)),
+                await pool.getBalance(WETH),
+            );
+            assertExact(
+                'DAI balance',
+                badd(state[DAI].balance, bmul(ratio, state[DAI].balance)),
+                await pool.getBalance(DAI),
+            );
+
             // Update balance states
             previousPoolBalance = Decimal(currentPoolBalance);
             currentPoolBalance = Decimal(currentPoolBalance).plus(Decimal(pAo));
@@ -267,8 +350,22 @@ contract('BPool', async (accounts) => {
             const pAi = 1 / (1 - exitFee);
             const pAiAfterExitFee = pAi * (1 - exitFee);
 
+            const state = await getWeiState();
             await pool.exitPool(toWei(String(pAi)), [toWei('0'), toWei('0')]);
 
+            const exactExitFee = bmul(toWei(String(pAi)), await pool.EXIT_FEE());
+            const ratio = bdiv(bsub(toWei(String(pAi)), exactExitFee), state.poolSupply);
+            assertExact(
+                'WETH balance',
+                bsub(state[WETH].balance, bmul(ratio, state[WETH].balance)),
+                await pool.getBalance(WETH),
+            );
+            assertExact(
+                'DAI balance',
+                bsub(state[DAI].balance, bmul(ratio, state[DAI].balance)),
+                await pool.getBalance(DAI),
+            );
+
             // Update balance states
             previousPoolBalance = currentPoolBalance;
             currentPoolBalance = currentPoolBalance.sub(Decimal(pAiAfterExitFee));
@@ -291,10 +388,27 @@ contract('BPool', async (accounts) => {
             const tAiAfterFee = currentWethBalance * (poolRatio ** (1 / wethNorm) - 1);
             const tAi = (1 / (1 - swapFee * (1 - wethNorm))) * tAiAfterFee;
 
+            const state = await getWeiState();
             const pAo = await pool.joinswapExternAmountIn.call(WETH, toWei(String(tAi)), toWei('0'));
             const reserves = calcReserves(tAi, tAiAfterFee, reservesRatio);
             // Execute txn called above
-            await pool.joinswapExternAmountIn(WETH, toWei(String(tAi)), toWei('0'));
+            const txr = await pool.joinswapExternAmountIn(WETH, toWei(String(tAi)), toWei('0'));
+
+            const [exactPoolAmountOut, exactReserves] = bmath.calcPoolOutGivenSingleIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(tAi)),
+                state.swapFee,
+                state.reservesRatio,
+            );
+            assertExact('pAo', exactPoolAmountOut, pAo);
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_JOIN',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
 
             // Update balance states
             previousWethBalance = currentWethBalance;
@@ -334,7 +448,32 @@ contract('BPool', async (accounts) => {
                 pAo,
                 0,
             );
-            await pool.joinswapPoolAmountOut(DAI, toWei(String(pAo)), MAX);
+            const state = await getWeiState();
+            const txr = await pool.joinswapPoolAmountOut(DAI, toWei(String(pAo)), MAX);
+
+            const exactAmountIn = bmath.calcSingleInGivenPoolOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(pAo)),
+                state.swapFee,
+            );
+            const exactAmountInZeroFee = bmath.calcSingleInGivenPoolOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(pAo)),
+                0,
+            );
+            const exactReserves = bmath.calcReserves(exactAmountIn, exactAmountInZeroFee, state.reservesRatio);
+            assertExact('tAi', exactAmountIn, toWei(tAi.toFixed()));
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_JOIN',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
 
             const reserves = calcReserves(tAi, tAiZeroFee, reservesRatio);
             // Update balance states
@@ -381,7 +520,32 @@ contract('BPool', async (accounts) => {
                 exitFee,
             );
             const reserves = calcReserves(tAoZeroFee, tAo, reservesRatio);
-            await pool.exitswapPoolAmountIn(WETH, toWei(String(pAi)), toWei('0'));
+            const state = await getWeiState();
+            const txr = await pool.exitswapPoolAmountIn(WETH, toWei(String(pAi)), toWei('0'));
+
+            const exactAmountOut = bmath.calcSingleOutGivenPoolIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(pAi)),
+                state.swapFee,
+            );
+            const exactAmountOutZeroFee = bmath.calcSingleOutGivenPoolIn(
+                state[WETH].balance,
+                state[WETH].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(pAi)),
+                0,
+            );
+            const exactReserves = bmath.calcReserves(exactAmountOutZeroFee, exactAmountOut, state.reservesRatio);
+            assertExact('tAo', exactAmountOut, toWei(tAo.toFixed()));
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_EXIT',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
 
             // Update balance states
             previousPoolBalance = currentPoolBalance;
@@ -419,8 +583,34 @@ contract('BPool', async (accounts) => {
             const tAo = currentDaiBalance * (1 - tokenRatioBeforeSwapFee) * (1 - swapFee * (1 - daiNorm));
             const reserves = calcReserves(tAoBeforeSwapFee, tAo, reservesRatio);
 
+            const state = await getWeiState();
             const pAi = await pool.exitswapExternAmountOut.call(DAI, toWei(String(tAo)), MAX);
-            await pool.exitswapExternAmountOut(DAI, toWei(String(tAo)), MAX);
+            const pAiCalc = calcPoolInGivenSingleOut(
+                currentDaiBalance,
+                daiDenorm,
+                currentPoolBalance,
+                sumWeights,
+                tAo,
+                swapFee,
+                exitFee,
+            );
+            const txr = await pool.exitswapExternAmountOut(DAI, toWei(String(tAo)), MAX);
+
+            const [exactPoolAmountIn, exactReserves] = bmath.calcPoolInGivenSingleOut(
+                state[DAI].balance,
+                state[DAI].denorm,
+                state.poolSupply,
+                state.totalWeight,
+                toWei(String(tAo)),
+                state.swapFee,
+                state.reservesRatio,
+            );
+            assertExact('pAi', exactPoolAmountIn, pAi);
+            truffleAssert.eventEmitted(
+                txr,
+                'LOG_EXIT',
+                (event) => event.reservesAmount.toString() === exactReserves.toString(),
+            );
 
             // Update balance states
             previousDaiBalance = currentDaiBalance;
@@ -433,7 +623,7 @@ contract('BPool', async (accounts) => {
             // Notice the (1-exitFee) term since only pAi*(1-exitFee) is burned
             const expected = (previousPoolBalance.sub(currentPoolBalance)).div(Decimal(1).sub(Decimal(exitFee)));
             const actual = fromWei(pAi);
-            const relDif = calcRelativeDiff(expected, actual);
+            let relDif = calcRelativeDiff(expected, actual);
 
             if (verbose) {
                 console.log('pAi');
@@ -444,6 +634,18 @@ contract('BPool', async (accounts) => {
 
             assert.isAtMost(relDif.toNumber(), errorDelta);
 
+            // check pAi against calcPoolInGivenSingleOut
+            relDif = calcRelativeDiff(pAiCalc, actual);
+
+            if (verbose) {
+                console.log('pAi (calcPoolInGivenSingleOut)');
+                console.log(`expected: ${pAiCalc})`);
+                console.log(`actual  : ${actual})`);
+                console.log(`relDif  : ${relDif})`);
+            }
+
+            assert.isAtMost(relDif.toNumber(), errorDelta);
+
             // Print current balances after operation
             await logAndAssertCurrentBalances();
         });
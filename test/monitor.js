@@ -0,0 +1,160 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Factory } = require('../lib/client');
+const {
+    Monitor, CHECKS, ConsoleSink, JsonFileSink, WebhookSink,
+} = require('../lib/monitor');
+const { MAX_FEE } = require('../lib/bconst');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let pool; // client Pool
+    let WETH; let DAI; // addresses
+    // Collects what it is sent, like any sink would
+    function memorySink() {
+        const violations = [];
+        return { violations, send: async (violation) => violations.push(violation) };
+    }
+
+    // Polls `condition` every 50ms
+    async function until(condition, timeout = 20000) {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > timeout) throw new Error('timed out');
+            await new Promise((resolve) => setTimeout(resolve, 50)); // eslint-disable-line no-await-in-loop
+        }
+    }
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+        await weth.mint(user1, toWei('50'));
+        await dai.mint(user1, toWei('10000'));
+        await pool.approve(WETH);
+        await pool.approve(DAI);
+        await pool.approve(WETH, undefined, { from: user1 });
+        await pool.approve(DAI, undefined, { from: user1 });
+        await pool.bind(WETH, '50', '5');
+        await pool.bind(DAI, '20000', '5');
+        await pool.setSwapFee('0.003');
+        await pool.finalize();
+    });
+
+    describe('Health monitor', () => {
+        it('passes a pool through trading, joins, exits and gulps', async () => {
+            const sink = memorySink();
+            const monitor = new Monitor(artifacts, [pool], { sinks: [sink] });
+            assert.deepEqual(await monitor.check(), []);
+
+            await pool.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+            await pool.joinswapExternAmountIn(DAI, '500', '0', { from: user1 });
+            assert.deepEqual(await monitor.check(), []);
+            assert.deepEqual(await monitor.check(), [], 'no new block, nothing to do');
+
+            await pool.exitswapPoolAmountIn(WETH, '0.5', '0', { from: user1 });
+            const weth = await TToken.at(WETH);
+            await weth.transfer(pool.address, toWei('1'), { from: user1 });
+            await pool.gulp(WETH, { from: user1 });
+            assert.deepEqual(await monitor.check(), []);
+            assert.deepEqual(sink.violations, []);
+        });
+
+        it('flags each broken invariant', async () => {
+            const monitor = new Monitor(artifacts, [pool]);
+            const [state] = await monitor.readStates(await web3.eth.getBlockNumber());
+            const record = (token, changes) => ({ ...state.records, [token]: { ...state.records[token], ...changes } });
+            const swap = { event: 'LOG_SWAP', args: {} };
+            const call = (name) => ({ event: 'LOG_CALL', args: { name } });
+            const run = (check, next, events = [], previous = state) => CHECKS[check]({
+                state: next, previous, events,
+            });
+
+            Object.keys(CHECKS).forEach((check) => assert.deepEqual(run(check, state), [], check));
+
+            const short = { ...state, erc20Balances: { ...state.erc20Balances, [DAI]: state.records[DAI].balance } };
+            assert.match(run('balanceCoverage', short)[0], /is below getBalance/);
+            assert.match(run('weightSum', { ...state, totalWeight: state.totalWeight + BigInt(1) })[0], /add up to/);
+            assert.lengthOf(run('swapFeeRange', { ...state, swapFee: MAX_FEE + BigInt(1) }), 1);
+
+            const handedOver = { ...state, controller: user1 };
+            assert.match(run('controller', handedOver)[0], /without setController/);
+            assert.deepEqual(run('controller', handedOver, [call('setController')]), []);
+            assert.deepEqual(run('finalized', { ...state, finalized: false }), ['pool is no longer finalized']);
+            const unfinalized = { ...state, finalized: false };
+            assert.deepEqual(run('finalized', state, [], unfinalized), ['pool was finalized without finalize']);
+            assert.deepEqual(run('finalized', state, [call('finalize')], unfinalized), []);
+
+            const drained = { ...state, records: record(WETH, { balance: state.records[WETH].balance / BigInt(2) }) };
+            assert.lengthOf(run('spotPrice', drained), 2, 'both directions of the pair');
+            assert.deepEqual(run('spotPrice', drained, [swap]), []);
+            assert.deepEqual(run('spotPrice', drained, [call('gulp')]), []);
+            assert.lengthOf(run('spotPrice', drained, [call('setController')]), 2);
+        });
+
+        it('sends violations to every sink and survives failing ones', async () => {
+            const file = path.join(os.tmpdir(), `monitor-${Date.now()}.jsonl`);
+            const lines = [];
+            const errors = [];
+            // Local webhook receiver, answering 500 on /fail and 200 everywhere else
+            const received = [];
+            const stub = http.createServer((request, response) => {
+                let body = '';
+                request.on('data', (chunk) => { body += chunk; });
+                request.on('end', () => {
+                    received.push({ url: request.url, body: JSON.parse(body) });
+                    response.statusCode = request.url === '/fail' ? 500 : 200;
+                    response.end();
+                });
+            });
+            await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+            const { port } = stub.address();
+            const sink = memorySink();
+            // A custom check on top of the invariants: swaps of more than 5 WETH
+            const largeSwap = ({ events }) => events
+                .filter(({ event, args }) => event === 'LOG_SWAP' && args.tokenIn === WETH)
+                .filter(({ args }) => BigInt(args.tokenAmountIn) > BigInt(toWei('5')))
+                .map(({ args }) => `swap of ${args.tokenAmountIn} WETH`);
+            const monitor = new Monitor(artifacts, [pool], {
+                checks: { ...CHECKS, largeSwap },
+                sinks: [
+                    sink,
+                    new ConsoleSink((line) => lines.push(line)),
+                    new JsonFileSink(file),
+                    new WebhookSink(`http://127.0.0.1:${port}/alerts`),
+                    new WebhookSink(`http://127.0.0.1:${port}/fail`),
+                ],
+                pollInterval: 50,
+                onError: (err) => errors.push(err.message),
+            });
+            monitor.start();
+            await until(() => monitor.lastBlock !== null);
+            await pool.swapExactAmountIn(WETH, '6', DAI, '0', '1000000', { from: user1 });
+            await until(() => sink.violations.length > 0);
+            await monitor.stop();
+            await new Promise((resolve) => stub.close(resolve));
+
+            const [violation] = sink.violations;
+            assert.equal(violation.check, 'largeSwap');
+            assert.equal(violation.pool, pool.address);
+            assert.equal(violation.message, `swap of ${toWei('6')} WETH`);
+            assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8').trim()), violation);
+            assert.deepEqual(received.find(({ url }) => url === '/alerts').body, violation);
+            assert.equal(lines[0], `[block ${violation.blockNumber}] ${pool.address} largeSwap: ${violation.message}`);
+            assert.deepEqual(errors, [`webhook http://127.0.0.1:${port} answered 500`]);
+            fs.unlinkSync(file);
+        });
+    });
+});
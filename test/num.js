@@ -1,9 +1,12 @@
 const truffleAssert = require('truffle-assertions');
+const bnum = require('../lib/bnum');
+const { BONE, MAX_BPOW_BASE, BPOW_PRECISION } = require('../lib/bconst');
 
 const TMath = artifacts.require('TMath');
 
 contract('TMath', async () => {
     const MAX = web3.utils.toTwosComplement(-1);
+    const { toWei } = web3.utils;
 
     describe('BMath', () => {
         let tmath;
@@ -32,4 +35,126 @@ contract('TMath', async () => {
             await truffleAssert.reverts(tmath.calc_bpow(MAX, 2));
         });
     });
+
+    describe('lib/bnum', () => {
+        let tmath;
+        before(async () => {
+            tmath = await TMath.deployed();
+        });
+
+        const HALF = (BONE / BigInt(2)).toString();
+        const pairs = [
+            ['0', '0'],
+            ['1', '1'],
+            ['1', HALF],
+            ['3', HALF],
+            [toWei('1'), toWei('1')],
+            [toWei('0.333333333333333333'), toWei('3')],
+            [toWei('1.5'), '499999999999999999'],
+            [toWei('12345.678901234567890123'), toWei('0.000000000000000007')],
+            [toWei('123456789'), toWei('987654321.123456789')],
+            ['7', '2'],
+        ];
+
+        const powers = [
+            [toWei('0.05'), toWei('0.5')],
+            [toWei('0.01'), toWei('0.02')],
+            [toWei('0.5'), toWei('1.5')],
+            [toWei('0.999999999999999999'), toWei('49')],
+            [toWei('1'), toWei('3.3')],
+            [toWei('1.000000000000000001'), toWei('0.7')],
+            [toWei('1.3'), toWei('0.3333')],
+            [toWei('1.5'), toWei('2')],
+            [toWei('0.1'), toWei('0.7')],
+            [toWei('1.9'), toWei('3.25')],
+        ];
+
+        it('btoi and bfloor match', async () => {
+            const values = ['0', '1', toWei('1'), toWei('1.999999999999999999'), toWei('123.45')];
+            await Promise.all(values.map(async (value) => {
+                assert.equal(bnum.btoi(value).toString(), (await tmath.calc_btoi(value)).toString());
+                assert.equal(bnum.bfloor(value).toString(), (await tmath.calc_bfloor(value)).toString());
+            }));
+        });
+
+        it('badd, bsub and bsubSign match', async () => {
+            await Promise.all(pairs.map(async ([a, b]) => {
+                assert.equal(bnum.badd(a, b).toString(), (await tmath.calc_badd(a, b)).toString());
+                const [c, flag] = bnum.bsubSign(a, b);
+                const output = await tmath.calc_bsubSign(a, b);
+                assert.equal(c.toString(), output[0].toString());
+                assert.equal(flag, output[1]);
+            }));
+        });
+
+        it('bmul and bdiv round half up', async () => {
+            await Promise.all(pairs.map(async ([a, b]) => {
+                assert.equal(bnum.bmul(a, b).toString(), (await tmath.calc_bmul(a, b)).toString());
+                if (b !== '0') {
+                    assert.equal(bnum.bdiv(a, b).toString(), (await tmath.calc_bdiv(a, b)).toString());
+                }
+                if (a !== '0') {
+                    assert.equal(bnum.bdiv(b, a).toString(), (await tmath.calc_bdiv(b, a)).toString());
+                }
+            }));
+        });
+
+        it('bpowi matches', async () => {
+            const bases = [toWei('0.5'), toWei('1'), toWei('1.1'), toWei('1.999999999999999999')];
+            const exps = ['0', '1', '2', '7', '49'];
+            await Promise.all(bases.map((base) => Promise.all(exps.map(async (exp) => {
+                const expected = await tmath.calc_bpowi(base, exp);
+                assert.equal(bnum.bpowi(base, exp).toString(), expected.toString());
+            }))));
+        });
+
+        it('bpow and bpowApprox match', async () => {
+            await Promise.all(powers.map(async ([base, exp]) => {
+                assert.equal(bnum.bpow(base, exp).toString(), (await tmath.calc_bpow(base, exp)).toString());
+
+                const remain = bnum.bsub(exp, bnum.bfloor(exp)).toString();
+                const precision = BPOW_PRECISION.toString();
+                assert.equal(
+                    bnum.bpowApprox(base, remain, precision).toString(),
+                    (await tmath.calc_bpowApprox(base, remain, precision)).toString(),
+                );
+            }));
+        });
+
+        it('reverts where BNum reverts', async () => {
+            assert.throws(() => bnum.badd(1, MAX), 'ERR_ADD_OVERFLOW');
+            await truffleAssert.reverts(tmath.calc_badd(1, MAX), 'ERR_ADD_OVERFLOW');
+
+            assert.throws(() => bnum.bsub(1, 2), 'ERR_SUB_UNDERFLOW');
+            await truffleAssert.reverts(tmath.calc_bsub(1, 2), 'ERR_SUB_UNDERFLOW');
+
+            assert.throws(() => bnum.bmul(2, MAX), 'ERR_MUL_OVERFLOW');
+            await truffleAssert.reverts(tmath.calc_bmul(2, MAX), 'ERR_MUL_OVERFLOW');
+
+            assert.throws(() => bnum.bmul(1, MAX), 'ERR_MUL_OVERFLOW');
+            await truffleAssert.reverts(tmath.calc_bmul(1, MAX), 'ERR_MUL_OVERFLOW');
+
+            assert.throws(() => bnum.bdiv(1, 0), 'ERR_DIV_ZERO');
+            await truffleAssert.reverts(tmath.calc_bdiv(1, 0), 'ERR_DIV_ZERO');
+
+            assert.throws(() => bnum.bdiv(MAX, 1), 'ERR_DIV_INTERNAL');
+            await truffleAssert.reverts(tmath.calc_bdiv(MAX, 1), 'ERR_DIV_INTERNAL');
+
+            assert.throws(() => bnum.bpow(0, 2), 'ERR_BPOW_BASE_TOO_LOW');
+            await truffleAssert.reverts(tmath.calc_bpow(0, 2), 'ERR_BPOW_BASE_TOO_LOW');
+
+            const tooHigh = (MAX_BPOW_BASE + BigInt(1)).toString();
+            assert.throws(() => bnum.bpow(tooHigh, 2), 'ERR_BPOW_BASE_TOO_HIGH');
+            await truffleAssert.reverts(tmath.calc_bpow(tooHigh, 2), 'ERR_BPOW_BASE_TOO_HIGH');
+        });
+
+        it('attempt returns reverts and bisect finds the last fit', async () => {
+            assert.deepEqual(bnum.attempt(() => bnum.bdiv(1, 0)), { error: 'ERR_DIV_ZERO' });
+            assert.equal(bnum.attempt(() => bnum.badd(1, 2)), BigInt(3));
+            assert.throws(() => bnum.attempt(() => { throw new Error('bug'); }), 'bug');
+
+            const root = bnum.bisect(0, BONE, (x) => x * x <= BigInt(10) ** BigInt(30));
+            assert.equal(root.toString(), (BigInt(10) ** BigInt(15)).toString());
+        });
+    });
 });
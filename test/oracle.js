@@ -0,0 +1,207 @@
+const { Factory } = require('../lib/client');
+const { Indexer } = require('../lib/indexer');
+const PriceOracle = require('../lib/oracle');
+const { BONE } = require('../lib/bconst');
+const { bmul } = require('../lib/bnum');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let fromBlock;
+    let wethDai; let daiMkr; // client Pools
+    let WETH; let DAI; let MKR; // addresses
+    let polled; // PriceOracle polled after every block
+    const blocks = [];
+
+    const mine = () => new Promise((resolve, reject) => web3.currentProvider.send(
+        { jsonrpc: '2.0', method: 'evm_mine', id: Date.now() },
+        (err) => (err ? reject(err) : resolve()),
+    ));
+    const spotAt = async (pool, base, quote, block) => BigInt(
+        await pool.contract.getSpotPriceSansFee(quote, base, block),
+    );
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+        fromBlock = await web3.eth.getBlockNumber();
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        const mkr = await TToken.new('Maker', 'MKR', 18);
+        [WETH, DAI, MKR] = [weth, dai, mkr].map((t) => t.address);
+        await Promise.all([weth, dai, mkr].map((t) => t.mint(admin, toWei('100000'))));
+        await weth.mint(user1, toWei('10'));
+        await dai.mint(user1, toWei('10000'));
+
+        wethDai = await factory.newPool();
+        daiMkr = await factory.newPool();
+        await wethDai.approve(WETH);
+        await wethDai.approve(DAI);
+        await daiMkr.approve(DAI);
+        await daiMkr.approve(MKR);
+        await wethDai.approve(WETH, undefined, { from: user1 });
+        await wethDai.approve(DAI, undefined, { from: user1 });
+        await wethDai.bind(WETH, '50', '5');
+        await wethDai.bind(DAI, '20000', '5');
+        await daiMkr.bind(DAI, '20000', '5');
+        await daiMkr.bind(MKR, '20', '5');
+        await wethDai.finalize();
+        await daiMkr.finalize();
+
+        // A poll after each of: nothing, a WETH sale, a WETH purchase, an empty block
+        polled = new PriceOracle(artifacts, { pools: [wethDai, daiMkr] });
+        const poll = async () => {
+            await polled.poll();
+            blocks.push(polled.lastBlock);
+        };
+        await poll();
+        await wethDai.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+        await poll();
+        await wethDai.swapExactAmountIn(DAI, '400', WETH, '0', '1000000', { from: user1 });
+        await poll();
+        await mine();
+        await poll();
+    });
+
+    describe('Price oracle', () => {
+        it('records spot prices by polling and averages them', async () => {
+            assert.deepEqual(blocks, [0, 1, 2, 3].map((n) => blocks[0] + n));
+            const prices = await Promise.all(blocks.map((b) => spotAt(wethDai, WETH, DAI, b)));
+            const spot = polled.spotPrice(WETH, DAI);
+            assert.deepEqual(spot.path, [WETH, DAI]);
+            assert.deepEqual(spot.pools, [wethDai.address]);
+            assert.equal(spot.price.toString(), prices[3].toString());
+            const before = polled.spotPrice(WETH, DAI, { blockNumber: blocks[1] });
+            assert.equal(before.price.toString(), prices[1].toString());
+
+            // Each price holds for one block, the last for none
+            const twap = polled.twap(WETH, DAI, { window: 3, unit: 'block' });
+            assert.equal(twap.price.toString(), ((prices[0] + prices[1] + prices[2]) / BigInt(3)).toString());
+            const oneBlock = polled.twap(WETH, DAI, { window: 1, unit: 'block', end: blocks[2] });
+            assert.equal(oneBlock.price.toString(), prices[1].toString());
+
+            const swaps = await wethDai.contract.getPastEvents('LOG_SWAP', { fromBlock: blocks[0] });
+            const [sale, purchase] = swaps.map(({ args }) => args);
+            const wethTraded = BigInt(sale.tokenAmountIn) + BigInt(purchase.tokenAmountOut);
+            const daiTraded = BigInt(sale.tokenAmountOut) + BigInt(purchase.tokenAmountIn);
+            const vwap = polled.vwap(WETH, DAI, { window: 3, unit: 'block' });
+            assert.equal(vwap.price.toString(), ((daiTraded * BONE) / wethTraded).toString());
+            assert.isNull(polled.vwap(WETH, DAI, { window: 1, unit: 'block' }), 'no trade in the last block');
+        });
+
+        it('derives cross prices through shared tokens', async () => {
+            const cross = polled.spotPrice(WETH, MKR);
+            assert.deepEqual(cross.path, [WETH, DAI, MKR]);
+            assert.deepEqual(cross.pools, [wethDai.address, daiMkr.address]);
+            const [wethInDai, daiInMkr] = await Promise.all([
+                spotAt(wethDai, WETH, DAI, blocks[3]),
+                spotAt(daiMkr, DAI, MKR, blocks[3]),
+            ]);
+            assert.equal(cross.price.toString(), bmul(wethInDai, daiInMkr).toString());
+            assert.isNull(polled.spotPrice(WETH, MKR, { pool: wethDai.address }));
+            assert.isNull(polled.spotPrice(WETH, MKR, { maxHops: 1 }));
+            assert.isNull(polled.vwap(WETH, MKR, { window: 3, unit: 'block' }), 'nothing traded against MKR');
+        });
+
+        it('reads the same history from the indexer', async () => {
+            const indexer = await Indexer.deployed(artifacts, { fromBlock });
+            const indexed = new PriceOracle(artifacts);
+            await indexed.syncIndexer(indexer);
+            assert.equal(indexed.lastBlock, await web3.eth.getBlockNumber());
+
+            const window = { window: 3, unit: 'block', end: blocks[3] };
+            ['WETH/DAI', 'WETH/MKR', 'MKR/WETH'].forEach((pair) => {
+                const [base, quote] = pair.split('/').map((symbol) => ({ WETH, DAI, MKR })[symbol]);
+                const same = (a, b) => assert.deepEqual(
+                    { ...a, price: a.price.toString() }, { ...b, price: b.price.toString() }, pair,
+                );
+                same(indexed.spotPrice(base, quote, { blockNumber: blocks[1] }),
+                    polled.spotPrice(base, quote, { blockNumber: blocks[1] }));
+                same(indexed.twap(base, quote, window), polled.twap(base, quote, window));
+            });
+            assert.equal(indexed.vwap(DAI, WETH, { window: 3, unit: 'block', end: blocks[3] }).price.toString(),
+                polled.vwap(DAI, WETH, { window: 3, unit: 'block' }).price.toString());
+        });
+
+        it('leaves single-block spikes out', async () => {
+            const oracle = new PriceOracle(artifacts, { maxDeviationBps: 500 });
+            const state = (dai) => ({
+                tokens: [WETH, DAI],
+                balances: { [WETH]: BigInt(toWei('10')), [DAI]: BigInt(toWei(dai)) },
+                denorms: { [WETH]: BigInt(toWei('5')), [DAI]: BigInt(toWei('5')) },
+            });
+            const pool = wethDai.address;
+            // Block 3 is pushed to twice the price and back, block 5 moves it 10% for good
+            ['4000', '4000', '8000', '4000', '4400', '4400'].forEach((dai, i) => oracle.record(pool, {
+                blockNumber: i + 1, timestamp: 100 + 10 * i, state: state(dai),
+            }));
+            const swap = (blockNumber, weth, dai) => oracle.recordSwap(pool, {
+                blockNumber,
+                timestamp: 90 + 10 * blockNumber,
+                tokenIn: DAI,
+                tokenOut: WETH,
+                tokenAmountIn: BigInt(toWei(dai)),
+                tokenAmountOut: BigInt(toWei(weth)),
+            });
+            swap(3, '10', '40000');
+            swap(5, '1', '420');
+
+            assert.deepEqual(oracle.series(pool, WETH, DAI).map((p) => p.outlier), [
+                false, false, true, false, false, false,
+            ]);
+            const at = (blockNumber) => oracle.spotPrice(WETH, DAI, { blockNumber }).price;
+            assert.equal(at(3).toString(), at(2).toString());
+            const [low, high] = [at(2), at(6)];
+            // 100..130 at the low price (the spike skipped), 130..140 too, 140..150 at the high one
+            const twap = oracle.twap(WETH, DAI, { window: 50 });
+            assert.equal(twap.price.toString(), ((low * BigInt(40) + high * BigInt(10)) / BigInt(50)).toString());
+            const vwap = oracle.vwap(WETH, DAI, { window: 50 });
+            assert.equal(vwap.price.toString(), toWei('420'), 'the spike block trade is left out');
+
+            // A jump in the latest block waits for the next one
+            oracle.record(pool, { blockNumber: 7, timestamp: 160, state: state('8800') });
+            assert.equal(oracle.spotPrice(WETH, DAI).price.toString(), high.toString());
+            oracle.record(pool, { blockNumber: 8, timestamp: 170, state: state('8800') });
+            assert.equal(oracle.spotPrice(WETH, DAI).price.toString(), (high * BigInt(2)).toString());
+        });
+
+        it('keeps only the history its retention window needs', async () => {
+            const oracle = new PriceOracle(artifacts, { retention: { window: 25 } });
+            const state = (dai) => ({
+                tokens: [WETH, DAI],
+                balances: { [WETH]: BigInt(toWei('10')), [DAI]: BigInt(toWei(dai)) },
+                denorms: { [WETH]: BigInt(toWei('5')), [DAI]: BigInt(toWei('5')) },
+            });
+            const pool = wethDai.address;
+            ['4000', '4100', '4200', '4300', '4400', '4500'].forEach((dai, i) => {
+                oracle.record(pool, { blockNumber: i + 1, timestamp: 100 + 10 * i, state: state(dai) });
+                oracle.recordSwap(pool, {
+                    blockNumber: i + 1,
+                    timestamp: 100 + 10 * i,
+                    tokenIn: DAI,
+                    tokenOut: WETH,
+                    tokenAmountIn: BigInt(toWei(dai)),
+                    tokenAmountOut: BigInt(toWei('1')),
+                });
+            });
+            const twap = oracle.twap(WETH, DAI, { window: 25 });
+            const vwap = oracle.vwap(WETH, DAI, { window: 25 });
+
+            // The window opens at 125, under the observation of block 3
+            oracle.prune();
+            assert.deepEqual(oracle.observations[pool].map((o) => o.blockNumber), [2, 3, 4, 5, 6]);
+            assert.deepEqual(oracle.swaps[pool].map((swap) => swap.blockNumber), [4, 5, 6]);
+            assert.equal(oracle.twap(WETH, DAI, { window: 25 }).price.toString(), twap.price.toString());
+            assert.equal(oracle.vwap(WETH, DAI, { window: 25 }).price.toString(), vwap.price.toString());
+
+            const forever = new PriceOracle(artifacts, { retention: null });
+            forever.record(pool, { blockNumber: 1, timestamp: 0, state: state('4000') });
+            forever.record(pool, { blockNumber: 2, timestamp: 1e9, state: state('4000') });
+            forever.prune();
+            assert.lengthOf(forever.observations[pool], 2);
+        });
+    });
+});
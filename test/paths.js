@@ -0,0 +1,130 @@
+const { Factory } = require('../lib/client');
+const { findPaths, bestPathsByHops } = require('../lib/paths');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    let pools; // client Pools
+    let WETH; let DAI; let MKR; let USDC; // addresses
+
+    async function snapshots() {
+        return Promise.all(pools.map((pool) => pool.getPoolState()));
+    }
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+
+        const tokens = await Promise.all([
+            TToken.new('Wrapped Ether', 'WETH', 18),
+            TToken.new('Dai Stablecoin', 'DAI', 18),
+            TToken.new('Maker', 'MKR', 18),
+            TToken.new('USD Coin', 'USDC', 18),
+        ]);
+        [WETH, DAI, MKR, USDC] = tokens.map((t) => t.address);
+        await Promise.all(tokens.map(async (token) => {
+            await token.mint(admin, toWei('1000000'));
+            await token.mint(user1, toWei('1000000'));
+        }));
+
+        /*
+            Prices: WETH $200, MKR $500, DAI and USDC $1.
+            USDC only trades against MKR, and the WETH/MKR pool is small.
+        */
+        const bindings = [
+            [[WETH, '100', '5'], [DAI, '20000', '5']],
+            [[DAI, '50000', '5'], [MKR, '100', '5']],
+            [[MKR, '100', '5'], [USDC, '50000', '5']],
+            [[WETH, '2.5', '5'], [MKR, '1', '5']],
+        ];
+        pools = await Promise.all(bindings.map(async (binding) => {
+            const pool = await factory.newPool();
+            await Promise.all(binding.map(async ([token, balance, denorm]) => {
+                await pool.approve(token);
+                await pool.approve(token, undefined, { from: user1 });
+                await pool.bind(token, balance, denorm);
+            }));
+            await pool.finalize();
+            return pool;
+        }));
+    });
+
+    describe('Path finding', () => {
+        it('finds 2 and 3 hop routes when no pool holds both tokens', async () => {
+            const state = await snapshots();
+            const routes = findPaths(state, { tokenIn: WETH, tokenOut: USDC, tokenAmountIn: BigInt(toWei('1')) });
+            const best = bestPathsByHops(routes);
+
+            assert.isUndefined(best[1]);
+            assert.deepEqual(best[2].path, [WETH, MKR, USDC]);
+            assert.deepEqual(best[3].path, [WETH, DAI, MKR, USDC]);
+            // the deep pools beat the shallow WETH/MKR pool
+            assert.equal(routes[0], best[3]);
+            assert.isTrue(best[3].tokenAmountOut > best[2].tokenAmountOut);
+        });
+
+        it('executes the best route leg by leg', async () => {
+            const state = await snapshots();
+            const [route] = findPaths(state, { tokenIn: WETH, tokenOut: USDC, tokenAmountIn: BigInt(toWei('1')) });
+
+            for (let i = 0; i < route.legs.length; i += 1) {
+                const leg = route.legs[i];
+                const pool = pools.find((p) => p.address === leg.pool);
+                // Each hop spends what the one before it paid out
+                /* eslint-disable no-await-in-loop */
+                assert.isTrue(leg.minAmountOut < leg.tokenAmountOut);
+                if (i > 0) {
+                    assert.equal(leg.tokenAmountIn.toString(), route.legs[i - 1].tokenAmountOut.toString());
+                }
+                const result = await pool.contract.swapExactAmountIn.call(...leg.args, { from: user1 });
+                assert.equal(result.tokenAmountOut.toString(), leg.tokenAmountOut.toString());
+                await pool.contract.swapExactAmountIn(...leg.args, { from: user1 });
+                /* eslint-enable no-await-in-loop */
+            }
+            assert.equal(route.minAmountOut.toString(), route.legs[route.legs.length - 1].minAmountOut.toString());
+        });
+
+        it('prices the rest of the route again when a hop fills short', async () => {
+            const state = await snapshots();
+            const [route] = findPaths(state, { tokenIn: WETH, tokenOut: USDC, tokenAmountIn: BigInt(toWei('1')) });
+            const [first, second] = route.legs;
+            const intermediate = await TToken.at(second.tokenIn);
+            const before = BigInt(await intermediate.balanceOf(user1));
+
+            // Someone trades ahead of the first hop, within its slippage
+            const firstPool = pools.find((p) => p.address === first.pool);
+            await firstPool.contract.swapExactAmountIn(WETH, toWei('0.05'), first.tokenOut, '0', MAX);
+            const { tokenAmountOut } = await firstPool.contract.swapExactAmountIn.call(...first.args, { from: user1 });
+            assert.isTrue(BigInt(tokenAmountOut) < first.tokenAmountOut, 'the first hop fills short');
+            assert.isTrue(BigInt(tokenAmountOut) >= first.minAmountOut);
+            await firstPool.contract.swapExactAmountIn(...first.args, { from: user1 });
+
+            const rest = findPaths(await snapshots(), {
+                tokenIn: second.tokenIn, tokenOut: USDC, tokenAmountIn: BigInt(tokenAmountOut),
+            }).find((r) => r.pools.join() === route.pools.slice(1).join());
+            assert.isTrue(rest.tokenAmountOut < route.tokenAmountOut);
+            for (let i = 0; i < rest.legs.length; i += 1) {
+                const leg = rest.legs[i];
+                const pool = pools.find((p) => p.address === leg.pool);
+                // Each hop spends what the one before it paid out
+                // eslint-disable-next-line no-await-in-loop
+                await pool.contract.swapExactAmountIn(...leg.args, { from: user1 });
+            }
+            assert.equal((await intermediate.balanceOf(user1)).toString(), before.toString());
+        });
+
+        it('drops routes where a hop breaks MAX_IN_RATIO', async () => {
+            const state = await snapshots();
+            // 2 WETH is over half of the WETH/MKR pool's balance
+            const routes = findPaths(state, { tokenIn: WETH, tokenOut: USDC, tokenAmountIn: BigInt(toWei('2')) });
+            assert.isTrue(routes.every((r) => r.hops === 3));
+
+            const direct = findPaths(state, { tokenIn: WETH, tokenOut: USDC, tokenAmountIn: '1' }, { maxHops: 1 });
+            assert.lengthOf(direct, 0);
+        });
+    });
+});
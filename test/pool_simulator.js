@@ -0,0 +1,267 @@
+const truffleAssert = require('truffle-assertions');
+const PoolSimulator = require('../lib/pool_simulator');
+
+const BPool = artifacts.require('BPool');
+const BFactory = artifacts.require('BFactory');
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    let WETH; let MKR; let DAI; let XXX; // addresses
+    let tokens; // TTokens
+    let factory; // BPool factory
+    let FACTORY; // factory address
+    let pool; // pool under test
+    let POOL; //   pool address
+    let sim; // off-chain replica of `pool`
+
+    async function assertSameState() {
+        assert.deepEqual(await pool.getCurrentTokens(), sim.getCurrentTokens());
+        assert.equal((await pool.getTotalDenormalizedWeight()).toString(), sim.getTotalDenormalizedWeight().toString());
+        assert.equal((await pool.totalSupply()).toString(), sim.totalSupply.toString());
+        assert.equal((await pool.getSwapFee()).toString(), sim.getSwapFee().toString());
+        assert.equal((await pool.getReservesRatio()).toString(), sim.getReservesRatio().toString());
+        assert.equal(await pool.isFinalized(), sim.isFinalized());
+        assert.equal(await pool.isPublicSwap(), sim.isPublicSwap());
+        assert.equal(await pool.getController(), sim.getController());
+
+        await Promise.all([admin, user1, FACTORY].map(async (holder) => {
+            assert.equal((await pool.balanceOf(holder)).toString(), sim.balanceOf(holder).toString());
+        }));
+
+        await Promise.all(tokens.map(async (token) => {
+            const t = token.address;
+            assert.equal(await pool.isBound(t), sim.isBound(t));
+            if (sim.isBound(t)) {
+                assert.equal((await pool.getBalance(t)).toString(), sim.getBalance(t).toString());
+                assert.equal((await pool.getDenormalizedWeight(t)).toString(), sim.getDenormalizedWeight(t).toString());
+            }
+            assert.equal((await pool.totalReserves(t)).toString(), sim.getTotalReserves(t).toString());
+            assert.equal((await token.balanceOf(POOL)).toString(), sim.erc20BalanceOf(t).toString());
+        }));
+    }
+
+    // Runs the same operation on both pools, checks that both revert or both
+    // succeed and that the resulting state is identical.
+    async function step(simCall, poolCall, reason) {
+        let result;
+        let error;
+        try {
+            result = simCall();
+        } catch (err) {
+            error = err;
+        }
+
+        if (reason !== undefined) {
+            assert.isDefined(error, `expected ${reason}`);
+            assert.equal(error.message, reason);
+        }
+
+        if (error) {
+            await truffleAssert.reverts(poolCall());
+        } else {
+            await poolCall();
+        }
+        await assertSameState();
+        return result;
+    }
+
+    before(async () => {
+        factory = await BFactory.deployed();
+        FACTORY = factory.address;
+
+        POOL = await factory.newBPool.call();
+        await factory.newBPool();
+        pool = await BPool.at(POOL);
+        sim = new PoolSimulator({ controller: admin, factory: FACTORY });
+
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const mkr = await TToken.new('Maker', 'MKR', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        const xxx = await TToken.new('XXX', 'XXX', 18);
+        tokens = [weth, mkr, dai, xxx];
+
+        WETH = weth.address;
+        MKR = mkr.address;
+        DAI = dai.address;
+        XXX = xxx.address;
+
+        await Promise.all(tokens.map(async (token) => {
+            await token.mint(admin, toWei('10000'));
+            await token.mint(user1, toWei('10000'));
+            await token.approve(POOL, MAX);
+            await token.approve(POOL, MAX, { from: user1 });
+        }));
+    });
+
+    describe('PoolSimulator', () => {
+        it('starts like a fresh pool', async () => {
+            await assertSameState();
+        });
+
+        it('binds, rebinds and unbinds', async () => {
+            await step(() => sim.bind(WETH, toWei('5'), toWei('5')), () => pool.bind(WETH, toWei('5'), toWei('5')));
+            await step(() => sim.bind(MKR, toWei('2'), toWei('5')), () => pool.bind(MKR, toWei('2'), toWei('5')));
+            await step(() => sim.bind(DAI, toWei('1000'), toWei('5')), () => pool.bind(DAI, toWei('1000'), toWei('5')));
+
+            await step(
+                () => sim.rebind(DAI, toWei('1200'), toWei('10')),
+                () => pool.rebind(DAI, toWei('1200'), toWei('10')),
+            );
+            await step(
+                () => sim.rebind(WETH, toWei('4'), toWei('2')),
+                () => pool.rebind(WETH, toWei('4'), toWei('2')),
+            );
+
+            await step(() => sim.unbind(WETH), () => pool.unbind(WETH));
+            assert.deepEqual(sim.getCurrentTokens(), [DAI, MKR]);
+            await step(() => sim.bind(WETH, toWei('4'), toWei('10')), () => pool.bind(WETH, toWei('4'), toWei('10')));
+        });
+
+        it('reverts where BPool reverts before finalizing', async () => {
+            await step(
+                () => sim.bind(XXX, toWei('1'), toWei('1'), { from: user1 }),
+                () => pool.bind(XXX, toWei('1'), toWei('1'), { from: user1 }),
+                'ERR_NOT_CONTROLLER',
+            );
+            await step(() => sim.bind(XXX, '1', toWei('1')), () => pool.bind(XXX, '1', toWei('1')), 'ERR_MIN_BALANCE');
+            await step(
+                () => sim.rebind(DAI, toWei('1200'), toWei('51')),
+                () => pool.rebind(DAI, toWei('1200'), toWei('51')),
+                'ERR_MAX_WEIGHT',
+            );
+            await step(
+                () => sim.bind(XXX, toWei('1'), toWei('40')),
+                () => pool.bind(XXX, toWei('1'), toWei('40')),
+                'ERR_MAX_TOTAL_WEIGHT',
+            );
+            await step(() => sim.setSwapFee(toWei('0.2')), () => pool.setSwapFee(toWei('0.2')), 'ERR_MAX_FEE');
+            await step(
+                () => sim.joinPool(toWei('1'), [MAX, MAX, MAX]),
+                () => pool.joinPool(toWei('1'), [MAX, MAX, MAX]),
+                'ERR_NOT_FINALIZED',
+            );
+        });
+
+        it('sets parameters, seizes and finalizes', async () => {
+            await step(() => sim.setSwapFee(toWei('0.003')), () => pool.setSwapFee(toWei('0.003')));
+            await step(() => sim.setReservesRatio(toWei('0.3')), () => pool.setReservesRatio(toWei('0.3')));
+
+            await tokens[3].transfer(POOL, toWei('3'));
+            sim.sendUnderlying(XXX, toWei('3'));
+            await step(() => sim.seize(XXX, toWei('2')), () => pool.seize(XXX, toWei('2')));
+
+            await step(() => sim.finalize(), () => pool.finalize());
+            await step(() => sim.setSwapFee(toWei('0.01')), () => pool.setSwapFee(toWei('0.01')), 'ERR_IS_FINALIZED');
+        });
+
+        it('joins and exits', async () => {
+            const options = { from: user1 };
+            await step(
+                () => sim.joinPool(toWei('10'), [MAX, MAX, MAX], options),
+                () => pool.joinPool(toWei('10'), [MAX, MAX, MAX], options),
+            );
+            await step(
+                () => sim.exitPool(toWei('4'), ['0', '0', '0'], options),
+                () => pool.exitPool(toWei('4'), ['0', '0', '0'], options),
+            );
+            await step(
+                () => sim.exitPool(toWei('7'), ['0', '0', '0'], options),
+                () => pool.exitPool(toWei('7'), ['0', '0', '0'], options),
+                'ERR_INSUFFICIENT_BAL',
+            );
+            await step(
+                () => sim.joinPool(toWei('1'), ['1', MAX, MAX], options),
+                () => pool.joinPool(toWei('1'), ['1', MAX, MAX], options),
+                'ERR_LIMIT_IN',
+            );
+
+            await step(
+                () => sim.joinswapExternAmountIn(DAI, toWei('100'), '0', options),
+                () => pool.joinswapExternAmountIn(DAI, toWei('100'), '0', options),
+            );
+            await step(
+                () => sim.joinswapPoolAmountOut(WETH, toWei('2'), MAX, options),
+                () => pool.joinswapPoolAmountOut(WETH, toWei('2'), MAX, options),
+            );
+            await step(
+                () => sim.exitswapPoolAmountIn(MKR, toWei('1.5'), '0', options),
+                () => pool.exitswapPoolAmountIn(MKR, toWei('1.5'), '0', options),
+            );
+            await step(
+                () => sim.exitswapExternAmountOut(DAI, toWei('50'), MAX, options),
+                () => pool.exitswapExternAmountOut(DAI, toWei('50'), MAX, options),
+            );
+            await step(
+                () => sim.joinswapExternAmountIn(WETH, toWei('3'), '0', options),
+                () => pool.joinswapExternAmountIn(WETH, toWei('3'), '0', options),
+                'ERR_MAX_IN_RATIO',
+            );
+        });
+
+        it('swaps', async () => {
+            const [tokenAmountOut, spotPriceAfter] = Object.values(
+                await pool.swapExactAmountIn.call(WETH, toWei('1'), DAI, '0', MAX),
+            );
+            const out = await step(
+                () => sim.swapExactAmountIn(WETH, toWei('1'), DAI, '0', MAX),
+                () => pool.swapExactAmountIn(WETH, toWei('1'), DAI, '0', MAX),
+            );
+            assert.equal(out.tokenAmountOut.toString(), tokenAmountOut.toString());
+            assert.equal(out.spotPriceAfter.toString(), spotPriceAfter.toString());
+
+            const [tokenAmountIn] = Object.values(
+                await pool.swapExactAmountOut.call(DAI, MAX, MKR, toWei('0.1'), MAX),
+            );
+            const swapIn = await step(
+                () => sim.swapExactAmountOut(DAI, MAX, MKR, toWei('0.1'), MAX),
+                () => pool.swapExactAmountOut(DAI, MAX, MKR, toWei('0.1'), MAX),
+            );
+            assert.equal(swapIn.tokenAmountIn.toString(), tokenAmountIn.toString());
+
+            await step(
+                () => sim.swapExactAmountOut(DAI, MAX, MKR, toWei('1'), MAX),
+                () => pool.swapExactAmountOut(DAI, MAX, MKR, toWei('1'), MAX),
+                'ERR_MAX_OUT_RATIO',
+            );
+            await step(
+                () => sim.swapExactAmountIn(WETH, toWei('0.1'), DAI, '0', '1'),
+                () => pool.swapExactAmountIn(WETH, toWei('0.1'), DAI, '0', '1'),
+                'ERR_BAD_LIMIT_PRICE',
+            );
+            const spotPrice = sim.getSpotPrice(WETH, DAI).toString();
+            await step(
+                () => sim.swapExactAmountIn(WETH, toWei('0.1'), DAI, '0', spotPrice),
+                () => pool.swapExactAmountIn(WETH, toWei('0.1'), DAI, '0', spotPrice),
+                'ERR_LIMIT_PRICE',
+            );
+            await step(
+                () => sim.swapExactAmountIn(WETH, toWei('0.1'), XXX, '0', MAX),
+                () => pool.swapExactAmountIn(WETH, toWei('0.1'), XXX, '0', MAX),
+                'ERR_NOT_BOUND',
+            );
+        });
+
+        it('gulps and drains reserves', async () => {
+            await tokens[2].transfer(POOL, toWei('25'));
+            sim.sendUnderlying(DAI, toWei('25'));
+            await step(() => sim.gulp(DAI), () => pool.gulp(DAI));
+
+            await step(
+                () => sim.drainTotalReserves(admin, { from: FACTORY }),
+                () => factory.collectTokenReserves(POOL),
+            );
+            assert.equal(sim.getTotalReserves(DAI).toString(), '0');
+        });
+
+        it('leaves the state untouched when an operation reverts', async () => {
+            const copy = sim.clone();
+            assert.throws(() => sim.exitswapExternAmountOut(DAI, toWei('1'), '0', { from: user1 }), 'ERR_LIMIT_IN');
+            assert.deepEqual(sim.snapshot(), copy.snapshot());
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const path = require('path');
+const {
+    parseSpec, normalizeSpec, loadSpecs, applySpecs,
+} = require('../lib/pool_spec');
+
+const BPool = artifacts.require('BPool');
+const BToken = artifacts.require('BToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+    const examples = path.join(__dirname, '..', 'pools', 'examples');
+
+    describe('Pool specs', () => {
+        it('loads JSON and YAML specs', async () => {
+            const [managed, wethDai] = loadSpecs(examples);
+            assert.equal(managed.name, 'managed');
+            assert.deepEqual(managed.tokens.map((t) => t.denorm.toString()), [toWei('10'), toWei('10'), toWei('20')]);
+            assert.equal(managed.tokens[2].decimals, 6);
+            assert.isTrue(managed.publicSwap);
+            assert.isFalse(managed.finalized);
+
+            assert.equal(wethDai.name, 'weth-dai');
+            assert.deepEqual(wethDai.tokens.map((t) => t.denorm.toString()), [toWei('20'), toWei('5')]);
+            assert.equal(wethDai.swapFee.toString(), toWei('0.003'));
+            assert.isTrue(wethDai.publicSwap);
+        });
+
+        it('converts normalized weights at the spec total weight', async () => {
+            const tokens = [2, 49, 49].map((weight, i) => ({ symbol: `T${i}`, balance: '1', weight }));
+            const denorms = (spec) => normalizeSpec(spec, 'x').tokens.map((t) => t.denorm.toString());
+            assert.deepEqual(denorms({ tokens }), [toWei('1'), toWei('24.5'), toWei('24.5')]);
+            assert.deepEqual(denorms({ tokens: tokens.slice(1) }), [toWei('12.5'), toWei('12.5')]);
+            assert.throws(() => normalizeSpec({ tokens, totalWeight: 40 }, 'x'), 'pool spec x: ERR_MIN_WEIGHT');
+        });
+
+        it('rejects specs outside the BConst limits', async () => {
+            const spec = (fields) => ({
+                tokens: [{ symbol: 'A', balance: '1', denorm: '1' }, { symbol: 'B', balance: '1', denorm: '1' }],
+                ...fields,
+            });
+            assert.throws(() => normalizeSpec(spec({ swapFee: '0.5' }), 'x'), 'pool spec x: ERR_MAX_FEE');
+            assert.throws(() => normalizeSpec(spec({ reservesRatio: '0.1' }), 'x'), 'ERR_INVALID_RESERVE');
+            assert.throws(() => normalizeSpec(spec({ tokens: [{ symbol: 'A', balance: '1', denorm: '1' }] }), 'x'),
+                'needs 2 to 8 tokens');
+            assert.throws(() => normalizeSpec(spec({
+                tokens: [{ symbol: 'A', balance: '1', denorm: '30' }, { symbol: 'B', balance: '1', denorm: '30' }],
+            }), 'x'), 'ERR_MAX_TOTAL_WEIGHT');
+            assert.throws(() => normalizeSpec(spec({
+                tokens: [{ symbol: 'A', balance: '1', weight: 0.999 }, { symbol: 'B', balance: '1', weight: 0.001 }],
+            }), 'x'), 'ERR_MIN_WEIGHT');
+            assert.throws(() => normalizeSpec(spec({
+                tokens: [{ symbol: 'A', balance: '1', weight: '0.5' }, { symbol: 'B', balance: '1', denorm: '1' }],
+            }), 'x'), 'all give a weight or all give a denorm');
+            assert.throws(() => normalizeSpec(spec({ finalized: true, publicSwap: false }), 'x'), 'public swaps');
+            assert.throws(() => parseSpec('tokens: [', 'broken.yaml'));
+        });
+
+        it('deploys specs once and leaves matching pools alone', async () => {
+            const specs = loadSpecs(examples);
+            const created = await applySpecs(artifacts, specs, { from: admin, development: true });
+            assert.deepEqual(created.map(({ status }) => status), ['created', 'created']);
+
+            const pool = await BPool.at(created[1].pool);
+            assert.isTrue(await pool.isFinalized());
+            const tokens = await pool.getCurrentTokens();
+            assert.equal(await (await BToken.at(tokens[0])).symbol(), 'WETH');
+            assert.equal((await pool.getBalance(tokens[1])).toString(), toWei('1000'));
+            assert.equal((await pool.getNormalizedWeight(tokens[0])).toString(), toWei('0.8'));
+            assert.equal((await pool.getSwapFee()).toString(), toWei('0.003'));
+
+            const managed = await BPool.at(created[0].pool);
+            const usdc = await managed.getCurrentTokens().then(([, , t]) => t);
+            assert.equal((await managed.getBalance(usdc)).toString(), '2000000000');
+            assert.isTrue(await managed.isPublicSwap());
+
+            const again = await applySpecs(artifacts, specs, { from: admin, development: true });
+            assert.deepEqual(again, created.map((r) => ({ ...r, status: 'exists' })));
+        });
+
+        it('deploys a spec again once the pool drifts from it', async () => {
+            const [, wethDai] = loadSpecs(examples);
+            const handedOver = { ...wethDai, controller: user1 };
+            const [first] = await applySpecs(artifacts, [handedOver], { from: admin, development: true });
+            assert.equal(first.status, 'created');
+            assert.equal(await (await BPool.at(first.pool)).getController(), user1);
+
+            const cheaper = { ...handedOver, swapFee: BigInt(toWei('0.002')) };
+            const [second] = await applySpecs(artifacts, [cheaper], { from: admin, development: true });
+            assert.equal(second.status, 'created');
+            assert.notEqual(second.pool, first.pool);
+        });
+
+        it('needs token addresses outside development networks', async () => {
+            const [managed] = loadSpecs(examples);
+            const spec = { ...managed, swapFee: BigInt(toWei('0.05')) };
+            // The pool deployed for `managed` matches by symbol on development networks only
+            await Promise.all([managed, spec].map(async (s) => {
+                try {
+                    await applySpecs(artifacts, [s], { from: admin });
+                    assert.fail('expected an error');
+                } catch (err) {
+                    assert.equal(err.message, 'pool spec managed: token WETH has no address');
+                }
+            }));
+        });
+    });
+});
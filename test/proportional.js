@@ -0,0 +1,118 @@
+const { Factory } = require('../lib/client');
+const { calcJoinPool, calcExitPool } = require('../lib/proportional');
+const { addBps, subBps } = require('../lib/quote');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let factory;
+    let pool; // client Pool
+    let tokens; // TTokens in bind order
+    let WETH; let DAI; let USDC; // addresses
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+
+        tokens = await Promise.all([
+            TToken.new('Wrapped Ether', 'WETH', 18),
+            TToken.new('Dai Stablecoin', 'DAI', 18),
+            TToken.new('USD Coin', 'USDC', 6),
+        ]);
+        [WETH, DAI, USDC] = tokens.map((t) => t.address);
+
+        await Promise.all(tokens.map(async (token) => {
+            await token.mint(admin, toWei('100000'));
+            await token.mint(user1, toWei('100000'));
+            await pool.approve(token.address);
+            await pool.approve(token.address, undefined, { from: user1 });
+        }));
+        await pool.bind(WETH, '33.333333333333333333', '10');
+        await pool.bind(DAI, '7777.7', '5');
+        await pool.bind(USDC, '3333.333333', '5');
+        await pool.finalize();
+        // Joins and exits below keep the balances off round numbers
+        await pool.contract.joinPool(toWei('0.123456789'), [toWei('1000'), toWei('1000'), toWei('1000')]);
+    });
+
+    // Sends `method(...args)` from user1 and returns how much BPT and tokens they gained
+    async function send(method, args) {
+        const holdings = () => Promise.all([pool.contract, ...tokens].map((t) => t.balanceOf(user1)));
+        const before = await holdings();
+        await pool.contract[method](...args, { from: user1 });
+        const after = await holdings();
+        return after.map((a, i) => BigInt(a.toString()) - BigInt(before[i].toString()));
+    }
+
+    describe('Proportional joins and exits', () => {
+        it('computes what joinPool pulls, in getFinalTokens order', async () => {
+            const state = await pool.getPoolState();
+            assert.deepEqual(state.tokens, await pool.getFinalTokens());
+            const join = calcJoinPool(state, { poolAmountOut: toWei('1.5') }, { slippageBps: 0 });
+            assert.equal(join.method, 'joinPool');
+            assert.deepEqual(join.args[1], join.amountsIn.map(String), 'no buffer');
+
+            const [bpt, ...deltas] = await send(join.method, join.args);
+            assert.equal(bpt.toString(), toWei('1.5'));
+            assert.deepEqual(deltas.map((d) => (-d).toString()), join.amountsIn.map(String));
+
+            const buffered = calcJoinPool(await pool.getPoolState(), { poolAmountOut: toWei('1.5') });
+            assert.deepEqual(buffered.maxAmountsIn, buffered.amountsIn.map((a) => addBps(a, BigInt(50))));
+        });
+
+        it('joins for the most BPT within a budget of one token', async () => {
+            const state = await pool.getPoolState();
+            const budget = '1000000'; // 1 USDC
+            const join = calcJoinPool(state, { token: USDC, tokenAmountIn: budget });
+            assert.isTrue(join.amountsIn[2] <= BigInt(budget));
+            const more = calcJoinPool(state, { poolAmountOut: join.poolAmountOut + BigInt(1) });
+            assert.isTrue(more.amountsIn[2] > BigInt(budget), 'one more wei of BPT breaks the budget');
+            assert.equal(join.maxAmountsIn[2].toString(), budget, 'the buffer stops at the budget');
+            assert.equal(join.maxAmountsIn[0].toString(), addBps(join.amountsIn[0], BigInt(50)).toString());
+
+            const [bpt, , , usdcIn] = await send(join.method, join.args);
+            assert.equal(bpt.toString(), join.poolAmountOut.toString());
+            assert.equal((-usdcIn).toString(), join.amountsIn[2].toString());
+        });
+
+        it('computes what exitPool pushes, for BPT in or one token out', async () => {
+            let state = await pool.getPoolState();
+            const exit = calcExitPool(state, { poolAmountIn: toWei('1') }, { slippageBps: 25 });
+            assert.equal(exit.exitFee.toString(), '0');
+            assert.deepEqual(exit.minAmountsOut, exit.amountsOut.map((a) => subBps(a, BigInt(25))));
+            const [bpt, ...deltas] = await send(exit.method, exit.args);
+            assert.equal((-bpt).toString(), toWei('1'));
+            assert.deepEqual(deltas.map(String), exit.amountsOut.map(String));
+
+            state = await pool.getPoolState();
+            const wanted = toWei('3');
+            const byDai = calcExitPool(state, { token: DAI, tokenAmountOut: wanted });
+            assert.isTrue(byDai.amountsOut[1] >= BigInt(wanted));
+            const less = calcExitPool(state, { poolAmountIn: byDai.poolAmountIn - BigInt(1) });
+            assert.isTrue(less.amountsOut[1] < BigInt(wanted), 'one less wei of BPT falls short');
+            assert.equal(byDai.minAmountsOut[1].toString(), wanted, 'the buffer stops at the amount asked for');
+            const [burnt, , daiOut] = await send(byDai.method, byDai.args);
+            assert.equal((-burnt).toString(), byDai.poolAmountIn.toString());
+            assert.equal(daiOut.toString(), byDai.amountsOut[1].toString());
+        });
+
+        it('reports what BPool would reject', async () => {
+            const state = await pool.getPoolState();
+            assert.equal(calcJoinPool(state, { poolAmountOut: '1' }).error, 'ERR_MATH_APPROX');
+            assert.equal(calcJoinPool(state, { token: admin, tokenAmountIn: '1' }).error, 'ERR_NOT_BOUND');
+            assert.equal(calcExitPool(state, { poolAmountIn: state.totalSupply + BigInt(1) }).error,
+                'ERR_INSUFFICIENT_BAL');
+            const tooMuch = state.records[WETH].balance + BigInt(1);
+            assert.equal(calcExitPool(state, { token: WETH, tokenAmountOut: tooMuch }).error, 'ERR_INSUFFICIENT_BAL');
+
+            const fresh = await factory.newPool();
+            const unfinalized = calcJoinPool(await fresh.getPoolState(), { poolAmountOut: toWei('1') });
+            assert.equal(unfinalized.error, 'ERR_NOT_FINALIZED');
+            assert.throws(() => calcExitPool(state, { poolAmountIn: '1' }, { slippageBps: -1 }));
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const truffleAssert = require('truffle-assertions');
+const { Factory, MAX } = require('../lib/client');
+const { quote, swapQuoted } = require('../lib/quote');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let pool; // client Pool
+    let WETH; let DAI; // addresses
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+        await weth.mint(user1, toWei('100'));
+        await dai.mint(user1, toWei('100000'));
+
+        await pool.approve(WETH);
+        await pool.approve(DAI);
+        await pool.approve(WETH, undefined, { from: user1 });
+        await pool.approve(DAI, undefined, { from: user1 });
+
+        await pool.bind(WETH, '10', '10');
+        await pool.bind(DAI, '4000', '30');
+        await pool.setSwapFee('0.003');
+        await pool.finalize();
+    });
+
+    describe('quote', () => {
+        it('quotes exact in with the contract result and limits', async () => {
+            const state = await pool.getPoolState();
+            const q = quote(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: toWei('1') }, 100);
+            assert.isUndefined(q.error);
+            assert.equal(q.method, 'swapExactAmountIn');
+
+            const [tokenAmountOut, spotPriceAfter] = Object.values(
+                await pool.contract.swapExactAmountIn.call(...q.args, { from: user1 }),
+            );
+            assert.equal(q.tokenAmountOut.toString(), tokenAmountOut.toString());
+            assert.equal(q.spotPriceAfter.toString(), spotPriceAfter.toString());
+            assert.equal(q.spotPriceBefore.toString(), (await pool.contract.getSpotPrice(WETH, DAI)).toString());
+
+            assert.equal(q.minAmountOut.toString(), ((q.tokenAmountOut * BigInt(99)) / BigInt(100)).toString());
+            assert.isTrue(q.maxPrice > q.spotPriceAfter);
+            assert.isTrue(q.effectivePrice > q.spotPriceBefore);
+            assert.isTrue(q.priceImpact > BigInt(0));
+
+            await pool.contract.swapExactAmountIn(...q.args, { from: user1 });
+        });
+
+        it('quotes exact out with the contract result and limits', async () => {
+            const state = await pool.getPoolState();
+            const q = quote(state, { tokenIn: DAI, tokenOut: WETH, tokenAmountOut: toWei('0.5') }, 50);
+            assert.equal(q.method, 'swapExactAmountOut');
+
+            const [tokenAmountIn] = Object.values(
+                await pool.contract.swapExactAmountOut.call(...q.args, { from: user1 }),
+            );
+            assert.equal(q.tokenAmountIn.toString(), tokenAmountIn.toString());
+            assert.isTrue(q.maxAmountIn >= q.tokenAmountIn);
+            assert.equal(q.args[1], q.maxAmountIn.toString());
+        });
+
+        it('limits revert once the price has moved', async () => {
+            const state = await pool.getPoolState();
+            const q = quote(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: toWei('0.5') }, 10);
+
+            // someone else trades in the same direction first
+            await pool.swapExactAmountIn(WETH, '1', DAI, '0', '1000000');
+            await truffleAssert.reverts(
+                pool.contract.swapExactAmountIn(...q.args, { from: user1 }),
+                'ERR_BAD_LIMIT_PRICE',
+            );
+
+            // without a price limit the minimum amount out still protects the trade
+            const [tokenIn, tokenAmountIn, tokenOut, minAmountOut] = q.args;
+            await truffleAssert.reverts(
+                pool.contract.swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut, minAmountOut, MAX, { from: user1 }),
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('flags trades BPool would reject', async () => {
+            const state = await pool.getPoolState();
+            const balanceIn = state.records[WETH].balance;
+            const balanceOut = state.records[DAI].balance;
+
+            const tooMuchIn = quote(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: balanceIn });
+            assert.equal(tooMuchIn.error, 'ERR_MAX_IN_RATIO');
+
+            const tooMuchOut = quote(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountOut: balanceOut / BigInt(2) });
+            assert.equal(tooMuchOut.error, 'ERR_MAX_OUT_RATIO');
+
+            const unbound = quote(state, { tokenIn: WETH, tokenOut: user1, tokenAmountIn: '1' });
+            assert.equal(unbound.error, 'ERR_NOT_BOUND');
+
+            assert.throws(() => quote(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: '1' }, 10000));
+        });
+
+        it('sends trades with the limits of a quote on the current state', async () => {
+            const sent = async ({ tx }) => (await web3.eth.getTransaction(tx.tx)).input;
+            const { methods } = pool.contract.contract;
+
+            let trade = { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: toWei('0.1') };
+            let q = quote(await pool.getPoolState(), trade);
+            const exactIn = await swapQuoted(pool, trade, undefined, { from: user1 });
+            assert.equal(await sent(exactIn), methods.swapExactAmountIn(...q.args).encodeABI());
+            assert.equal(toWei(exactIn.tokenAmountOut.toString()), q.tokenAmountOut.toString());
+
+            trade = { tokenIn: DAI, tokenOut: WETH, tokenAmountOut: toWei('0.1') };
+            q = quote(await pool.getPoolState(), trade, 10);
+            const exactOut = await swapQuoted(pool, trade, 10, { from: user1 });
+            assert.equal(await sent(exactOut), methods.swapExactAmountOut(...q.args).encodeABI());
+
+            await truffleAssert.fails(
+                swapQuoted(pool, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: toWei('6') }, 50, { from: user1 }),
+                'ERR_MAX_IN_RATIO',
+            );
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const { Factory } = require('../lib/client');
+const { MemoryStore } = require('../lib/indexer');
+const { buildReport, toCsv, toJson } = require('../lib/reserves_report');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let factory; // client Factory
+    let pool; let managed; // client Pools
+    let fromBlock;
+    let WETH; let DAI; // addresses
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+        fromBlock = await web3.eth.getBlockNumber();
+
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+        await weth.mint(user1, toWei('100'));
+        await dai.mint(user1, toWei('100000'));
+
+        pool = await factory.newPool();
+        managed = await factory.newPool();
+        await Promise.all([pool, managed].map(async (p) => {
+            await p.approve(WETH);
+            await p.approve(DAI);
+            await p.approve(WETH, undefined, { from: user1 });
+            await p.approve(DAI, undefined, { from: user1 });
+            await p.bind(WETH, '10', '10');
+            await p.bind(DAI, '4000', '10');
+            await p.setSwapFee('0.01');
+        }));
+        await pool.finalize();
+        await managed.setPublicSwap(true);
+
+        await pool.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+        await pool.swapExactAmountOut(DAI, '1000000', WETH, '0.5', '1000000', { from: user1 });
+        await pool.joinswapExternAmountIn(DAI, '100', '0', { from: user1 });
+        await pool.exitswapPoolAmountIn(WETH, '0.5', '0', { from: user1 });
+        await factory.collectTokenReserves(pool);
+        await pool.swapExactAmountIn(WETH, '0.5', DAI, '0', '1000000', { from: user1 });
+
+        // reserves stay behind when their token is unbound
+        await managed.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+        await managed.unbind(WETH);
+    });
+
+    describe('Reserves report', () => {
+        it('reconciles reserves with accruals and drains', async () => {
+            const report = await buildReport(artifacts, { fromBlock });
+            assert.equal(report.mismatches, 0);
+
+            const rows = report.rows.filter((row) => row.pool === pool.address);
+            assert.deepEqual(rows.map(({ token }) => token), [WETH, DAI]);
+            rows.forEach((row) => {
+                assert.equal(row.status, 'ok');
+                assert.isTrue(row.accrued > BigInt(0));
+                assert.isTrue(row.drained > BigInt(0));
+                assert.equal(row.totalReserves, row.accrued - row.drained);
+            });
+            const weth = rows[0];
+            assert.equal(weth.totalReserves.toString(), (await pool.contract.totalReserves(WETH)).toString());
+        });
+
+        it('keeps reserves of unbound tokens', async () => {
+            const report = await buildReport(artifacts, { fromBlock });
+            const [dai, weth] = report.rows.filter((row) => row.pool === managed.address);
+            assert.equal(dai.token, DAI);
+            assert.isTrue(dai.bound);
+            assert.equal(weth.token, WETH);
+            assert.isFalse(weth.bound);
+            assert.equal(weth.status, 'ok');
+            assert.isTrue(weth.totalReserves > BigInt(0));
+        });
+
+        it('flags reserves the logs do not account for', async () => {
+            const store = new MemoryStore();
+            await buildReport(artifacts, { fromBlock, store });
+            const swap = store.events.find(({ event, args }) => event === 'LOG_SWAP' && args.tokenIn === WETH);
+            store.events = store.events.filter((e) => e !== swap);
+
+            const report = await buildReport(artifacts, { fromBlock, store });
+            assert.equal(report.mismatches, 1);
+            const [weth] = report.rows.filter((row) => row.pool === pool.address);
+            assert.equal(weth.status, 'mismatch');
+            assert.deepEqual(weth.flags, ['totalReserves', 'LOG_ADD_RESERVES']);
+            assert.equal(weth.difference.toString(), swap.args.reservesAmount);
+        });
+
+        it('writes CSV and JSON', async () => {
+            const report = await buildReport(artifacts, { fromBlock });
+            const csv = toCsv(report).split('\n');
+            const header = 'pool,token,bound,accrued,added,drained,expected,totalReserves,difference,status,flags';
+            assert.equal(csv[0], header);
+            assert.lengthOf(csv, report.rows.length + 1);
+            assert.isTrue(csv[1].startsWith(`${report.rows[0].pool},${report.rows[0].token},`));
+
+            const json = JSON.parse(toJson(report));
+            assert.equal(json.blockNumber, report.blockNumber);
+            assert.equal(json.rows[0].totalReserves, report.rows[0].totalReserves.toString());
+        });
+    });
+});
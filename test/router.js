@@ -0,0 +1,152 @@
+const Decimal = require('decimal.js');
+const { BONE, MAX_OUT_RATIO } = require('../lib/bconst');
+const { Factory } = require('../lib/client');
+const { routeExactIn, routeExactOut } = require('../lib/router');
+
+const TToken = artifacts.require('TToken');
+
+contract('BFactory', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let factory; // client Factory
+    let pools; // client Pools
+    let WETH; let DAI; let MKR; // addresses
+
+    // [wethBalance, wethDenorm, daiBalance, daiDenorm, swapFee]
+    const configs = [
+        ['10', '5', '4000', '5', '0.003'],
+        ['20', '10', '8200', '10', '0.001'],
+        ['5', '4', '7800', '16', '0.01'],
+    ];
+
+    async function snapshots() {
+        const all = await factory.getPoolStates();
+        return all.filter((s) => pools.some((pool) => pool.address === s.address));
+    }
+
+    function relDiff(a, b) {
+        return Decimal(a.toString()).sub(b.toString()).div(b.toString()).abs();
+    }
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        const mkr = await TToken.new('Maker', 'MKR', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        MKR = mkr.address;
+
+        await weth.mint(admin, toWei('1000'));
+        await dai.mint(admin, toWei('100000'));
+        await mkr.mint(admin, toWei('1000'));
+        await weth.mint(user1, toWei('100'));
+        await dai.mint(user1, toWei('100000'));
+
+        pools = await Promise.all(configs.map(async ([wethBalance, wethDenorm, daiBalance, daiDenorm, swapFee]) => {
+            const pool = await factory.newPool();
+            await pool.approve(WETH);
+            await pool.approve(DAI);
+            await pool.approve(WETH, undefined, { from: user1 });
+            await pool.approve(DAI, undefined, { from: user1 });
+            await pool.bind(WETH, wethBalance, wethDenorm);
+            await pool.bind(DAI, daiBalance, daiDenorm);
+            await pool.setSwapFee(swapFee);
+            await pool.finalize();
+            return pool;
+        }));
+
+        // a pool without the pair is ignored
+        const other = await factory.newPool();
+        await other.approve(DAI);
+        await other.approve(MKR);
+        await other.bind(DAI, '1000', '5');
+        await other.bind(MKR, '10', '5');
+        await other.finalize();
+        pools.push(other);
+    });
+
+    describe('Router', () => {
+        it('splits exact in orders across pools', async () => {
+            const state = await snapshots();
+            const totalIn = BigInt(toWei('4'));
+            const route = routeExactIn(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountIn: totalIn });
+
+            assert.equal(route.swaps.length, 3);
+            assert.equal(route.totalAmountIn.toString(), totalIn.toString());
+            assert.isTrue(route.totalAmountOut > route.bestSingle.tokenAmountOut);
+            assert.isTrue(route.gain > BigInt(0));
+
+            // marginal prices are equalized
+            const prices = route.swaps.map((leg) => leg.spotPriceAfter);
+            prices.forEach((price) => assert.isTrue(relDiff(price, prices[0]).lt('0.001')));
+
+            // Every leg trades on its own pool
+            await Promise.all(route.swaps.map(async (leg) => {
+                const pool = pools.find((p) => p.address === leg.pool);
+                const result = await pool.contract[leg.method].call(...leg.args, { from: user1 });
+                assert.equal(result.tokenAmountOut.toString(), leg.tokenAmountOut.toString());
+                await pool.contract[leg.method](...leg.args, { from: user1 });
+            }));
+        });
+
+        it('splits exact out orders across pools', async () => {
+            const state = await snapshots();
+            const totalOut = BigInt(toWei('2500'));
+            const route = routeExactOut(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountOut: totalOut });
+
+            assert.equal(route.totalAmountOut.toString(), totalOut.toString());
+            assert.isTrue(route.totalAmountIn < route.bestSingle.tokenAmountIn);
+            assert.isTrue(route.gain > BigInt(0));
+
+            await Promise.all(route.swaps.map(async (leg) => {
+                const pool = pools.find((p) => p.address === leg.pool);
+                const result = await pool.contract[leg.method].call(...leg.args, { from: user1 });
+                assert.equal(result.tokenAmountIn.toString(), leg.tokenAmountIn.toString());
+            }));
+        });
+
+        it('uses every pool when no single pool can take the order', async () => {
+            const state = await snapshots();
+            // more than MAX_OUT_RATIO of any single pool's DAI
+            const totalOut = BigInt(toWei('3000'));
+            const route = routeExactOut(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountOut: totalOut });
+            assert.isNull(route.bestSingle);
+            assert.isNull(route.gain);
+            assert.equal(route.totalAmountOut.toString(), totalOut.toString());
+
+            assert.throws(
+                () => routeExactOut(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountOut: BigInt(toWei('10000')) }),
+                /no route/,
+            );
+        });
+
+        it('keeps the rounding dust within every leg cap', async () => {
+            const state = await snapshots();
+            // every pool's DAI at MAX_OUT_RATIO, to the wei
+            const caps = {};
+            state.filter((s) => s.records[WETH]).forEach((s) => {
+                caps[s.address] = (BigInt(s.records[DAI].balance.toString()) * MAX_OUT_RATIO) / BONE;
+            });
+            const capacity = Object.values(caps).reduce((a, b) => a + b);
+            // 100 DAI short, the largest leg is at its cap and another leaves the dust
+            [capacity, capacity - BigInt(toWei('100'))].forEach((totalOut) => {
+                const route = routeExactOut(state, { tokenIn: WETH, tokenOut: DAI, tokenAmountOut: totalOut });
+                assert.equal(route.swaps.length, 3);
+                assert.equal(route.totalAmountOut.toString(), totalOut.toString());
+                route.swaps.forEach(({ pool, tokenAmountOut }) => assert.isTrue(tokenAmountOut <= caps[pool]));
+            });
+        });
+
+        it('prefers the only pool with the pair for small orders', async () => {
+            const state = await snapshots();
+            const route = routeExactIn(state, { tokenIn: DAI, tokenOut: MKR, tokenAmountIn: BigInt(toWei('1')) });
+            assert.equal(route.swaps.length, 1);
+            assert.equal(route.swaps[0].pool, pools[3].address);
+            assert.equal(route.gain.toString(), '0');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const truffleAssert = require('truffle-assertions');
+const { Factory } = require('../lib/client');
+const { planJoin, planExit, sendSingle } = require('../lib/single_asset');
+const { addBps, subBps } = require('../lib/quote');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let pool; // client Pool
+    let weth; let dai; // TToken
+    let WETH; let DAI; // addresses
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+
+        weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+
+        await weth.mint(admin, toWei('50'));
+        await dai.mint(admin, toWei('20000'));
+        await weth.mint(user1, toWei('100'));
+        await dai.mint(user1, toWei('100000'));
+
+        await pool.approve(WETH);
+        await pool.approve(DAI);
+        await pool.approve(WETH, undefined, { from: user1 });
+        await pool.approve(DAI, undefined, { from: user1 });
+
+        await pool.bind(WETH, '50', '5');
+        await pool.bind(DAI, '20000', '5');
+        await pool.setSwapFee('0.003');
+        await pool.finalize();
+    });
+
+    // Sends `calls` from user1 and returns how much BPT, WETH and DAI they gained
+    async function send(calls) {
+        const holdings = () => Promise.all([pool.contract, weth, dai].map((t) => t.balanceOf(user1)));
+        const before = await holdings();
+        // A plan's calls are sent in the order it lists them
+        /* eslint-disable no-await-in-loop */
+        for (let i = 0; i < calls.length; i += 1) {
+            await pool.contract[calls[i].method](...calls[i].args, { from: user1 });
+        }
+        /* eslint-enable no-await-in-loop */
+        const after = await holdings();
+        return after.map((a, i) => BigInt(a.toString()) - BigInt(before[i].toString()));
+    }
+
+    describe('Single-asset joins and exits', () => {
+        it('joins with whichever way mints more BPT', async () => {
+            const plan = planJoin(await pool.getPoolState(), WETH, { tokenAmountIn: toWei('1') }, { slippageBps: 100 });
+            const { single, proportional } = plan;
+            assert.equal(plan.best, single.poolAmountOut >= proportional.poolAmountOut ? 'single' : 'proportional');
+            assert.equal(single.calls[0].method, 'joinswapExternAmountIn');
+            assert.equal(single.calls[0].args[2], subBps(single.poolAmountOut, BigInt(100)).toString());
+            assert.isTrue(proportional.tokenAmountIn <= BigInt(toWei('1')));
+            assert.deepEqual(proportional.calls.map((c) => c.method), ['swapExactAmountOut', 'joinPool']);
+
+            const [bpt, wethIn] = await send(plan[plan.best].calls);
+            assert.equal(bpt.toString(), plan[plan.best].poolAmountOut.toString());
+            assert.equal((-wethIn).toString(), plan[plan.best].tokenAmountIn.toString());
+
+            // The other way, replanned on the pool as it is now, goes through too
+            const other = plan.best === 'single' ? 'proportional' : 'single';
+            const again = planJoin(await pool.getPoolState(), WETH, { tokenAmountIn: toWei('1') })[other];
+            const [bpt2, wethIn2, daiLeft] = await send(again.calls);
+            assert.equal(bpt2.toString(), again.poolAmountOut.toString());
+            assert.equal((-wethIn2).toString(), again.tokenAmountIn.toString());
+            if (other === 'proportional') {
+                assert.equal(daiLeft.toString(), again.leftover[DAI].toString());
+            }
+        });
+
+        it('joins for an exact amount of BPT with the least tokens', async () => {
+            const plan = planJoin(await pool.getPoolState(), DAI, { poolAmountOut: toWei('0.5') });
+            const { single, proportional } = plan;
+            assert.equal(plan.best, single.tokenAmountIn <= proportional.tokenAmountIn ? 'single' : 'proportional');
+            assert.equal(single.calls[0].method, 'joinswapPoolAmountOut');
+            assert.equal(single.calls[0].args[2], addBps(single.tokenAmountIn, BigInt(50)).toString());
+
+            const [bpt, , daiIn] = await send(plan[plan.best].calls);
+            assert.equal(bpt.toString(), toWei('0.5'));
+            assert.isTrue(-daiIn <= plan[plan.best].tokenAmountIn);
+        });
+
+        it('exits with whichever way pays out more', async () => {
+            const plan = planExit(await pool.getPoolState(), WETH, { poolAmountIn: toWei('1') }, { slippageBps: 10 });
+            const { single, proportional } = plan;
+            assert.equal(plan.best, single.tokenAmountOut >= proportional.tokenAmountOut ? 'single' : 'proportional');
+            assert.equal(single.calls[0].method, 'exitswapPoolAmountIn');
+            assert.equal(single.calls[0].args[2], subBps(single.tokenAmountOut, BigInt(10)).toString());
+            assert.deepEqual(proportional.calls.map((c) => c.method), ['exitPool', 'swapExactAmountIn']);
+
+            const [bpt, wethOut, daiOut] = await send(plan[plan.best].calls);
+            assert.equal((-bpt).toString(), toWei('1'));
+            assert.equal(wethOut.toString(), plan[plan.best].tokenAmountOut.toString());
+            assert.equal(daiOut.toString(), '0');
+
+            const exact = planExit(await pool.getPoolState(), WETH, { tokenAmountOut: toWei('0.5') });
+            assert.equal(exact.best, exact.single.poolAmountIn <= exact.proportional.poolAmountIn
+                ? 'single' : 'proportional');
+            assert.isTrue(exact.proportional.tokenAmountOut >= BigInt(toWei('0.5')));
+            const [burnt, received] = await send(exact[exact.best].calls);
+            assert.equal((-burnt).toString(), exact[exact.best].poolAmountIn.toString());
+            assert.isTrue(received >= BigInt(toWei('0.5')));
+        });
+
+        it('reports why a way would revert', async () => {
+            const state = await pool.getPoolState();
+            const plan = planExit(state, WETH, { poolAmountIn: toWei('60') });
+            assert.isNull(plan.best);
+            assert.match(plan.single.error, /^ERR_MAX_OUT_RATIO/);
+            assert.match(plan.proportional.error, /^ERR_/);
+
+            const join = planJoin(state, WETH, { tokenAmountIn: toWei('30') });
+            assert.match(join.single.error, /^ERR_MAX_IN_RATIO/);
+            assert.equal(join.best, 'proportional', 'splitting keeps each call within the ratios');
+            assert.throws(() => planJoin(state, WETH, { tokenAmountIn: '1' }, { slippageBps: 10001 }));
+            await truffleAssert.fails(sendSingle(pool, join, { from: user1 }), 'ERR_MAX_IN_RATIO');
+        });
+
+        it('sends the single-token way through the client', async () => {
+            const sent = async ({ tx }) => (await web3.eth.getTransaction(tx.tx)).input;
+            const { methods } = pool.contract.contract;
+
+            const join = planJoin(await pool.getPoolState(), DAI, { tokenAmountIn: toWei('100') });
+            const { calls } = join.single;
+            const joined = await sendSingle(pool, join, { from: user1 });
+            assert.equal(await sent(joined), methods.joinswapExternAmountIn(...calls[0].args).encodeABI());
+            assert.equal(toWei(joined.poolAmountOut.toString()), join.single.poolAmountOut.toString());
+
+            const poolAmountIn = toWei(joined.poolAmountOut.toString());
+            const exit = planExit(await pool.getPoolState(), DAI, { poolAmountIn });
+            const exited = await sendSingle(pool, exit, { from: user1 });
+            assert.equal(toWei(exited.tokenAmountOut.toString()), exit.single.tokenAmountOut.toString());
+            assert.isTrue(exited.tokenAmountOut.lt('100'));
+        });
+    });
+});
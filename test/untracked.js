@@ -0,0 +1,111 @@
+const { Factory } = require('../lib/client');
+const {
+    inspectPool, buildAdvice, applyAdvice, toCsv,
+} = require('../lib/untracked');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const user1 = accounts[1];
+    const { toWei } = web3.utils;
+
+    let factory; // client Factory
+    let pool; // client Pool
+    let weth; let dai; let mkr; // TTokens
+    let WETH; let DAI; let MKR; // addresses
+
+    const byToken = (rows) => rows.reduce((all, row) => ({ ...all, [row.token]: row }), {});
+
+    before(async () => {
+        factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+
+        weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        mkr = await TToken.new('Maker', 'MKR', 18);
+        [WETH, DAI, MKR] = [weth, dai, mkr].map((t) => t.address);
+
+        await Promise.all([weth, dai, mkr].map((t) => t.mint(admin, toWei('10000'))));
+        await weth.mint(user1, toWei('10'));
+        await dai.mint(user1, toWei('1000'));
+
+        await Promise.all([WETH, DAI, MKR].map((t) => pool.approve(t)));
+        await pool.approve(WETH, undefined, { from: user1 });
+        await pool.bind(WETH, '10', '5');
+        await pool.bind(DAI, '4000', '5');
+        await pool.bind(MKR, '20', '5');
+        await pool.setSwapFee('0.003');
+        await pool.setPublicSwap(true);
+
+        // Reserves accrue in WETH, then stay behind once it is unbound
+        await pool.swapExactAmountIn(WETH, '1', DAI, '0', '1000000', { from: user1 });
+        await pool.unbind(WETH);
+        await weth.transfer(pool.address, toWei('0.5'), { from: user1 });
+        await dai.transfer(pool.address, toWei('100'), { from: user1 });
+    });
+
+    describe('Untracked balances', () => {
+        it('finds what to gulp and what to seize', async () => {
+            const { controller, rows } = await inspectPool(pool);
+            assert.equal(controller, admin);
+            const rowOf = byToken(rows);
+            assert.deepEqual(Object.keys(rowOf).sort(), [WETH, DAI, MKR].sort());
+
+            assert.equal(rowOf[DAI].action, 'gulp');
+            assert.equal(rowOf[DAI].untracked.toString(), toWei('100'));
+            assert.equal(rowOf[MKR].action, 'ok');
+            assert.equal(rowOf[MKR].untracked.toString(), '0');
+
+            const stranded = BigInt(await pool.contract.totalReserves(WETH));
+            assert.isTrue(stranded > BigInt(0));
+            assert.isFalse(rowOf[WETH].bound);
+            assert.equal(rowOf[WETH].action, 'seize');
+            assert.equal(rowOf[WETH].totalReserves.toString(), stranded.toString());
+            assert.equal(rowOf[WETH].untracked.toString(), toWei('0.5'), 'reserves are left alone');
+
+            const lines = toCsv({ rows }).split('\n');
+            assert.equal(lines[0], 'pool,token,bound,erc20Balance,balance,totalReserves,untracked,action');
+            assert.equal(lines.length, 4);
+        });
+
+        it('checks tokens the Transfer logs do not show', async () => {
+            const zrx = await TToken.new('0x', 'ZRX', 18);
+            await zrx.mint(pool.address, toWei('3'));
+            const fromBlock = (await web3.eth.getBlockNumber()) + 1;
+
+            const fromLogs = await inspectPool(pool, { fromBlock });
+            assert.notInclude(fromLogs.rows.map((r) => r.token), zrx.address);
+            const given = byToken((await inspectPool(pool, { fromBlock, tokens: [zrx.address] })).rows);
+            assert.equal(given[zrx.address].action, 'seize');
+            assert.equal(given[zrx.address].untracked.toString(), toWei('3'));
+        });
+
+        it('sends gulps for anyone and seizes for the controller', async () => {
+            const advice = await buildAdvice(artifacts, { factory, pools: [pool.address] });
+            assert.equal(advice.gulps, 1);
+            assert.equal(advice.seizes, 2);
+            assert.equal(advice.shortfalls, 0);
+
+            const sent = await applyAdvice(artifacts, advice, { from: user1 });
+            assert.deepEqual(sent.map((r) => r.action), ['gulp', 'seize', 'seize']);
+            assert.isDefined(sent[0].tx);
+            assert.isTrue(sent.slice(1).every((r) => r.skipped === `controller is ${admin}`));
+            const gulped = advice.rows.find((r) => r.token === DAI);
+            const balance = gulped.balance + gulped.untracked;
+            assert.equal((await pool.contract.getBalance(DAI)).toString(), balance.toString());
+
+            const again = await buildAdvice(artifacts, { factory, pools: [pool.address] });
+            assert.equal(again.gulps, 0);
+            const before = BigInt(await weth.balanceOf(admin));
+            const seized = await applyAdvice(artifacts, again, { from: admin });
+            assert.isTrue(seized.every((r) => r.action === 'seize' && r.tx !== undefined));
+            assert.equal((BigInt(await weth.balanceOf(admin)) - before).toString(), toWei('0.5'));
+
+            const after = byToken((await inspectPool(pool)).rows);
+            assert.equal(after[WETH].action, 'ok');
+            assert.equal(after[WETH].erc20Balance.toString(), after[WETH].totalReserves.toString());
+            assert.isTrue(Object.values(after).every((r) => r.action === 'ok'));
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const { Factory } = require('../lib/client');
+const { planWeightShift, firstPendingStep, executeWeightShift } = require('../lib/weight_shift');
+const { MAX_TOTAL_WEIGHT } = require('../lib/bconst');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei } = web3.utils;
+
+    let WETH; let DAI; // addresses
+    let pool; // client Pool
+
+    const mine = () => new Promise((resolve, reject) => web3.currentProvider.send(
+        { jsonrpc: '2.0', method: 'evm_mine', id: Date.now() },
+        (err) => (err ? reject(err) : resolve()),
+    ));
+    // One block at a time, until the chain reaches `at`
+    const mineUntil = async (at) => {
+        while (await web3.eth.getBlockNumber() < at) { // eslint-disable-line no-await-in-loop
+            await mine(); // eslint-disable-line no-await-in-loop
+        }
+    };
+    const denormsOf = async () => {
+        const state = await pool.getPoolState();
+        return state.tokens.map((t) => state.records[t].denorm.toString());
+    };
+
+    before(async () => {
+        const factory = await Factory.deployed(artifacts);
+        pool = await factory.newPool();
+        const weth = await TToken.new('Wrapped Ether', 'WETH', 18);
+        const dai = await TToken.new('Dai Stablecoin', 'DAI', 18);
+        WETH = weth.address;
+        DAI = dai.address;
+        await weth.mint(admin, toWei('100'));
+        await dai.mint(admin, toWei('100000'));
+
+        // 80/20 at a total weight of 25, WETH at 400 DAI
+        await pool.approve(WETH, '50');
+        await pool.approve(DAI, '5000');
+        await pool.bind(WETH, '50', '20');
+        await pool.bind(DAI, '5000', '5');
+        await pool.setPublicSwap(true);
+    });
+
+    describe('Weight shifts', () => {
+        it('plans rebinds that leave balances to the arbitrageurs', async () => {
+            const snapshot = await pool.getPoolState();
+            const plan = planWeightShift(snapshot, { weights: [50, 50] }, { steps: 4, start: 100, end: 180 });
+            assert.deepEqual(plan.to.map(String), [toWei('12.5'), toWei('12.5')]);
+            assert.deepEqual(plan.steps.map(({ at }) => at), [120, 140, 160, 180]);
+
+            plan.steps.forEach(({ calls, totalWeight, arbitrageLoss }) => {
+                assert.deepEqual(calls.map(({ token }) => token), [WETH, DAI], 'weight going down first');
+                calls.forEach(({ delta }) => assert.equal(delta.toString(), '0'));
+                assert.isTrue(totalWeight <= MAX_TOTAL_WEIGHT);
+                assert.isTrue(arbitrageLoss > BigInt(0));
+            });
+            const [first] = plan.steps[0].arbitrage;
+            assert.equal(first.tokenIn, DAI);
+            assert.equal(first.tokenOut, WETH, 'WETH got cheaper');
+            assert.equal(plan.steps[3].calls[1].denorm.toString(), toWei('12.5'));
+
+            const quick = planWeightShift(snapshot, { weights: [50, 50] }, { steps: 1, start: 100, end: 180 });
+            const slow = planWeightShift(snapshot, { weights: [50, 50] }, { steps: 16, start: 100, end: 180 });
+            assert.isTrue(slow.arbitrageLoss < plan.arbitrageLoss, 'smaller steps lose less');
+            assert.isTrue(plan.arbitrageLoss < quick.arbitrageLoss);
+        });
+
+        it('plans deposits and withdrawals that keep prices', async () => {
+            const snapshot = await pool.getPoolState();
+            const plan = planWeightShift(
+                snapshot,
+                { denorms: [toWei('12.5'), toWei('12.5')] },
+                {
+                    steps: 2, start: 0, end: 3600, unit: 'time', rebalance: 'prices',
+                },
+            );
+            assert.equal(plan.arbitrageLoss.toString(), '0');
+            const [weth, dai] = plan.steps[1].calls;
+            assert.equal(weth.balance.toString(), toWei('31.25'));
+            assert.equal(dai.balance.toString(), toWei('12500'));
+            assert.equal(plan.steps[0].calls[0].delta.toString(), `-${toWei('9.375')}`);
+            assert.equal(plan.steps[0].calls[1].delta.toString(), toWei('3750'));
+        });
+
+        it('rejects targets BPool would reject', async () => {
+            const snapshot = await pool.getPoolState();
+            const span = { steps: 2, start: 0, end: 10 };
+            assert.throws(() => planWeightShift(snapshot, { weights: [1, 1, 1] }, span), 'ERR_ARRAY_LENGTH');
+            assert.throws(() => planWeightShift(snapshot, { denorms: [toWei('0.5'), toWei('5')] }, span), 'ERR_WEIGHT');
+            const heavy = { denorms: [toWei('30'), toWei('30')] };
+            assert.throws(() => planWeightShift(snapshot, heavy, span), 'ERR_MAX_TOTAL_WEIGHT');
+            assert.throws(() => planWeightShift(snapshot, { weights: [1, 1] }, { ...span, steps: 0 }), 'steps');
+            const unknown = { ...span, rebalance: 'x' };
+            assert.throws(() => planWeightShift(snapshot, { weights: [1, 1] }, unknown), 'rebalance');
+        });
+
+        it('executes the schedule and resumes after an interruption', async () => {
+            const snapshot = await pool.getPoolState();
+            const start = await web3.eth.getBlockNumber();
+            const plan = planWeightShift(snapshot, { weights: [50, 50] }, {
+                steps: 4, start, end: start + 8, rebalance: 'prices',
+            });
+            assert.equal(firstPendingStep(plan, plan.from), 0);
+
+            let sent = 0;
+            const interrupt = async () => {
+                sent += 1;
+                if (sent === 2) throw new Error('interrupted');
+            };
+            try {
+                await executeWeightShift(pool, plan, { waitUntil: mineUntil, onStep: interrupt });
+                assert.fail('expected the interruption');
+            } catch (err) {
+                assert.equal(err.message, 'interrupted');
+            }
+            assert.deepEqual(await denormsOf(), plan.steps[1].calls.map(({ denorm }) => denorm.toString()));
+            assert.isAtLeast(await web3.eth.getBlockNumber(), plan.steps[1].at);
+
+            const result = await executeWeightShift(pool, plan, { waitUntil: mineUntil });
+            assert.deepEqual(result, { skipped: [1, 2], sent: [3, 4] });
+            assert.deepEqual(await denormsOf(), [toWei('12.5'), toWei('12.5')]);
+            assert.equal((await pool.contract.getBalance(DAI)).toString(), toWei('12500'));
+            assert.equal((await pool.contract.getBalance(WETH)).toString(), toWei('31.25'));
+
+            const again = await executeWeightShift(pool, plan, { waitUntil: mineUntil });
+            assert.deepEqual(again, { skipped: [1, 2, 3, 4], sent: [] });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const { Factory } = require('../lib/client');
+const { DEFAULT_TOTAL_WEIGHT, denormsFor, balancesFor } = require('../lib/weights');
+const { BONE, MAX_TOTAL_WEIGHT } = require('../lib/bconst');
+
+const TToken = artifacts.require('TToken');
+
+contract('BPool', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei } = web3.utils;
+
+    describe('Weight targets', () => {
+        it('converts percentages to denorms at the total weight', async () => {
+            const { denorms, totalWeight, weights } = denormsFor([80, 20]);
+            assert.deepEqual(denorms.map(String), [toWei('20'), toWei('5')]);
+            assert.equal(totalWeight.toString(), DEFAULT_TOTAL_WEIGHT.toString());
+            assert.equal((MAX_TOTAL_WEIGHT - totalWeight).toString(), toWei('25'), 'room left for rebinds');
+            assert.deepEqual(weights.map(String), [toWei('0.8'), toWei('0.2')]);
+
+            const small = denormsFor(['0.8', '0.2'], { totalWeight: toWei('5') });
+            assert.deepEqual(small.denorms.map(String), [toWei('4'), toWei('1')]);
+        });
+
+        it('keeps the rounding error within a wei of BONE', async () => {
+            const { denorms, weights, maxError } = denormsFor([1, 1, 1]);
+            assert.equal(denorms.reduce((a, b) => a + b).toString(), DEFAULT_TOTAL_WEIGHT.toString());
+            const spread = weights.reduce((a, b) => (a > b ? a : b)) - weights.reduce((a, b) => (a < b ? a : b));
+            assert.isTrue(spread <= BigInt(1));
+            assert.isTrue(maxError <= BigInt(1));
+
+            const seven = denormsFor([3, 5, 7, 11, 13, 17, 19]);
+            assert.isTrue(seven.maxError <= BigInt(1));
+        });
+
+        it('raises the default total weight as far as MIN_WEIGHT needs', async () => {
+            const full = denormsFor([2, 49, 49]);
+            assert.deepEqual(full.denorms.map(String), [toWei('1'), toWei('24.5'), toWei('24.5')]);
+            assert.equal(full.totalWeight.toString(), MAX_TOTAL_WEIGHT.toString());
+            const some = denormsFor([4, 48, 48]);
+            assert.deepEqual(some.denorms.map(String), [toWei('1'), toWei('12'), toWei('12')]);
+        });
+
+        it('rejects weights no total weight can reach', async () => {
+            assert.throws(() => denormsFor([2, 49, 49], { totalWeight: toWei('40') }), 'ERR_MIN_WEIGHT');
+            assert.throws(() => denormsFor([1, 99]), 'needs a total weight of at least 100');
+            assert.throws(() => denormsFor([50, 50], { totalWeight: toWei('51') }), 'ERR_MAX_TOTAL_WEIGHT');
+            assert.throws(() => denormsFor([100]), 'ERR_TOKEN_COUNT');
+            assert.throws(() => denormsFor([1, -1]), 'must be positive');
+        });
+
+        it('prices a pool at external prices', async () => {
+            const { denorms } = denormsFor([50, 30, 20]);
+            // WETH at 2000, USDC (6 decimals) at 1, WBTC (8 decimals) at 40000; worth 1,000,000
+            const decimals = [18, 6, 8];
+            const { balances, spotPrices, targetPrices } = balancesFor(denorms, [2000, 1, 40000], 1000000, decimals);
+            assert.deepEqual(balances.map(String), [toWei('250'), '300000000000', '500000000']);
+            assert.equal(spotPrices[0].toString(), BONE.toString());
+            spotPrices.forEach((p, i) => assert.equal(p.toString(), targetPrices[i].toString()));
+
+            assert.throws(() => balancesFor(denorms, [1, 1], 100), 'ERR_ARRAY_LENGTH');
+            assert.throws(() => balancesFor(denorms, [1e30, 1, 1], 1), 'ERR_MIN_BALANCE');
+        });
+
+        it('matches getNormalizedWeight and getSpotPriceSansFee on chain', async () => {
+            const factory = await Factory.deployed(artifacts);
+            const pool = await factory.newPool();
+            const tokens = await Promise.all([18, 6, 8].map((d, i) => TToken.new(`T${i}`, `T${i}`, d)));
+            const { denorms, weights } = denormsFor([2, 49, 49]);
+            const prices = ['1.5', '0.999', '41000.25'];
+            const { balances, spotPrices } = balancesFor(denorms, prices, '123456.789', [18, 6, 8]);
+
+            await Promise.all(tokens.map(async (t, i) => {
+                await t.mint(admin, balances[i].toString());
+                await t.approve(pool.address, balances[i].toString());
+                await pool.contract.bind(t.address, balances[i].toString(), denorms[i].toString());
+            }));
+            await Promise.all(tokens.map(async (t, i) => {
+                const weight = await pool.contract.getNormalizedWeight(t.address);
+                assert.equal(weight.toString(), weights[i].toString());
+                const price = await pool.contract.getSpotPriceSansFee(tokens[0].address, t.address);
+                assert.equal(price.toString(), spotPrices[i].toString());
+            }));
+        });
+    });
+});